@@ -1,115 +1,859 @@
 import React, { useState, useMemo, useEffect, useCallback, useRef } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ScatterChart, Scatter, ComposedChart, ReferenceLine, ReferenceDot } from 'recharts';
-import { Play, RotateCcw, Calculator, Pause, StepForward } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Scatter, ComposedChart, ReferenceLine, ReferenceDot, usePlotArea } from 'recharts';
+import { Play, RotateCcw, Calculator, Pause, StepForward, StepBack, Upload, Download, Plus, X, Bookmark, Link, Sparkles, FastForward, Languages, GraduationCap, FileText, Printer } from 'lucide-react';
+import {
+  calculateLoss, calculateGradientDetails, predictOutput, leastSquaresLine, LOSSES, DEFAULT_LOSS,
+  OPTIMIZERS, DEFAULT_HYPERPARAMS, step, previewStep, toHistoryEntry, initialState, withoutPointGradients, stepPointGradients,
+  DEFAULT_MODEL, MAX_DEGREE, createPoly, polynomialLeastSquares, analyticOptimum, distanceToOptimum, runNewton, extendNewton,
+  calculateHessian, secantSlope,
+  CONVERGENCE_TOLERANCE, findConvergedStep, isRunFinished, maxStableLearningRate, detectTrainingStatus
+} from './engine';
+import { parseDataset, toCSV } from './csv';
+import { HASH_PREFIX, sessionFromHash, fitsInHash, isClassificationLoss, encodeSession, decodeSession, loadAutosave, saveAutosave, loadScenarios, saveScenarios } from './session';
+import { generateDataset, DATASET_PRESETS, DEFAULT_GENERATOR, MAX_GENERATED_POINTS } from './datasets';
+import { createComputeClient } from './computeClient';
+import { shortcutFor, SHORTCUT_KEYS } from './shortcuts';
+import { chartSvgMarkup, chartSize, svgToPngBlob } from './chartExport';
+import { buildWorksheet, parseStepList } from './worksheet';
+import { BUILT_IN_LESSONS, parseLesson, localizedText, stepSession, evaluateStep } from './lessons';
+import { I18nContext, useI18n, createTranslator, translate, resolveLocale, saveLocale, withLocaleParam, LOCALES } from './i18n';
+import katex from 'katex';
+import 'katex/dist/katex.min.css';
 
 // --- Latex Component for Rendering Math Formulas ---
+// KaTeX로 번들 안에서 그리므로 네트워크가 막혀 있어도 수식이 보입니다.
+// 화면용 HTML은 aria-hidden이고, 함께 만들어지는 MathML을 스크린 리더가 읽습니다.
 const Latex = ({ formula, className = "" }) => {
-  const encoded = encodeURIComponent(`\\large ${formula}`);
+  const html = useMemo(() => katex.renderToString(formula, { throwOnError: false, output: 'htmlAndMathml' }), [formula]);
   return (
-    <img
-      src={`https://latex.codecogs.com/svg.latex?${encoded}`}
-      alt={formula}
+    <span
       className={`inline-block align-middle mx-1 ${className}`}
-      style={{ maxHeight: '1.5em', width: 'auto' }}
+      dangerouslySetInnerHTML={{ __html: html }}
     />
   );
 };
 
-const App = () => {
-  // --- State for Main Activity ---
-  const [dataPoints, setDataPoints] = useState([
+// --- File Download ---
+// 주소를 곧바로 해제하면 Firefox와 Safari에서 다운로드가 시작되기도 전에 취소될 수 있어 잠시 뒤에 해제합니다.
+const DOWNLOAD_REVOKE_DELAY = 1000;
+
+const downloadBlob = (filename, blob) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  // Firefox는 문서에 붙어 있지 않은 링크의 click()을 무시합니다.
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_REVOKE_DELAY);
+};
+
+// 엑셀에서 한글이 깨지지 않도록 BOM을 붙입니다.
+const downloadFile = (filename, content, type = 'text/csv;charset=utf-8') => (
+  downloadBlob(filename, new Blob(['\uFEFF', content], { type }))
+);
+
+const MIN_DATA_POINTS = 2;
+
+// 마지막으로 바뀐 뒤 이만큼(ms) 조용하면 세션을 자동 저장합니다.
+const AUTOSAVE_DELAY = 300;
+
+// --- Large Datasets ---
+// 점이 수천 개여도 편집 칸과 잔차 선은 일부만 그려 화면이 느려지지 않게 합니다.
+const DATA_EDITOR_LIMIT = 100;
+const MAX_RESIDUAL_LINES = 200;
+
+// --- Virtualized Table Rows ---
+// 스크롤 위치 근처의 행만 그리고, 위아래는 빈 행의 높이로 자리를 채웁니다. 모든 행의 높이가 rowHeight로 같아야 합니다.
+const TABLE_ROW_HEIGHT = 36;
+const TABLE_VIEWPORT_HEIGHT = 384; // max-h-96
+
+const useVirtualRows = (count, rowHeight, viewportHeight, overscan = 8) => {
+  const [scrollTop, setScrollTop] = useState(0);
+  const first = Math.min(count, Math.floor(scrollTop / rowHeight));
+  const start = Math.max(0, first - overscan);
+  const end = Math.min(count, first + Math.ceil(viewportHeight / rowHeight) + overscan);
+  return {
+    start,
+    end,
+    paddingTop: start * rowHeight,
+    paddingBottom: (count - end) * rowHeight,
+    onScroll: (e) => setScrollTop(e.currentTarget.scrollTop),
+  };
+};
+
+// --- Chart Data Tables ---
+// 차트마다 같은 값을 표로도 볼 수 있게 합니다. 그림을 볼 수 없는 학생도 값을 읽을 수 있고,
+// 펼쳤을 때만 그리며 행이 많으면 앞부분만 보여 줍니다.
+// columns: [{ key, label, format? }] (format이 없으면 유효 숫자 4자리)
+const CHART_TABLE_LIMIT = 200;
+
+const ChartDataTable = ({ caption, columns, rows }) => {
+  const { t, formatSignificant } = useI18n();
+  const [open, setOpen] = useState(false);
+  const formatCell = (column, value) => {
+    if (value === null || value === undefined) return '—';
+    if (column.format) return column.format(value);
+    return typeof value === 'number' ? formatSignificant(value, 4) : value;
+  };
+
+  return (
+    <div className="mt-2 text-xs">
+      <button onClick={() => setOpen(!open)} aria-expanded={open} className="text-gray-500 font-bold underline">
+        {t(open ? 'a11y.hideTable' : 'a11y.showTable')}
+      </button>
+      {open && (
+        <div className="mt-1 max-h-60 overflow-auto border rounded bg-white">
+          <table className="w-full text-right font-mono">
+            <caption className="text-left font-sans text-gray-500 p-1">
+              {caption}{rows.length > CHART_TABLE_LIMIT && t('a11y.tableTruncated', { shown: CHART_TABLE_LIMIT, total: rows.length })}
+            </caption>
+            <thead className="bg-gray-50">
+              <tr>
+                {columns.map(column => <th key={column.key} scope="col" className="px-2 py-1">{column.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.slice(0, CHART_TABLE_LIMIT).map((row, index) => (
+                <tr key={index} className="border-t">
+                  {columns.map(column => <td key={column.key} className="px-2 py-1">{formatCell(column, row[column.key])}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- Chart Export Buttons ---
+// chartRef: 차트를 감싼 요소. 그 안의 Recharts SVG를 그대로 저장합니다.
+const ChartExportButtons = ({ chartRef, name, filename }) => {
+  const { t } = useI18n();
+  const [pngFailed, setPngFailed] = useState(false);
+  const surface = () => chartRef.current && chartRef.current.querySelector('svg.recharts-surface');
+
+  const exportSvg = () => {
+    const svg = surface();
+    if (svg) downloadFile(`${filename}.svg`, chartSvgMarkup(svg), 'image/svg+xml;charset=utf-8');
+  };
+
+  const exportPng = () => {
+    const svg = surface();
+    if (!svg) return;
+    setPngFailed(false);
+    svgToPngBlob(chartSvgMarkup(svg), chartSize(svg)).then(blob => downloadBlob(`${filename}.png`, blob), () => setPngFailed(true));
+  };
+
+  return (
+    <div className="flex items-center gap-1 text-[11px]">
+      <button onClick={exportSvg} aria-label={t('export.svg', { chart: name })} className="px-1.5 py-0.5 bg-white border rounded hover:bg-gray-100 flex items-center gap-1">
+        <Download size={10} /> SVG
+      </button>
+      <button onClick={exportPng} aria-label={t('export.png', { chart: name })} className="px-1.5 py-0.5 bg-white border rounded hover:bg-gray-100 flex items-center gap-1">
+        <Download size={10} /> PNG
+      </button>
+      {pngFailed && <span role="alert" className="text-red-600">{t('export.pngFailed')}</span>}
+    </div>
+  );
+};
+
+// --- Classification Data ---
+// 로지스틱 회귀 모드의 예시: 공부 시간(x)과 합격 여부(y = 0/1). 4~8시간 구간은 레이블이 섞여 있습니다.
+const CLASSIFICATION_DATA = [
+  { x: 1, y: 0 }, { x: 2, y: 0 }, { x: 3, y: 0 }, { x: 4, y: 1 }, { x: 5, y: 0 },
+  { x: 6, y: 1 }, { x: 7, y: 0 }, { x: 8, y: 1 }, { x: 9, y: 1 }, { x: 10, y: 1 },
+];
+
+const isBinaryData = (points) => points.every(p => p.y === 0 || p.y === 1);
+
+// 차트에서 찍은 y를 가까운 레이블로 맞춥니다.
+const toLabel = (y) => (y >= 0.5 ? 1 : 0);
+
+// --- Dataset Generator Fields ---
+// 이름은 카탈로그의 generator.fields.*에 있습니다.
+const GENERATOR_FIELDS = [
+  { key: 'slope', step: 0.1 },
+  { key: 'intercept', step: 0.5 },
+  { key: 'count', step: 1, min: 2, max: MAX_GENERATED_POINTS },
+  { key: 'xMin', step: 1 },
+  { key: 'xMax', step: 1 },
+  { key: 'noise', step: 0.5, min: 0 },
+  { key: 'outliers', step: 1, min: 0 },
+  { key: 'seed', step: 1 },
+];
+
+// --- Draggable Data Points on the Scatter Chart ---
+// 차트 안에 넣어 plot area 좌표를 얻고, 빈 곳 클릭으로 점 추가, 드래그로 이동,
+// 우클릭 또는 Shift+클릭으로 삭제합니다. 축 범위(domain)는 숫자로 고정해서 넘겨받아야 좌표 변환이 정확합니다.
+const roundTo = (value, digits = 1) => parseFloat(value.toFixed(digits));
+
+const DataEditLayer = ({ points, xDomain, yDomain, onAdd, onMove, onDelete, onDragStart, onDragEnd }) => {
+  const { t } = useI18n();
+  const plot = usePlotArea();
+  const [dragIndex, setDragIndex] = useState(null);
+  if (!plot || plot.width <= 0 || plot.height <= 0) return null;
+
+  const toPx = (x) => plot.x + ((x - xDomain[0]) / (xDomain[1] - xDomain[0])) * plot.width;
+  const toPy = (y) => plot.y + plot.height - ((y - yDomain[0]) / (yDomain[1] - yDomain[0])) * plot.height;
+  const toData = (e) => {
+    const svg = e.currentTarget.ownerSVGElement || e.currentTarget;
+    const rect = svg.getBoundingClientRect();
+    const px = Math.min(Math.max(e.clientX - rect.left, plot.x), plot.x + plot.width);
+    const py = Math.min(Math.max(e.clientY - rect.top, plot.y), plot.y + plot.height);
+    return {
+      x: roundTo(xDomain[0] + ((px - plot.x) / plot.width) * (xDomain[1] - xDomain[0])),
+      y: roundTo(yDomain[0] + ((plot.y + plot.height - py) / plot.height) * (yDomain[1] - yDomain[0]))
+    };
+  };
+
+  const handlePointerDown = (e, index) => {
+    e.stopPropagation();
+    if (e.button === 2) return;
+    if (e.shiftKey) {
+      onDelete(index);
+      return;
+    }
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDragIndex(index);
+    onDragStart();
+  };
+
+  const handlePointerMove = (e, index) => {
+    if (dragIndex !== index) return;
+    onMove(index, toData(e));
+  };
+
+  const handlePointerUp = (e, index) => {
+    if (dragIndex !== index) return;
+    e.currentTarget.releasePointerCapture(e.pointerId);
+    setDragIndex(null);
+    onDragEnd();
+  };
+
+  return (
+    <g>
+      <rect
+        x={plot.x} y={plot.y} width={plot.width} height={plot.height}
+        fill="transparent" className="cursor-crosshair" data-testid="scatter-plot-area"
+        onClick={(e) => { if (!e.shiftKey) onAdd(toData(e)); }}
+      />
+      {points.map((p, i) => (
+        <circle
+          key={i}
+          cx={toPx(p.x)} cy={toPy(p.y)} r={dragIndex === i ? 8 : 6}
+          fill="#ef4444" stroke={dragIndex === i ? '#7f1d1d' : '#ffffff'} strokeWidth={1.5}
+          className={dragIndex === i ? 'cursor-grabbing' : 'cursor-grab'}
+          style={{ touchAction: 'none' }}
+          onPointerDown={(e) => handlePointerDown(e, i)}
+          onPointerMove={(e) => handlePointerMove(e, i)}
+          onPointerUp={(e) => handlePointerUp(e, i)}
+          onContextMenu={(e) => { e.preventDefault(); onDelete(i); }}
+          role="button"
+          aria-label={t('data.chartPoint', { index: i + 1, x: p.x, y: p.y })}
+        />
+      ))}
+    </g>
+  );
+};
+
+// 보기 좋은 경계값: 범위의 자릿수 단위로 내림/올림합니다.
+const niceBounds = (min, max) => {
+  const span = max - min || 1;
+  const unit = Math.pow(10, Math.floor(Math.log10(span)));
+  return [Math.floor(min / unit) * unit, Math.ceil(max / unit) * unit];
+};
+
+// --- Optimizer Display Info ---
+// 이름과 이동량 설명은 카탈로그의 optimizers.*에 있습니다.
+const OPTIMIZER_INFO = {
+  gd: {
+    formula: '\\theta \\leftarrow \\theta - \\eta g',
+  },
+  momentum: {
+    formula: 'v \\leftarrow \\beta v + g,\\quad \\theta \\leftarrow \\theta - \\eta v',
+  },
+  nesterov: {
+    formula: 'v \\leftarrow \\beta v + \\nabla E(\\theta - \\eta \\beta v),\\quad \\theta \\leftarrow \\theta - \\eta v',
+  },
+  adagrad: {
+    formula: 'G \\leftarrow G + g^2,\\quad \\theta \\leftarrow \\theta - \\frac{\\eta}{\\sqrt{G} + \\epsilon} g',
+  },
+  rmsprop: {
+    formula: 's \\leftarrow \\beta s + (1 - \\beta) g^2,\\quad \\theta \\leftarrow \\theta - \\frac{\\eta}{\\sqrt{s} + \\epsilon} g',
+  },
+  adam: {
+    formula: 'm \\leftarrow \\beta m + (1 - \\beta) g,\\; v \\leftarrow \\beta_2 v + (1 - \\beta_2) g^2,\\; \\theta \\leftarrow \\theta - \\frac{\\eta \\hat{m}}{\\sqrt{\\hat{v}} + \\epsilon}',
+  },
+};
+
+// --- Loss Function Formulas ---
+// r은 오차 식(ax - y 또는 ax + b - y)의 LaTeX입니다. 연쇄 법칙 패널과 표 머리글이 같은 식을 씁니다.
+// classification: 로지스틱 회귀에서만 고를 수 있는 손실입니다. 이름과 단순화한 설명은 카탈로그의 losses.*에 있습니다.
+const LOSS_INFO = {
+  mse: {
+    short: 'MSE',
+    loss: (r) => `(${r})^2`,
+    derivative: (r) => `2(${r})`,
+  },
+  mae: {
+    short: 'MAE',
+    loss: (r) => `|${r}|`,
+    derivative: (r) => `\\mathrm{sign}(${r})`,
+  },
+  huber: {
+    short: 'Huber',
+    loss: (r) => `\\begin{cases} \\frac{1}{2}(${r})^2 & |${r}| \\le \\delta \\\\ \\delta(|${r}| - \\frac{\\delta}{2}) & \\text{otherwise} \\end{cases}`,
+    derivative: (r) => `\\mathrm{clip}(${r}, -\\delta, \\delta)`,
+  },
+  logcosh: {
+    short: 'log-cosh',
+    loss: (r) => `\\log\\cosh(${r})`,
+    derivative: (r) => `\\tanh(${r})`,
+  },
+  bce: {
+    short: 'BCE',
+    loss: () => '-[y\\log p + (1 - y)\\log(1 - p)],\\; p = \\sigma(ax + b)',
+    derivative: (r) => `(${r})`,
+    classification: true,
+  },
+};
+
+const HYPERPARAMS = {
+  beta: { formula: '\\beta', step: 0.01, min: 0, max: 0.999 },
+  beta2: { formula: '\\beta_2', step: 0.001, min: 0, max: 0.9999 },
+  epsilon: { formula: '\\epsilon', step: 1e-8, min: 0, max: 1 },
+};
+
+// 자동 실행에서 한 단계를 진행하는 간격(ms)
+const PLAYBACK_SPEEDS = [
+  { label: '0.5×', delay: 1000 },
+  { label: '1×', delay: 500 },
+  { label: '2×', delay: 250 },
+  { label: '5×', delay: 100 },
+  { label: '20×', delay: 25 },
+];
+
+// 이름은 카탈로그의 batchModes.*에 있습니다.
+const BATCH_MODES = ['batch', 'sgd', 'minibatch'];
+
+// --- Training Status Messages ---
+// 제목과 이유는 카탈로그의 status.titles.*, status.reasons.*에 있습니다.
+const STATUS_STYLES = {
+  converged: 'bg-green-50 border-green-300 text-green-900',
+  diverged: 'bg-red-50 border-red-300 text-red-900',
+  oscillating: 'bg-amber-50 border-amber-300 text-amber-900',
+  maxSteps: 'bg-gray-50 border-gray-300 text-gray-800',
+};
+
+// --- Comparison Race ---
+const RUN_COLORS = ['#2563eb', '#16a34a', '#f97316', '#db2777', '#0891b2', '#7c3aed'];
+
+// --- Tangent & Secant Demo ---
+// 할선 기울기 표에 쓰는 간격 h. 10배씩 줄이며 접선의 기울기에 다가가는 모습을 보여 줍니다.
+const SECANT_STEPS = [1, 0.1, 0.01, 0.001];
+
+// ReferenceLine의 shape로 쓰는 화살표: (x1, y1)에서 (x2, y2)로 선을 긋고 끝에 삼각형 머리를 붙입니다.
+const ArrowShape = ({ x1, y1, x2, y2, stroke, strokeWidth, clipPath }) => {
+  if (![x1, y1, x2, y2].every(Number.isFinite)) return null;
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  const size = 9;
+  const wing = (offset) => `${x2 - size * Math.cos(angle + offset)},${y2 - size * Math.sin(angle + offset)}`;
+  return (
+    <g clipPath={clipPath}>
+      <line x1={x1} y1={y1} x2={x2} y2={y2} stroke={stroke} strokeWidth={strokeWidth} />
+      <polygon points={`${x2},${y2} ${wing(Math.PI / 7)} ${wing(-Math.PI / 7)}`} fill={stroke} />
+    </g>
+  );
+};
+
+// --- Loss Surface Contour for the two-parameter model y = ax + b ---
+const CONTOUR_RESOLUTION = 40;
+const A_RANGE = [-1, 4];
+// 로지스틱 회귀의 절편은 최소제곱해로 잡을 수 없어 고정 범위를 씁니다.
+const LOGISTIC_B_RANGE = [-8, 4];
+
+// comparePath: 뉴턴법 경로(주황), optimum: 닫힌 형태의 최적해(초록 고리). 둘 다 없을 수 있습니다.
+const LossContour = ({ grid, aRange, bRange, path, comparePath = [], optimum = null, current, onSelect }) => {
+  const width = 400;
+  const height = 300;
+  const toX = (a) => ((a - aRange[0]) / (aRange[1] - aRange[0])) * width;
+  const toY = (b) => height - ((b - bRange[0]) / (bRange[1] - bRange[0])) * height;
+  const cellW = width / CONTOUR_RESOLUTION;
+  const cellH = height / CONTOUR_RESOLUTION;
+
+  // 오차가 수십 배씩 차이 나므로 로그 스케일로 색을 입힙니다.
+  const logs = grid.map(cell => Math.log10(cell.loss + 1e-9));
+  const minLog = Math.min(...logs);
+  const maxLog = Math.max(...logs);
+  const colorFor = (value) => {
+    const t = maxLog === minLog ? 0 : (value - minLog) / (maxLog - minLog);
+    return `hsl(${260 - t * 210}, 80%, ${35 + t * 30}%)`;
+  };
+
+  const handleClick = (e) => {
+    if (!onSelect) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const px = ((e.clientX - rect.left) / rect.width) * width;
+    const py = ((e.clientY - rect.top) / rect.height) * height;
+    const a = aRange[0] + (px / width) * (aRange[1] - aRange[0]);
+    const b = bRange[0] + ((height - py) / height) * (bRange[1] - bRange[0]);
+    onSelect(a, b);
+  };
+
+  const visiblePath = path.filter(p => Number.isFinite(p.a) && Number.isFinite(p.b));
+  const pathPoints = visiblePath.map(p => `${toX(p.a)},${toY(p.b)}`).join(' ');
+  const visibleCompare = comparePath.filter(p => Number.isFinite(p.a) && Number.isFinite(p.b));
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-full cursor-crosshair" preserveAspectRatio="none" onClick={handleClick}>
+      {grid.map((cell, i) => (
+        <rect
+          key={i}
+          x={cell.i * cellW} y={height - (cell.j + 1) * cellH}
+          width={cellW + 0.5} height={cellH + 0.5}
+          fill={colorFor(logs[i])}
+        />
+      ))}
+      {visiblePath.length > 1 && (
+        <polyline points={pathPoints} fill="none" stroke="#ffffff" strokeWidth={2} strokeDasharray="4 2" />
+      )}
+      {visiblePath.map((p, i) => (
+        <circle key={i} cx={toX(p.a)} cy={toY(p.b)} r={2.5} fill="#ffffff" />
+      ))}
+      {visibleCompare.length > 1 && (
+        <polyline points={visibleCompare.map(p => `${toX(p.a)},${toY(p.b)}`).join(' ')} fill="none" stroke="#f97316" strokeWidth={2} />
+      )}
+      {visibleCompare.map((p, i) => (
+        <circle key={`newton-${i}`} cx={toX(p.a)} cy={toY(p.b)} r={3} fill="#f97316" />
+      ))}
+      {optimum && (
+        <circle cx={toX(optimum.a)} cy={toY(optimum.b)} r={7} fill="none" stroke="#22c55e" strokeWidth={3} />
+      )}
+      <circle cx={toX(current.a)} cy={toY(current.b)} r={6} fill="#ef4444" stroke="#ffffff" strokeWidth={2} />
+    </svg>
+  );
+};
+
+// --- Session Defaults ---
+// 처음 화면의 설정이자, 공유 링크에 빠진 값을 채우는 기본값입니다.
+const DEFAULT_SESSION = {
+  dataPoints: [
     { x: 20, y: 45 }, { x: 22, y: 50 }, { x: 24, y: 55 }, // 이 부분을 원하는 값으로 변경하세요
     { x: 25, y: 60 }, { x: 28, y: 65 }, { x: 30, y: 72 },
     { x: 31, y: 76 }, { x: 33, y: 82 }, { x: 34, y: 85 },
     { x: 35, y: 90 },
-  ]);
+  ],
+  modelType: 'origin',
+  polyDegree: 2,
+  standardize: false,
+  lossType: DEFAULT_LOSS.type,
+  huberDelta: DEFAULT_LOSS.delta,
+  learningRate: 0.01,
+  initialA: 0,
+  initialB: 0,
+  manualA: 1.5,
+  manualB: 0,
+  manualC: [],
+  optimizerType: 'gd',
+  hyperparams: DEFAULT_HYPERPARAMS,
+  batchMode: 'batch',
+  batchSize: 4,
+  batchSeed: 42,
+  iterations: 100,
+  tolerance: CONVERGENCE_TOLERANCE,
+  showNewton: false,
+  showCurvature: false,
+  steps: 0,
+  raceRuns: [
+    { id: 1, learningRate: 0.001, initialA: 0, optimizerType: 'gd' },
+    { id: 2, learningRate: 0.0005, initialA: 0, optimizerType: 'gd' },
+  ],
+};
+
+// --- Saved Scenarios Sidebar ---
+const ScenarioSidebar = ({ scenarios, onSave, onLoad, onDelete, onCopyLink, onClose }) => {
+  const { t, formatDate } = useI18n();
+  const [name, setName] = useState('');
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSave(name.trim());
+    setName('');
+  };
+
+  return (
+    <aside aria-label={t('scenarios.title')} className="fixed top-0 right-0 h-full w-80 bg-white shadow-2xl border-l z-40 p-4 overflow-y-auto">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-bold flex items-center gap-2"><Bookmark size={18} /> {t('scenarios.title')}</h2>
+        <button onClick={onClose} aria-label={t('scenarios.close')} className="p-1 rounded hover:bg-gray-100"><X size={18} /></button>
+      </div>
+      <form onSubmit={handleSubmit} className="flex gap-2 mb-4">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={t('scenarios.namePlaceholder')}
+          className="flex-1 p-2 border rounded shadow-sm text-sm"
+        />
+        <button type="submit" className="px-3 py-2 bg-indigo-600 text-white rounded text-sm font-bold hover:bg-indigo-700">{t('scenarios.save')}</button>
+      </form>
+      {scenarios.length === 0 ? (
+        <p className="text-sm text-gray-500">{t('scenarios.empty')}</p>
+      ) : (
+        <ul className="space-y-2">
+          {scenarios.map((scenario, index) => (
+            <li key={`${scenario.name}-${scenario.savedAt}`} className="border rounded-lg p-3">
+              <div className="font-bold text-sm">{scenario.name}</div>
+              <div className="text-[11px] text-gray-400 mb-2">{formatDate(scenario.savedAt)}</div>
+              <div className="flex gap-2 text-xs">
+                <button onClick={() => onLoad(scenario)} className="px-2 py-1 bg-indigo-50 text-indigo-700 rounded font-bold hover:bg-indigo-100">{t('scenarios.load')}</button>
+                <button onClick={() => onCopyLink(scenario)} className="px-2 py-1 bg-gray-100 rounded hover:bg-gray-200 flex items-center gap-1"><Link size={12} /> {t('scenarios.link')}</button>
+                <button onClick={() => onDelete(index)} aria-label={t('scenarios.deleteNamed', { name: scenario.name })} className="px-2 py-1 text-red-500 rounded hover:bg-red-50 ml-auto">{t('scenarios.delete')}</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </aside>
+  );
+};
+
+// --- Guided Lesson Panel ---
+// 화면 아래쪽에 떠 있어 수업을 따라가면서도 시뮬레이터를 그대로 조작할 수 있습니다.
+// run: 진행 중인 수업 { lesson, index, answers, completed } (index가 단계 수와 같으면 수업을 마친 것), status: 지금 단계의 evaluateStep 결과
+const LessonPanel = ({ run, status, onStart, onAnswer, onMove, onExit, onClose }) => {
+  const { locale, t } = useI18n();
+  const [importText, setImportText] = useState('');
+  const [importErrors, setImportErrors] = useState([]);
+  const [showHint, setShowHint] = useState(false);
+  const text = (value) => localizedText(value, locale);
+
+  const handleImport = (source) => {
+    const { lesson, errors } = parseLesson(source);
+    setImportErrors(errors);
+    if (lesson) {
+      setImportText('');
+      onStart(lesson);
+    }
+  };
+
+  const handleImportFile = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => handleImport(String(reader.result));
+    reader.readAsText(file);
+  };
+
+  const moveTo = (index) => {
+    setShowHint(false);
+    onMove(index);
+  };
+
+  const restart = (lesson) => {
+    setShowHint(false);
+    onStart(lesson);
+  };
+
+  const renderPicker = () => (
+    <>
+      <p className="text-sm font-bold text-gray-600 mb-2">{t('lesson.choose')}</p>
+      <ul className="space-y-2 mb-4">
+        {BUILT_IN_LESSONS.map(lesson => (
+          <li key={lesson.id} className="border rounded-lg p-3">
+            <div className="font-bold text-sm">{text(lesson.title)}</div>
+            {lesson.description && <p className="text-xs text-gray-500 mt-1">{text(lesson.description)}</p>}
+            <div className="flex items-center justify-between mt-2">
+              <span className="text-[11px] text-gray-400">{t('lesson.stepCount', { count: lesson.steps.length })}</span>
+              <button onClick={() => onStart(lesson)} className="px-3 py-1 bg-indigo-600 text-white rounded text-xs font-bold hover:bg-indigo-700">{t('lesson.start')}</button>
+            </div>
+          </li>
+        ))}
+      </ul>
+      <p className="text-sm font-bold text-gray-600 mb-2">{t('lesson.importTitle')}</p>
+      <textarea
+        value={importText}
+        onChange={(e) => setImportText(e.target.value)}
+        aria-label={t('lesson.importTitle')}
+        placeholder={t('lesson.importPlaceholder')}
+        rows={4}
+        className="w-full p-2 border rounded font-mono text-xs"
+      />
+      <div className="flex gap-2 mt-2">
+        <label className="text-xs px-3 py-1 bg-white border rounded shadow-sm cursor-pointer hover:bg-gray-50 flex items-center gap-1">
+          <Upload size={12} /> {t('lesson.chooseFile')}
+          <input
+            type="file" accept=".json,application/json" className="hidden"
+            onChange={(e) => { handleImportFile(e.target.files[0]); e.target.value = ''; }}
+          />
+        </label>
+        <button
+          onClick={() => handleImport(importText)}
+          disabled={importText.trim() === ''}
+          className="text-xs px-3 py-1 bg-indigo-600 text-white rounded font-bold disabled:opacity-40"
+        >
+          {t('lesson.load')}
+        </button>
+      </div>
+      {importErrors.length > 0 && (
+        <ul role="alert" className="mt-2 p-2 bg-red-50 border border-red-200 rounded list-disc pl-5 text-xs text-red-800 max-h-32 overflow-y-auto">
+          {importErrors.map((err, i) => {
+            const message = t(`lesson.errors.${err.code}`, err.params);
+            return <li key={i}>{err.step === null ? message : t('lesson.errorStep', { step: err.step, message })}</li>;
+          })}
+        </ul>
+      )}
+    </>
+  );
+
+  const renderStep = () => {
+    const { lesson, index, answers, completed } = run;
+    const total = lesson.steps.length;
+    if (index >= total) {
+      return (
+        <>
+          <p className="text-sm font-bold text-green-700 mb-3">{t('lesson.finished')}</p>
+          <div className="flex gap-2 text-xs">
+            <button onClick={() => restart(lesson)} className="px-3 py-1 bg-indigo-50 text-indigo-700 rounded font-bold hover:bg-indigo-100">{t('lesson.restart')}</button>
+            <button onClick={onExit} className="px-3 py-1 bg-gray-100 rounded hover:bg-gray-200">{t('lesson.exit')}</button>
+          </div>
+        </>
+      );
+    }
+    const current = lesson.steps[index];
+    const answer = answers[index] ?? null;
+    const done = completed[index] || status.complete;
+    return (
+      <>
+        <div className="text-[11px] text-gray-400 mb-1">{t('lesson.progress', { step: index + 1, total })}</div>
+        <p className="text-sm mb-2">{text(current.prompt)}</p>
+        {current.hint && (
+          <div className="mb-2">
+            <button onClick={() => setShowHint(!showHint)} aria-expanded={showHint} className="text-xs text-indigo-600 underline">
+              {t(showHint ? 'lesson.hideHint' : 'lesson.showHint')}
+            </button>
+            {showHint && <p className="text-xs text-gray-600 bg-yellow-50 rounded p-2 mt-1">{text(current.hint)}</p>}
+          </div>
+        )}
+        {current.question && (
+          <div className="mb-2">
+            <div role="group" aria-label={t('lesson.choices')} className="flex flex-wrap gap-2">
+              {current.question.choices.map((choice, i) => (
+                <button
+                  key={i}
+                  aria-pressed={answer === i}
+                  onClick={() => onAnswer(i)}
+                  className={`px-2 py-1 rounded border text-xs ${answer === i ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white hover:bg-gray-50'}`}
+                >
+                  {text(choice)}
+                </button>
+              ))}
+            </div>
+            {answer !== null && (
+              <div aria-live="polite" className={`mt-2 text-xs ${status.answered ? 'text-green-700' : 'text-red-600'}`}>
+                <b>{t(status.answered ? 'lesson.correct' : 'lesson.wrong')}</b>
+                {status.answered && current.question.explanation && <span> {text(current.question.explanation)}</span>}
+              </div>
+            )}
+          </div>
+        )}
+        {current.check && (
+          <p role="status" className={`text-xs mb-2 ${done ? 'text-green-700 font-bold' : 'text-gray-500'}`}>
+            {done ? t('lesson.complete') : t(status.answered ? 'lesson.waiting' : 'lesson.answerFirst')}
+          </p>
+        )}
+        <div className="flex gap-2 text-xs mt-3">
+          <button onClick={() => moveTo(index - 1)} disabled={index === 0} className="px-3 py-1 bg-gray-100 rounded hover:bg-gray-200 disabled:opacity-40">{t('lesson.previous')}</button>
+          <button onClick={onExit} className="px-3 py-1 text-gray-500 rounded hover:bg-gray-100">{t('lesson.exit')}</button>
+          <button onClick={() => moveTo(index + 1)} disabled={!done} className="ml-auto px-3 py-1 bg-indigo-600 text-white rounded font-bold hover:bg-indigo-700 disabled:opacity-40">
+            {t(index === total - 1 ? 'lesson.finish' : 'lesson.next')}
+          </button>
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <aside aria-label={t('lesson.title')} className="fixed bottom-4 right-4 w-96 max-h-[70vh] overflow-y-auto bg-white shadow-2xl border rounded-2xl z-30 p-4">
+      <div className="flex justify-between items-center mb-3">
+        <h2 className="text-base font-bold flex items-center gap-2">
+          <GraduationCap size={18} /> {run ? text(run.lesson.title) : t('lesson.title')}
+        </h2>
+        <button onClick={onClose} aria-label={t('lesson.close')} className="p-1 rounded hover:bg-gray-100"><X size={18} /></button>
+      </div>
+      {run ? renderStep() : renderPicker()}
+    </aside>
+  );
+};
+
+const Simulator = ({ onLocaleChange }) => {
+  const i18n = useI18n();
+  const { locale, t, rich, formatNumber, formatSignificant } = i18n;
+  // 차트 툴팁의 값: 손실처럼 크기가 제각각인 값이라 유효 숫자로 맞춥니다.
+  const formatTooltipValue = (value) => (typeof value === 'number' ? formatSignificant(value, 4) : value);
+
+  // --- State for Main Activity ---
+  const [dataPoints, setDataPoints] = useState(DEFAULT_SESSION.dataPoints);
 
-  const [manualA, setManualA] = useState(1.5);
-  const [learningRate, setLearningRate] = useState(0.01);
-  const [initialA, setInitialA] = useState(0);
-  const iterations = 30;
+  // 'origin': y = ax (원점을 지나는 직선), 'intercept': y = ax + b, 'polynomial': 다항식,
+  // 'logistic': y = σ(ax + b) (0/1 레이블 분류, 손실은 BCE로 고정)
+  const [modelType, setModelType] = useState(DEFAULT_SESSION.modelType);
+  const useIntercept = modelType !== 'origin';
+  const isPolynomial = modelType === 'polynomial';
+  const isLogistic = modelType === 'logistic';
+  // 로지스틱 모드로 바꾸며 예시 데이터로 대신한 회귀 데이터. 돌아올 때 되살립니다.
+  const [regressionData, setRegressionData] = useState(null);
+  const [polyDegree, setPolyDegree] = useState(DEFAULT_SESSION.polyDegree);
+  const [standardize, setStandardize] = useState(DEFAULT_SESSION.standardize);
+  const model = useMemo(() => (
+    isPolynomial ? { degree: polyDegree, standardize } : DEFAULT_MODEL
+  ), [isPolynomial, polyDegree, standardize]);
+
+  const [lossType, setLossType] = useState(DEFAULT_SESSION.lossType);
+  const [huberDelta, setHuberDelta] = useState(DEFAULT_SESSION.huberDelta);
+  const loss = useMemo(() => ({ type: lossType, delta: huberDelta }), [lossType, huberDelta]);
+  const lossInfo = LOSS_INFO[lossType];
+
+  const [manualA, setManualA] = useState(DEFAULT_SESSION.manualA);
+  const [manualB, setManualB] = useState(DEFAULT_SESSION.manualB);
+  // 다항식의 2차 이상 계수 [c₂, …, c_d]
+  const [manualC, setManualC] = useState(DEFAULT_SESSION.manualC);
+  // 현재 (a, b, c)에서 계산에 쓰는 다항식 정보. 직선 모델이면 null
+  const poly = useMemo(() => createPoly(model, dataPoints, manualC), [model, dataPoints, manualC]);
+  // 표와 카드에 한 칸씩 추가되는 고차 계수의 차수: [2, …, d]
+  const coefficientIndices = isPolynomial ? Array.from({ length: polyDegree - 1 }, (_, i) => i + 2) : [];
+  const [learningRate, setLearningRate] = useState(DEFAULT_SESSION.learningRate);
+  const [initialA, setInitialA] = useState(DEFAULT_SESSION.initialA);
+  const [initialB, setInitialB] = useState(DEFAULT_SESSION.initialB);
+  const [optimizerType, setOptimizerType] = useState(DEFAULT_SESSION.optimizerType);
+  const [hyperparams, setHyperparams] = useState(DEFAULT_SESSION.hyperparams);
+  const [optimizerState, setOptimizerState] = useState(null);
+  const optimizer = { ...OPTIMIZERS[optimizerType], ...OPTIMIZER_INFO[optimizerType] };
+  const optimizerLabel = t(`optimizers.${optimizerType}.label`);
+  const deltaLabel = t(`optimizers.${optimizerType}.deltaLabel`);
+  const [batchMode, setBatchMode] = useState(DEFAULT_SESSION.batchMode);
+  const [batchSize, setBatchSize] = useState(DEFAULT_SESSION.batchSize);
+  const [batchSeed, setBatchSeed] = useState(DEFAULT_SESSION.batchSeed);
+  const [iterations, setIterations] = useState(DEFAULT_SESSION.iterations);
+  const [tolerance, setTolerance] = useState(DEFAULT_SESSION.tolerance);
   const [gdHistory, setGdHistory] = useState([]);
 
   // --- Animation State ---
   const [isAnimating, setIsAnimating] = useState(false);
+  // currentStep: 지금 보고 있는 단계. 타임라인으로 과거 단계로 돌아가면 gdHistory보다 앞을 가리킵니다.
   const [currentStep, setCurrentStep] = useState(0);
-  const [stepDetails, setStepDetails] = useState(null);
+  // 단계별 계산 과정(engine.step의 details). 인덱스가 단계 번호이며, 점마다의 계산(pointGradients)은 빼고 저장합니다.
+  const [stepLog, setStepLog] = useState([]);
+  const stepDetails = stepLog.length > 0 ? stepLog[currentStep] : null;
+  const [playbackDelay, setPlaybackDelay] = useState(500);
+  // 같은 출발점에서 뉴턴법으로 진행한 경로를 경사하강법 옆에 함께 그립니다.
+  const [showNewton, setShowNewton] = useState(DEFAULT_SESSION.showNewton);
+  // 손실 곡선 위에 곡률(2차 근사)과 할선-접선 비교를 함께 그립니다. 할선 간격은 h = 10^secantExponent
+  const [showCurvature, setShowCurvature] = useState(DEFAULT_SESSION.showCurvature);
+  const [secantExponent, setSecantExponent] = useState(0);
+
+  // --- Dataset Import State ---
+  const [showImport, setShowImport] = useState(false);
+  const [importText, setImportText] = useState('');
+  const [importResult, setImportResult] = useState(null);
+  const [isDragOver, setIsDragOver] = useState(false);
+
+  // --- Dataset Generator State ---
+  const [showGenerator, setShowGenerator] = useState(false);
+  const [generatorOptions, setGeneratorOptions] = useState(DEFAULT_GENERATOR);
+
+  // 차트에서 점을 끄는 동안에는 축 범위를 고정해 점이 손가락을 따라가게 합니다.
+  const [frozenChartDomain, setFrozenChartDomain] = useState(null);
   const animationRef = useRef(null);
 
-  // --- Calculations ---
+  // --- Background Computation ---
+  // 끝까지 실행과 손실 곡선·곡면 샘플링은 웹 워커에서 돌립니다. backgroundRun: 진행 중인 끝까지 실행 { done, total }
+  const computeRef = useRef(null);
+  const cancelRunRef = useRef(null);
+  const [backgroundRun, setBackgroundRun] = useState(null);
 
-  const calculateMSE = (a, data) => {
-    if (!data || data.length === 0) return 0;
-    const sumSquaredError = data.reduce((acc, point) => {
-      const prediction = a * point.x;
-      const error = prediction - point.y;
-      return acc + (error * error);
-    }, 0);
-    return sumSquaredError / data.length;
-  };
+  useEffect(() => {
+    computeRef.current = createComputeClient();
+    return () => computeRef.current.terminate();
+  }, []);
 
-  const calculateGradientDetails = (a, data) => {
-    const n = data.length;
-    let totalGradientSum = 0;
-    const pointGradients = data.map((p, index) => {
-      // Chain Rule: dE/da = 2(ax - y) * x
-      const prediction = a * p.x;
-      const errorTerm = (prediction - p.y);
-      const contribution = 2 * errorTerm * p.x;
-      totalGradientSum += contribution;
+  // --- Comparison Race State ---
+  const [raceRuns, setRaceRuns] = useState(DEFAULT_SESSION.raceRuns);
+  // run id -> { history, state } (state는 engine.step의 상태)
+  const [raceProgress, setRaceProgress] = useState({});
+  const [isRacing, setIsRacing] = useState(false);
+  const raceRef = useRef(null);
 
-      return {
-        id: index + 1,
-        x: p.x,
-        y: p.y,
-        prediction: prediction,
-        errorTerm: errorTerm,
-        contribution: contribution
-      };
-    });
+  // --- Session State ---
+  const [sessionRestored, setSessionRestored] = useState(false);
+  const [scenarios, setScenarios] = useState(() => loadScenarios());
+  const [showScenarios, setShowScenarios] = useState(false);
+  const [shareMessage, setShareMessage] = useState('');
 
-    const finalGradient = totalGradientSum / n;
-    return { finalGradient, pointGradients };
-  };
+  // --- Guided Lesson State ---
+  // lessonRun: { lesson, index, answers: { 단계: 고른 보기 }, completed: { 단계: true }, savedSession }
+  // 한 번 끝낸 단계는 학생이 슬라이더를 다시 옮겨도 끝난 것으로 남깁니다. savedSession은 수업을 시작하기 전의 세션입니다.
+  const [showLesson, setShowLesson] = useState(false);
+  const [lessonRun, setLessonRun] = useState(null);
+
+  // --- Export State ---
+  // 그림으로 저장할 차트를 감싼 요소와, 워크시트 설정(데이터별 계산을 넣을 단계, 값 비우기)
+  const scatterChartRef = useRef(null);
+  const lossChartRef = useRef(null);
+  const learningChartRef = useRef(null);
+  const [showWorksheet, setShowWorksheet] = useState(false);
+  const [worksheetSteps, setWorksheetSteps] = useState('');
+  const [worksheetBlank, setWorksheetBlank] = useState(false);
 
   // --- Simulation & Animation ---
 
+  const simulationConfig = useMemo(() => ({
+    useIntercept, model, loss, hyperparams, batchMode, batchSize, batchSeed
+  }), [useIntercept, model, loss, hyperparams, batchMode, batchSize, batchSeed]);
+
   const performSingleStep = useCallback(() => {
     let startA = parseFloat(initialA);
+    let startB = useIntercept ? parseFloat(initialB) || 0 : 0;
+    let startC = [];
     let nextStepIndex = 0;
     let currentHistory = [];
+    let currentLog = [];
 
     if (gdHistory.length > 0) {
       startA = manualA;
+      startB = useIntercept ? manualB : 0;
+      startC = manualC;
       nextStepIndex = currentStep + 1;
-      currentHistory = gdHistory;
+      // 과거 단계로 돌아가 있었다면 그 뒤의 기록은 버리고 여기서부터 새로 진행합니다.
+      currentHistory = gdHistory.slice(0, nextStepIndex);
+      currentLog = stepLog.slice(0, nextStepIndex);
     } else {
-      startA = parseFloat(initialA);
       nextStepIndex = 0;
-      currentHistory = [];
       setManualA(startA);
+      setManualB(startB);
+      setManualC([]);
     }
 
-    if (nextStepIndex > iterations) return;
-
-    const mse = calculateMSE(startA, dataPoints);
-    const { finalGradient, pointGradients } = calculateGradientDetails(startA, dataPoints);
+    if (nextStepIndex > iterations || !Number.isFinite(startA) || !Number.isFinite(startB)) return;
 
-    const newHistoryEntry = {
-      step: nextStepIndex,
-      a: parseFloat(startA.toFixed(4)),
-      mse: parseFloat(mse.toFixed(4)),
-      gradient: parseFloat(finalGradient.toFixed(4))
-    };
+    const result = step(
+      { a: startA, b: startB, c: startC, step: nextStepIndex, optimizerState: gdHistory.length > 0 ? optimizerState : null },
+      dataPoints,
+      { ...simulationConfig, learningRate, optimizerType }
+    );
 
-    const newHistory = [...currentHistory, newHistoryEntry];
-    setGdHistory(newHistory);
-    setStepDetails({ pointGradients, finalGradient, currentA: startA });
+    setGdHistory([...currentHistory, toHistoryEntry(result.details)]);
+    setStepLog([...currentLog, withoutPointGradients(result.details)]);
+    setOptimizerState(result.state.optimizerState);
     setCurrentStep(nextStepIndex);
 
-    const nextA = startA - parseFloat(learningRate) * finalGradient;
-    setManualA(nextA);
-  }, [gdHistory, initialA, manualA, currentStep, iterations, dataPoints, learningRate]);
+    setManualA(result.state.a);
+    if (useIntercept) {
+      setManualB(result.state.b);
+      setManualC(result.state.c);
+    }
+  }, [gdHistory, stepLog, initialA, initialB, manualA, manualB, manualC, useIntercept, currentStep, iterations, dataPoints, learningRate, optimizerType, optimizerState, simulationConfig]);
 
   const startSimulation = () => {
     if (isAnimating) {
@@ -118,75 +862,944 @@ const App = () => {
     }
     if (gdHistory.length === 0) {
       setManualA(parseFloat(initialA));
+      setManualB(useIntercept ? parseFloat(initialB) || 0 : 0);
       setCurrentStep(0);
     }
     setIsAnimating(true);
   };
 
+  const cancelBackgroundRun = useCallback(() => {
+    if (cancelRunRef.current) cancelRunRef.current();
+    cancelRunRef.current = null;
+    setBackgroundRun(null);
+  }, []);
+
   const stopSimulation = () => {
     setIsAnimating(false);
     if (animationRef.current) clearTimeout(animationRef.current);
+    cancelBackgroundRun();
   };
 
+  // 워커에 학습을 맡기고, 묶음이 도착할 때마다 기록을 이어 붙이고 마지막 단계를 보여 줍니다. 끝까지 실행과 세션 복원이 함께 씁니다.
+  // trainsB: 절편을 학습하는 모델인지. onDone(log)은 마지막 묶음을 받은 뒤 이번에 받은 단계 전체를 넘겨 한 번 부릅니다.
+  const streamTraining = useCallback((params, { trainsB, onDone = () => {} }) => {
+    const received = [];
+    let finished = false;
+    setBackgroundRun({ done: 0, total: params.count });
+    const cancel = computeRef.current.train(params, (message) => {
+      const last = message.log[message.log.length - 1];
+      received.push(...message.log);
+      setGdHistory(prev => [...prev, ...message.history]);
+      setStepLog(prev => [...prev, ...message.log]);
+      if (last) {
+        setCurrentStep(last.step);
+        setOptimizerState(last.optimizerState);
+        setManualA(message.state.a);
+        if (trainsB) {
+          setManualB(message.state.b);
+          setManualC(message.state.c);
+        }
+      }
+      if (message.done) {
+        finished = true;
+        cancelRunRef.current = null;
+        setBackgroundRun(null);
+        onDone(received);
+      } else {
+        setBackgroundRun(prev => prev && { ...prev, done: prev.done + message.history.length });
+      }
+    });
+    // 워커가 없으면 첫 묶음에서 이미 끝났을 수 있습니다.
+    if (!finished) cancelRunRef.current = cancel;
+  }, []);
+
+  // 최대 반복까지 남은 단계를 워커에서 한꺼번에 진행합니다. 이어 가는 위치와 멈추는 조건은 단계별 실행, 자동 실행과 같습니다.
+  const runToEnd = () => {
+    if (backgroundRun) {
+      cancelBackgroundRun();
+      return;
+    }
+    stopSimulation();
+    const resuming = gdHistory.length > 0;
+    const start = resuming
+      ? { a: manualA, b: useIntercept ? manualB : 0, c: manualC, step: currentStep + 1, optimizerState }
+      : initialState(parseFloat(initialA), useIntercept ? parseFloat(initialB) || 0 : 0);
+    const total = iterations + 1 - start.step;
+    if (total <= 0 || !Number.isFinite(start.a) || !Number.isFinite(start.b)) return;
+    const history = gdHistory.slice(0, start.step);
+    setGdHistory(history);
+    setStepLog(stepLog.slice(0, start.step));
+
+    streamTraining({
+      start,
+      data: dataPoints,
+      config: { ...simulationConfig, learningRate, optimizerType },
+      history,
+      count: total,
+      stopOptions: { useIntercept, tolerance: parseFloat(tolerance) || CONVERGENCE_TOLERANCE, maxSteps: iterations },
+    }, { trainsB: useIntercept });
+  };
+
+  // 기록해 둔 index번째 단계로 이동합니다. 차트, 표, 카드가 모두 그 단계의 값으로 바뀝니다.
+  const jumpToStep = (index) => {
+    const details = stepLog[index];
+    if (!details) return;
+    stopSimulation();
+    setCurrentStep(index);
+    setOptimizerState(details.optimizerState);
+    setManualA(details.nextA);
+    setManualB(useIntercept ? details.nextB : 0);
+    setManualC(details.nextC);
+  };
+
+  // 보고 있는 단계까지의 기록
+  const visibleHistory = useMemo(() => gdHistory.slice(0, currentStep + 1), [gdHistory, currentStep]);
+
+  // 보고 있는 단계의 점별 계산. stepLog에는 없으므로 그 단계의 매개변수로 다시 계산하고, 표에는 보이는 행만 그립니다.
+  const stepRows = useMemo(() => (
+    stepDetails ? stepPointGradients(stepDetails, dataPoints, simulationConfig) : []
+  ), [stepDetails, dataPoints, simulationConfig]);
+  const tableWindow = useVirtualRows(stepRows.length, TABLE_ROW_HEIGHT, TABLE_VIEWPORT_HEIGHT);
+
+  // --- Analytic Optimum & Newton's Method ---
+  // 최적해는 MSE일 때만 닫힌 형태로 구할 수 있고, 다른 손실이면 null입니다.
+  const optimum = useMemo(() => analyticOptimum(dataPoints, useIntercept, loss, poly), [dataPoints, useIntercept, loss, poly]);
+  const currentDistance = distanceToOptimum({ a: manualA, b: manualB, c: manualC }, optimum);
+
+  // 경사하강법 기록과 같은 출발점, 같은 단계 수로 뉴턴법을 진행합니다.
+  // 기록이 늘어나기만 했다면(단계 진행, 끝까지 실행의 묶음) 처음부터 다시 풀지 않고 지난 결과에 이어 붙입니다.
+  const newtonCacheRef = useRef(null);
+  const newtonRun = useMemo(() => {
+    if (!showNewton || gdHistory.length === 0) return null;
+    const start = gdHistory[0];
+    const cached = newtonCacheRef.current;
+    const grown = cached !== null && cached.data === dataPoints && cached.config === simulationConfig
+      && cached.start.a === start.a && cached.start.b === start.b && String(cached.start.c) === String(start.c)
+      && cached.run.history.length <= gdHistory.length;
+    const run = grown
+      ? extendNewton(cached.run, dataPoints, simulationConfig, gdHistory.length)
+      : runNewton(initialState(start.a, start.b, start.c), dataPoints, simulationConfig, gdHistory.length);
+    newtonCacheRef.current = { start, data: dataPoints, config: simulationConfig, run };
+    return run;
+  }, [showNewton, gdHistory, dataPoints, simulationConfig]);
+  const visibleNewtonHistory = useMemo(() => (newtonRun ? newtonRun.history.slice(0, currentStep + 1) : []), [newtonRun, currentStep]);
+  const newtonEntry = newtonRun ? newtonRun.history[currentStep] : null;
+
+  // 레이스에서 한 단계라도 진행한 실행과 그 색. 학습 곡선에 실행마다 선을 하나씩 겹쳐 그립니다.
+  const racingRuns = useMemo(() => raceRuns
+    .map((run, runIndex) => ({ run, color: RUN_COLORS[runIndex % RUN_COLORS.length] }))
+    .filter(({ run }) => raceProgress[run.id]), [raceRuns, raceProgress]);
+
+  // 학습 곡선에 뉴턴법과 레이스 실행(run{id})의 손실을 같은 단계 번호로 겹쳐 그립니다.
+  const learningCurveData = useMemo(() => {
+    if (!newtonRun && racingRuns.length === 0) return gdHistory;
+    const length = Math.max(gdHistory.length, ...racingRuns.map(({ run }) => raceProgress[run.id].history.length));
+    return Array.from({ length }, (_, i) => {
+      const row = { step: i, ...gdHistory[i] };
+      if (newtonRun) row.newtonLoss = newtonRun.history[i] ? newtonRun.history[i].loss : null;
+      racingRuns.forEach(({ run }) => {
+        const entry = raceProgress[run.id].history[i];
+        if (entry && Number.isFinite(entry.loss)) row[`run${run.id}`] = entry.loss;
+      });
+      return row;
+    });
+  }, [gdHistory, newtonRun, racingRuns, raceProgress]);
+
+  const trainingStatus = useMemo(() => (
+    detectTrainingStatus(visibleHistory, { useIntercept, tolerance: parseFloat(tolerance) || CONVERGENCE_TOLERANCE, maxSteps: iterations })
+  ), [visibleHistory, useIntercept, tolerance, iterations]);
+
+  const stableLearningRate = useMemo(() => maxStableLearningRate(dataPoints, useIntercept, loss, poly), [dataPoints, useIntercept, loss, poly]);
+
   useEffect(() => {
     if (isAnimating) {
+      // 수렴, 발산, 멈추지 않는 진동이 감지되면 자동 실행을 멈춥니다.
+      if (trainingStatus.stop) {
+        setIsAnimating(false);
+        return undefined;
+      }
       animationRef.current = setTimeout(() => {
         performSingleStep();
-      }, 500);
+      }, playbackDelay);
     }
     return () => clearTimeout(animationRef.current);
-  }, [isAnimating, performSingleStep]);
+  }, [isAnimating, performSingleStep, trainingStatus, playbackDelay]);
+
+  // --- Comparison Race ---
+
+  const performRaceStep = useCallback(() => {
+    const startB = useIntercept ? parseFloat(initialB) || 0 : 0;
+    let anyStepped = false;
+    const nextProgress = {};
+    raceRuns.forEach((run) => {
+      const progress = raceProgress[run.id];
+      if (isRunFinished(progress, iterations, useIntercept, parseFloat(tolerance) || CONVERGENCE_TOLERANCE)) {
+        nextProgress[run.id] = progress;
+        return;
+      }
+      const result = step(
+        progress ? progress.state : { a: parseFloat(run.initialA) || 0, b: startB, step: 0, optimizerState: null },
+        dataPoints,
+        { ...simulationConfig, learningRate: run.learningRate, optimizerType: run.optimizerType }
+      );
+      anyStepped = true;
+      nextProgress[run.id] = {
+        history: [...(progress ? progress.history : []), toHistoryEntry(result.details)],
+        state: result.state
+      };
+    });
+    if (!anyStepped) {
+      setIsRacing(false);
+      return;
+    }
+    setRaceProgress(nextProgress);
+  }, [raceRuns, raceProgress, dataPoints, simulationConfig, useIntercept, initialB, iterations, tolerance]);
+
+  const resetRace = () => {
+    setIsRacing(false);
+    if (raceRef.current) clearTimeout(raceRef.current);
+    setRaceProgress({});
+  };
+
+  const updateRaceRun = (id, field, value) => {
+    setRaceRuns(raceRuns.map(run => (run.id === id ? { ...run, [field]: value } : run)));
+    resetRace();
+  };
+
+  const addRaceRun = () => {
+    const id = Math.max(0, ...raceRuns.map(run => run.id)) + 1;
+    setRaceRuns([...raceRuns, { id, learningRate: parseFloat(learningRate) || 0.001, initialA: parseFloat(initialA) || 0, optimizerType }]);
+    resetRace();
+  };
+
+  const removeRaceRun = (id) => {
+    setRaceRuns(raceRuns.filter(run => run.id !== id));
+    resetRace();
+  };
+
+  useEffect(() => {
+    if (isRacing) {
+      raceRef.current = setTimeout(() => {
+        performRaceStep();
+      }, 300);
+    }
+    return () => clearTimeout(raceRef.current);
+  }, [isRacing, performRaceStep]);
+
+  // 데이터, 모델, 공통 하이퍼파라미터가 바뀌면 이전 레이스 결과는 더 이상 의미가 없습니다.
+  useEffect(() => {
+    setIsRacing(false);
+    setRaceProgress({});
+  }, [dataPoints, simulationConfig, initialB]);
+
+  // --- Session Save / Restore ---
+
+  const currentSession = useMemo(() => ({
+    dataPoints, modelType, polyDegree, standardize, lossType, huberDelta, learningRate, initialA, initialB, manualA, manualB, manualC,
+    optimizerType, hyperparams, batchMode, batchSize, batchSeed, iterations, tolerance, showNewton, showCurvature,
+    steps: gdHistory.length, viewStep: currentStep, raceRuns
+  }), [dataPoints, modelType, polyDegree, standardize, lossType, huberDelta, learningRate, initialA, initialB, manualA, manualB, manualC,
+    optimizerType, hyperparams, batchMode, batchSize, batchSeed, iterations, tolerance, showNewton, showCurvature, gdHistory.length, currentStep, raceRuns]);
+
+  // 세션에 빠진 값은 기본값으로 채우고, 저장된 단계 수만큼 처음부터 다시 계산해 기록과 옵티마이저 상태를 되살립니다.
+  // 다시 계산은 끝까지 실행처럼 워커에서 묶음으로 진행하며, 다 받은 뒤에 저장해 둔 단계를 보여 줍니다.
+  // 손으로 a, b를 옮기면 기록을 지우고 그곳을 시작값으로 삼으므로(moveByHand), 시작값에서 다시 계산한 기록은 저장할 때와 같습니다.
+  const applySession = useCallback((session) => {
+    const merged = { ...DEFAULT_SESSION, ...session };
+    // 함께 쓸 수 없는 조합(sessionConflicts)은 모델 종류를 바꿀 때(handleModelTypeChange)처럼 모델에 맞춥니다.
+    // 로지스틱 회귀에는 분류 손실과 0/1 데이터를 쓰고, 다른 모델에서는 분류 손실 대신 기본 손실을 씁니다.
+    const logistic = merged.modelType === 'logistic';
+    const replacesData = logistic && !isBinaryData(merged.dataPoints);
+    const next = {
+      ...merged,
+      lossType: isClassificationLoss(merged.lossType) === logistic ? merged.lossType : (logistic ? 'bce' : DEFAULT_LOSS.type),
+      dataPoints: replacesData ? CLASSIFICATION_DATA : merged.dataPoints,
+    };
+    if (replacesData) setRegressionData(merged.dataPoints);
+    const nextUseIntercept = next.modelType !== 'origin';
+    const nextModel = next.modelType === 'polynomial' ? { degree: next.polyDegree, standardize: next.standardize } : DEFAULT_MODEL;
+    setIsAnimating(false);
+    clearTimeout(animationRef.current);
+    cancelBackgroundRun();
+    setDataPoints(next.dataPoints);
+    setModelType(next.modelType);
+    setPolyDegree(next.polyDegree);
+    setStandardize(next.standardize);
+    setLossType(next.lossType);
+    setHuberDelta(next.huberDelta);
+    setLearningRate(next.learningRate);
+    setInitialA(next.initialA);
+    setInitialB(next.initialB);
+    setOptimizerType(next.optimizerType);
+    setHyperparams(next.hyperparams);
+    setBatchMode(next.batchMode);
+    setBatchSize(next.batchSize);
+    setBatchSeed(next.batchSeed);
+    setIterations(next.iterations);
+    setTolerance(next.tolerance);
+    setShowNewton(next.showNewton);
+    setShowCurvature(next.showCurvature);
+    setRaceRuns(next.raceRuns);
+
+    const start = initialState(next.initialA, nextUseIntercept ? next.initialB : 0);
+    // 보던 단계가 없으면 마지막 단계를 보여 줍니다.
+    const showRestored = (log) => {
+      const viewed = log[next.viewStep !== undefined ? Math.min(next.viewStep, log.length - 1) : log.length - 1];
+      setOptimizerState(viewed ? viewed.optimizerState : null);
+      setCurrentStep(viewed ? viewed.step : 0);
+      setManualA(session.manualA !== undefined ? session.manualA : (viewed ? viewed.nextA : start.a));
+      setManualB(nextUseIntercept ? (session.manualB !== undefined ? session.manualB : (viewed ? viewed.nextB : start.b)) : 0);
+      setManualC(session.manualC !== undefined ? session.manualC : (viewed ? viewed.nextC : []));
+    };
+    setGdHistory([]);
+    setStepLog([]);
+    const count = Math.min(next.steps, next.iterations + 1);
+    if (!(count > 0)) {
+      showRestored([]);
+      return;
+    }
+    streamTraining({
+      start,
+      data: next.dataPoints,
+      config: {
+        learningRate: next.learningRate,
+        optimizerType: next.optimizerType,
+        hyperparams: next.hyperparams,
+        useIntercept: nextUseIntercept,
+        model: nextModel,
+        loss: { type: next.lossType, delta: next.huberDelta },
+        batchMode: next.batchMode,
+        batchSize: next.batchSize,
+        batchSeed: next.batchSeed,
+      },
+      count,
+      // 저장할 때의 기록을 그대로 되살리도록 수렴·발산에서 멈추지 않습니다.
+      stopOptions: null,
+    }, { trainsB: nextUseIntercept, onDone: showRestored });
+  }, [cancelBackgroundRun, streamTraining]);
+
+  // 처음 열 때는 공유 링크(#s=...)를, 없으면 자동 저장된 세션을 불러옵니다.
+  useEffect(() => {
+    const session = sessionFromHash(window.location.hash) || loadAutosave();
+    if (session) applySession(session);
+    setSessionRestored(true);
+
+    // 이미 열린 탭에 다른 공유 링크를 붙여넣은 경우
+    const handleHashChange = () => {
+      const shared = sessionFromHash(window.location.hash);
+      if (shared) applySession(shared);
+    };
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, [applySession]);
+
+  // 복원이 끝난 뒤부터 바뀔 때마다 자동 저장하고, 주소창의 해시도 현재 상태로 맞춥니다.
+  // 슬라이더와 끌기, 끝까지 실행의 묶음마다 데이터 전체를 다시 인코딩하지 않도록 잠시 멈췄을 때 한 번만 저장합니다.
+  // 주소에 담기에 너무 길면 해시를 지우고 자동 저장에만 남깁니다.
+  useEffect(() => {
+    if (!sessionRestored) return undefined;
+    const timer = setTimeout(() => {
+      saveAutosave(currentSession);
+      const encoded = encodeSession(currentSession);
+      const { pathname, search } = window.location;
+      window.history.replaceState(null, '', fitsInHash(encoded) ? `${HASH_PREFIX}${encoded}` : `${pathname}${search}`);
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [sessionRestored, currentSession]);
+
+  // 링크에 담기에 너무 큰 세션은 시나리오로 저장하도록 안내합니다.
+  const copyLink = (encoded) => {
+    if (!fitsInHash(encoded)) {
+      setShareMessage(t('header.linkTooLong'));
+      setShowScenarios(true);
+      return;
+    }
+    const url = `${window.location.origin}${window.location.pathname}${HASH_PREFIX}${encoded}`;
+    const done = () => setShareMessage(t('header.linkCopied'));
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(url).then(done, () => setShareMessage(url));
+    } else {
+      setShareMessage(url);
+    }
+  };
+
+  const saveScenario = (name) => {
+    const next = [...scenarios, { name, encoded: encodeSession(currentSession), savedAt: Date.now() }];
+    setScenarios(next);
+    saveScenarios(next);
+  };
+
+  const loadScenario = (scenario) => {
+    const session = decodeSession(scenario.encoded);
+    if (session) applySession(session);
+  };
+
+  const deleteScenario = (index) => {
+    const next = scenarios.filter((_, i) => i !== index);
+    setScenarios(next);
+    saveScenarios(next);
+  };
 
   const handleDataChange = (index, field, value) => {
     const newData = [...dataPoints];
-    newData[index] = { ...newData[index], [field]: parseFloat(value) || 0 };
+    const number = parseFloat(value) || 0;
+    newData[index] = { ...newData[index], [field]: isLogistic && field === 'y' ? toLabel(number) : number };
     setDataPoints(newData);
     resetSimulation();
   };
 
+  const addDataPoint = () => {
+    const last = dataPoints[dataPoints.length - 1];
+    setDataPoints([...dataPoints, last ? { x: last.x + 1, y: last.y } : { x: 0, y: 0 }]);
+    resetSimulation();
+  };
+
+  const removeDataPoint = (index) => {
+    if (dataPoints.length <= MIN_DATA_POINTS) return;
+    setDataPoints(dataPoints.filter((_, i) => i !== index));
+    resetSimulation();
+  };
+
+  // --- Dataset Import / Export ---
+
+  const applyImportedPoints = (points) => {
+    setDataPoints(points);
+    setImportResult(null);
+    setImportText('');
+    setShowImport(false);
+    resetSimulation();
+  };
+
+  const handleImportText = (text) => {
+    const result = parseDataset(text, { binary: isLogistic });
+    if (result.errors.length === 0 && result.points.length >= MIN_DATA_POINTS) {
+      applyImportedPoints(result.points);
+    } else {
+      setImportResult(result);
+    }
+  };
+
+  const handleImportFile = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => handleImportText(String(reader.result));
+    reader.readAsText(file);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragOver(false);
+    handleImportFile(e.dataTransfer.files[0]);
+  };
+
+  // --- Dataset Generator ---
+
+  const applyGenerator = (options) => {
+    setGeneratorOptions(options);
+    setDataPoints(generateDataset(options, { binary: isLogistic }));
+    resetSimulation();
+  };
+
+  const applyPreset = (key) => {
+    applyGenerator({ ...DEFAULT_GENERATOR, seed: generatorOptions.seed, ...DATASET_PRESETS[key].params });
+  };
+
+  const exportDataset = () => {
+    downloadFile('dataset.csv', toCSV([{ key: 'x', label: 'x' }, { key: 'y', label: 'y' }], dataPoints));
+  };
+
+  // 다항식 계수는 배열이라 열마다 한 칸씩 펼쳐 둡니다. CSV와 워크시트가 같은 행을 씁니다.
+  const flatHistoryRows = () => gdHistory.map(h => ({
+    ...h,
+    ...Object.fromEntries(coefficientIndices.flatMap(k => [[`c${k}`, h.c[k - 2]], [`gradientC${k}`, h.gradientC[k - 2]]])),
+  }));
+
+  const exportHistory = () => {
+    const columns = [
+      { key: 'step', label: 'step' },
+      { key: 'a', label: 'a' },
+      ...(useIntercept ? [{ key: 'b', label: 'b' }] : []),
+      ...coefficientIndices.map(k => ({ key: `c${k}`, label: `c${k}` })),
+      { key: 'loss', label: lossType },
+      ...(batchMode !== 'batch' ? [{ key: 'batchLoss', label: `batch_${lossType}` }] : []),
+      { key: 'gradient', label: 'dE/da' },
+      ...(useIntercept ? [{ key: 'gradientB', label: 'dE/db' }] : []),
+      ...coefficientIndices.map(k => ({ key: `gradientC${k}`, label: `dE/dc${k}` })),
+      ...(optimum ? [{ key: 'distance', label: 'distance_to_optimum' }] : []),
+    ];
+    downloadFile('gd-history.csv', toCSV(columns, flatHistoryRows()));
+  };
+
+  // 손으로 옮긴 a, b는 다음 실행의 시작값이 됩니다. 진행 중이던 기록은 지우므로, 공유 링크를 열 때처럼
+  // 시작값에서 다시 계산해도 언제나 같은 기록이 나옵니다.
+  const moveByHand = (a, b = manualB) => {
+    stopSimulation();
+    if (gdHistory.length > 0) {
+      setGdHistory([]);
+      setStepLog([]);
+      setOptimizerState(null);
+      setCurrentStep(0);
+    }
+    setManualA(a);
+    setInitialA(a);
+    if (useIntercept) {
+      setManualB(b);
+      setInitialB(b);
+    }
+  };
+
   const resetSimulation = () => {
     setGdHistory([]);
-    setStepDetails(null);
+    setStepLog([]);
+    setOptimizerState(null);
+    stopSimulation();
+    setCurrentStep(0);
+    setManualA(parseFloat(initialA));
+    setManualB(useIntercept ? parseFloat(initialB) || 0 : 0);
+    setManualC([]);
+  };
+
+  const handleLossChange = (type, delta = huberDelta) => {
+    setLossType(type);
+    setHuberDelta(delta);
+    resetSimulation();
+  };
+
+  const handleModelTypeChange = (type) => {
+    if (type === 'logistic' && !isLogistic) {
+      setLossType('bce');
+      if (!isBinaryData(dataPoints)) {
+        setRegressionData(dataPoints);
+        setDataPoints(CLASSIFICATION_DATA);
+      }
+    } else if (type !== 'logistic' && isLogistic) {
+      setLossType(DEFAULT_LOSS.type);
+      if (regressionData) {
+        setDataPoints(regressionData);
+        setRegressionData(null);
+      }
+    }
+    setModelType(type);
+    setGdHistory([]);
+    setStepLog([]);
+    setOptimizerState(null);
     stopSimulation();
     setCurrentStep(0);
     setManualA(parseFloat(initialA));
+    setManualB(type !== 'origin' ? parseFloat(initialB) || 0 : 0);
+    setManualC([]);
+  };
+
+  const handleModelOptionChange = (degree, nextStandardize) => {
+    setPolyDegree(degree);
+    setStandardize(nextStandardize);
+    resetSimulation();
   };
 
   const resetAll = () => {
-    setDataPoints([
+    setDataPoints(isLogistic ? CLASSIFICATION_DATA : [
       { x: 1, y: 2 }, { x: 2, y: 4 }, { x: 3, y: 5 },
       { x: 4, y: 7 }, { x: 5, y: 11 }, { x: 6, y: 11 },
       { x: 7, y: 14 }, { x: 8, y: 17 }, { x: 9, y: 20 },
       { x: 10, y: 21 },
     ]);
     setInitialA(0);
+    setInitialB(0);
     resetSimulation();
   };
 
   // --- Chart Data Preparation ---
 
+  const chartDomain = useMemo(() => {
+    if (frozenChartDomain) return frozenChartDomain;
+    const xs = dataPoints.map(p => p.x);
+    const ys = dataPoints.map(p => p.y);
+    const x = [Math.min(0, Math.floor(Math.min(...xs)) - 1), Math.ceil(Math.max(...xs)) + 1];
+    const yPad = Math.max(1, (Math.max(...ys) - Math.min(...ys)) * 0.1);
+    // 로지스틱 회귀는 확률이므로 0~1이 보이도록 고정합니다.
+    const y = isLogistic ? [-0.2, 1.2]
+      : niceBounds(useIntercept ? Math.min(...ys) - yPad : Math.min(0, Math.min(...ys)), Math.max(...ys) + yPad);
+    return { x, y };
+  }, [dataPoints, useIntercept, isLogistic, frozenChartDomain]);
+
   const scatterChartData = useMemo(() => {
-    const maxX = Math.max(...dataPoints.map(p => p.x)) + 1;
-    const lineData = [
-      { x: 0, y: 0 },
-      { x: maxX, y: manualA * maxX }
-    ];
-    return { lineData, maxX };
-  }, [dataPoints, manualA]);
-
-  const mseCurveData = useMemo(() => {
-    const data = [];
-    for (let a = -1; a <= 4.5; a += 0.1) {
-      data.push({
-        a: parseFloat(a.toFixed(2)),
-        mse: calculateMSE(a, dataPoints)
-      });
-    }
-    return data;
+    const [minX, maxX] = chartDomain.x;
+    // 직선은 양 끝 두 점이면 충분하지만 곡선(다항식, 시그모이드)은 촘촘히 샘플링합니다.
+    const samples = poly || isLogistic ? 60 : 1;
+    const lineData = Array.from({ length: samples + 1 }, (_, i) => {
+      const x = minX + ((maxX - minX) * i) / samples;
+      return { x, y: predictOutput(manualA, manualB, x, loss, poly) };
+    });
+    // 닫힌 형태의 최적해가 그리는 직선/곡선 (MSE일 때만)
+    const optimumPoly = poly && optimum ? { ...poly, c: optimum.c } : poly;
+    const optimumData = optimum ? lineData.map(({ x }) => ({ x, y: predictOutput(optimum.a, optimum.b, x, loss, optimumPoly) })) : null;
+    return { lineData, optimumData, maxX };
+  }, [chartDomain, manualA, manualB, loss, poly, isLogistic, optimum]);
+
+  // 점이 많으면 잔차 선은 고르게 골라 MAX_RESIDUAL_LINES개까지만 그립니다.
+  const residualPoints = useMemo(() => {
+    const stride = Math.ceil(dataPoints.length / MAX_RESIDUAL_LINES);
+    return stride > 1 ? dataPoints.filter((_, i) => i % stride === 0) : dataPoints;
   }, [dataPoints]);
 
-  const currentMSE = calculateMSE(manualA, dataPoints);
-  const currentGradient = calculateGradientDetails(manualA, dataPoints).finalGradient;
+  // 산점도의 표: 점마다 지금 모델의 예측값과 잔차
+  const scatterTableRows = useMemo(() => dataPoints.map((p) => {
+    const prediction = predictOutput(manualA, manualB, p.x, loss, poly);
+    return { ...p, prediction, residual: p.y - prediction };
+  }), [dataPoints, manualA, manualB, loss, poly]);
+
+  // 분류 모드에서는 찍은 위치를 가까운 레이블(0/1)로 맞춥니다.
+  const toChartPoint = (point) => (isLogistic ? { ...point, y: toLabel(point.y) } : point);
+
+  const handleChartAdd = (point) => {
+    setDataPoints([...dataPoints, toChartPoint(point)]);
+    resetSimulation();
+  };
+
+  const handleChartMove = (index, point) => {
+    setDataPoints(prev => prev.map((p, i) => (i === index ? toChartPoint(point) : p)));
+  };
+
+  const handleChartDragStart = () => {
+    setFrozenChartDomain(chartDomain);
+    resetSimulation();
+  };
+
+  // 다항식의 최소제곱해. 기울기 a와 절편 b의 탐색 범위를 잡는 데 씁니다.
+  const bestFit = useMemo(() => (
+    poly ? polynomialLeastSquares(dataPoints, polyDegree, poly.scaler) : leastSquaresLine(dataPoints)
+  ), [poly, dataPoints, polyDegree]);
+
+  // 기울기 a의 탐색 범위: 직선은 고정 범위, 다항식은 0과 최소제곱해가 모두 보이도록 잡습니다.
+  const aRange = useMemo(() => {
+    if (!poly) return A_RANGE;
+    const pad = Math.max(1, Math.abs(bestFit.a) * 0.5);
+    return [Math.floor(Math.min(0, bestFit.a) - pad), Math.ceil(Math.max(0, bestFit.a) + pad)];
+  }, [poly, bestFit]);
+
+  // 손실 곡선은 점 개수 × 56번 계산하므로 워커에서 샘플링하고, 도착하기 전까지는 이전 곡선을 그대로 보여 줍니다.
+  const [lossCurveData, setLossCurveData] = useState([]);
+  useEffect(() => {
+    const range = poly ? { from: aRange[0], to: aRange[1], stepSize: (aRange[1] - aRange[0]) / 55 } : {};
+    const discard = computeRef.current.sampleCurve({ data: dataPoints, b: manualB, loss, poly, ...range }, setLossCurveData);
+    return () => { discard(); };
+  }, [dataPoints, manualB, loss, poly, aRange]);
+
+  // 절편 b의 탐색 범위: 원점과 최소제곱해의 절편이 모두 보이도록 잡습니다.
+  const bRange = useMemo(() => {
+    if (isLogistic) return LOGISTIC_B_RANGE;
+    const bestB = bestFit.b;
+    const pad = Math.max(5, Math.abs(bestB) * 0.5);
+    return [Math.floor(Math.min(0, bestB) - pad), Math.ceil(Math.max(0, bestB) + pad)];
+  }, [bestFit, isLogistic]);
+
+  // 손실 곡면은 워커에서 샘플링하고, 도착하기 전까지는 이전 격자를 그대로 보여 줍니다.
+  const [contourGrid, setContourGrid] = useState([]);
+  useEffect(() => {
+    if (!useIntercept) {
+      setContourGrid([]);
+      return undefined;
+    }
+    const discard = computeRef.current.sampleSurface(
+      { data: dataPoints, aRange, bRange, resolution: CONTOUR_RESOLUTION, loss, poly },
+      setContourGrid
+    );
+    return () => { discard(); };
+  }, [useIntercept, aRange, bRange, dataPoints, loss, poly]);
+
+  // 차트의 범례와 표의 열 이름
+  const raceRunName = (run) => t('race.runName', { learningRate: run.learningRate, initialA: run.initialA, optimizer: t(`optimizers.${run.optimizerType}.label`) });
+
+  // 손실 곡선 위의 레이스 경로. 곡선은 지금의 b(와 고차 계수)로 자른 단면이므로, 절편이 있는 모델에서는
+  // 실행마다 다른 b에서 잰 손실 대신 그 a를 곡선의 b에서 다시 계산해 점이 곡선 위에 놓이게 합니다.
+  const raceDots = useMemo(() => racingRuns.flatMap(({ run, color }) => raceProgress[run.id].history
+    .filter(h => Number.isFinite(h.a))
+    .map(h => ({
+      key: `race-${run.id}-${h.step}`,
+      a: h.a,
+      loss: useIntercept ? calculateLoss(h.a, manualB, dataPoints, loss, poly) : h.loss,
+      color,
+    }))
+    .filter(dot => Number.isFinite(dot.loss))), [racingRuns, raceProgress, useIntercept, manualB, dataPoints, loss, poly]);
+
+  const currentLoss = useMemo(() => calculateLoss(manualA, manualB, dataPoints, loss, poly), [manualA, manualB, dataPoints, loss, poly]);
+  const currentGradientDetails = useMemo(() => (
+    calculateGradientDetails(manualA, manualB, dataPoints, null, loss, poly)
+  ), [manualA, manualB, dataPoints, loss, poly]);
+  // 연쇄 법칙 패널과 표 머리글에 쓰는 오차 식
+  const residual = isLogistic ? '\\sigma(ax + b) - y'
+    : isPolynomial ? 'f(x) - y' : (useIntercept ? 'ax + b - y' : 'ax - y');
+  // 표 머리글의 예측 식
+  const predictionFormula = isLogistic ? '\\sigma(ax+b)' : isPolynomial ? 'f(x)' : (useIntercept ? 'ax+b' : 'ax');
+  // 다항식은 표준화하면 z = (x - μ)/σ 에 대한 식이 됩니다.
+  const polyVariable = isPolynomial && standardize ? 'z' : 'x';
+  const modelFormula = isLogistic ? 'y = \\sigma(ax + b)' : isPolynomial
+    ? `y = ${['b', `a${polyVariable}`, ...coefficientIndices.map(k => `c_{${k}}${polyVariable}^{${k}}`)].join(' + ')}`
+    : (useIntercept ? 'y = ax + b' : 'y = ax');
+  // 벡터 업데이트 카드에서 θ의 각 성분 이름
+  const parameterLabels = ['a', 'b', ...coefficientIndices.map(k => `c_{${k}}`)];
+  const currentGradient = currentGradientDetails.finalGradient;
+  const currentGradientB = currentGradientDetails.finalGradientB;
+
+  // --- Guided Lesson ---
+  // 수업의 check가 읽는 시뮬레이터 상태(lessons.js의 LESSON_FIELDS)
+  const lessonSnapshot = {
+    manualA, manualB, currentLoss, currentGradient, currentGradientB, currentDistance,
+    steps: gdHistory.length, currentStep, learningRate: parseFloat(learningRate),
+    modelType, lossType, optimizerType, trainingStatus: trainingStatus.status,
+  };
+  const lessonStep = lessonRun ? lessonRun.lesson.steps[lessonRun.index] : null;
+  const lessonStatus = lessonStep ? evaluateStep(lessonStep, lessonSnapshot, lessonRun.answers[lessonRun.index] ?? null) : null;
+  const lessonStepComplete = lessonStatus !== null && lessonStatus.complete;
+
+  useEffect(() => {
+    if (!lessonStepComplete) return;
+    setLessonRun(run => (run.completed[run.index] ? run : { ...run, completed: { ...run.completed, [run.index]: true } }));
+  }, [lessonStepComplete]);
+
+  // 단계에 들어설 때 그 단계의 setup을 지금 설정 위에 덮고, 진행 기록은 출발점으로 되돌립니다.
+  // setup에 없는 데이터와 설정은 그대로 둡니다. 이전 단계로 돌아가도 그 단계의 setup을 다시 적용합니다.
+  const moveLessonStep = (run, index) => {
+    setLessonRun({ ...run, index });
+    if (index >= run.lesson.steps.length) return;
+    const session = stepSession(run.lesson, index);
+    if (!session) return;
+    applySession({ ...currentSession, steps: 0, viewStep: undefined, manualA: undefined, manualB: undefined, manualC: undefined, ...session });
+  };
+
+  // 처음부터 다시 할 때는 처음 시작할 때 저장해 둔 세션을 그대로 넘깁니다.
+  const startLesson = (lesson) => moveLessonStep({
+    lesson, answers: {}, completed: {}, savedSession: lessonRun ? lessonRun.savedSession : currentSession,
+  }, 0);
+
+  // 수업을 끝내면 시작하기 전의 데이터와 설정으로 돌아갑니다.
+  const exitLesson = () => {
+    applySession(lessonRun.savedSession);
+    setLessonRun(null);
+  };
+
+  const answerLesson = (choice) => {
+    setLessonRun({ ...lessonRun, answers: { ...lessonRun.answers, [lessonRun.index]: choice } });
+  };
+
+  // --- Keyboard Shortcuts & Announcements ---
+  // announcement: 화면에 보이지 않는 aria-live 영역에서 읽어 주는 문장. 단계를 진행하거나 되돌리면 그 단계의 결과를,
+  // 키보드로 a를 옮기면 새 위치의 손실과 미분값을 읽습니다.
+  const [announcement, setAnnouncement] = useState('');
+  const describePosition = (a, lossValue, gradient) => t('a11y.position', {
+    a: formatNumber(a, 2), loss: lossInfo.short, value: formatSignificant(lossValue, 4), gradient: formatSignificant(gradient, 4),
+  });
+
+  useEffect(() => {
+    if (!stepDetails) return;
+    const moved = t('a11y.stepResult', {
+      step: stepDetails.step,
+      gradient: formatSignificant(stepDetails.finalGradient, 4),
+      from: formatNumber(stepDetails.currentA, 4),
+      to: formatNumber(stepDetails.nextA, 4),
+      loss: lossInfo.short,
+      value: formatSignificant(stepDetails.loss, 4),
+    });
+    setAnnouncement(useIntercept
+      ? moved + t('a11y.stepResultB', { from: formatNumber(stepDetails.currentB, 4), to: formatNumber(stepDetails.nextB, 4) })
+      : moved);
+  }, [stepDetails, useIntercept, lossInfo.short, t, formatNumber, formatSignificant]);
+
+  const nudgeA = (delta) => {
+    const next = Math.min(aRange[1], Math.max(aRange[0], roundTo((Number.isFinite(manualA) ? manualA : 0) + delta, 2)));
+    moveByHand(next);
+    const { finalGradient } = calculateGradientDetails(next, manualB, dataPoints, null, loss, poly);
+    setAnnouncement(describePosition(next, calculateLoss(next, manualB, dataPoints, loss, poly), finalGradient));
+  };
+
+  // 처리한 단축키면 true를 돌려 브라우저의 기본 동작(스크롤)을 막습니다. 버튼이 비활성일 때와 같은 조건에서는 무시합니다.
+  const handleShortcut = ({ action, delta }) => {
+    const busy = isAnimating || backgroundRun !== null;
+    switch (action) {
+      case 'togglePlay':
+        // 끝까지 실행이 기록을 채우는 동안 자동 실행을 시작하면 두 곳에서 단계를 덧붙이게 됩니다.
+        if (backgroundRun !== null) return false;
+        startSimulation();
+        return true;
+      case 'stepForward':
+        if (busy) return false;
+        performSingleStep();
+        return true;
+      case 'stepBack':
+        if (busy || currentStep === 0) return false;
+        jumpToStep(currentStep - 1);
+        return true;
+      case 'nudgeA':
+        nudgeA(delta);
+        return true;
+      default:
+        return false;
+    }
+  };
+  // 리스너는 한 번만 달고, 매번 최신 상태를 보는 처리 함수를 ref로 넘깁니다.
+  const shortcutRef = useRef(handleShortcut);
+  shortcutRef.current = handleShortcut;
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const shortcut = shortcutFor(e);
+      if (shortcut && shortcutRef.current(shortcut)) e.preventDefault();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // --- Worksheet Export ---
+  // 기록 전체와 고른 단계의 데이터별 계산을 표 화면과 같은 식으로 담습니다.
+  const worksheetHtml = () => {
+    const higherTermColumns = (key, formula) => coefficientIndices.map(k => ({ key: `${key}${k}`, tex: formula(k) }));
+    const historyTable = {
+      title: t('worksheet.history'),
+      columns: [
+        { key: 'step', label: t('a11y.step'), given: true, digits: 0 },
+        { key: 'a', label: 'a', given: 'first' },
+        ...(useIntercept ? [{ key: 'b', label: 'b', given: 'first' }] : []),
+        ...higherTermColumns('c', k => `c_{${k}}`).map(column => ({ ...column, given: 'first' })),
+        { key: 'loss', label: lossInfo.short },
+        { key: 'gradient', tex: '\\partial E / \\partial a' },
+        ...(useIntercept ? [{ key: 'gradientB', tex: '\\partial E / \\partial b' }] : []),
+        ...higherTermColumns('gradientC', k => `\\partial E / \\partial c_{${k}}`),
+      ],
+      rows: flatHistoryRows(),
+    };
+    const term = lossInfo.derivative(residual);
+    const breakdownTables = parseStepList(worksheetSteps, stepLog.length - 1).map((index) => {
+      const details = stepLog[index];
+      const values = [`a = ${formatNumber(details.currentA, 4)}`, ...(useIntercept ? [`b = ${formatNumber(details.currentB, 4)}`] : [])].join(', ');
+      return {
+        title: t('worksheet.breakdown', { step: index, values }),
+        columns: [
+          { key: 'id', label: '#', given: true, digits: 0 },
+          { key: 'x', label: 'x', given: true, digits: 2 },
+          { key: 'y', label: 'y', given: true, digits: 2 },
+          { key: 'prediction', tex: predictionFormula },
+          { key: 'errorTerm', tex: `${predictionFormula}-y` },
+          { key: 'contribution', tex: `${term}\\cdot ${polyVariable}` },
+          ...(useIntercept ? [{ key: 'contributionB', tex: term }] : []),
+          ...higherTermColumns('contributionC', k => `${term}\\cdot ${polyVariable}^{${k}}`),
+        ],
+        rows: stepPointGradients(details, dataPoints, simulationConfig).map(p => ({
+          ...p,
+          muted: !p.inBatch,
+          ...Object.fromEntries(coefficientIndices.map(k => [`contributionC${k}`, p.contributionsC[k - 2]])),
+        })),
+        footer: {
+          label: t(batchMode !== 'batch' ? 'breakdown.batchGradient' : 'breakdown.meanGradient'),
+          values: {
+            contribution: details.finalGradient,
+            ...(useIntercept ? { contributionB: details.finalGradientB } : {}),
+            ...Object.fromEntries(coefficientIndices.map(k => [`contributionC${k}`, details.finalGradientC[k - 2]])),
+          },
+        },
+        notes: batchMode !== 'batch' ? [t('worksheet.outsideBatch')] : [],
+      };
+    });
+    return buildWorksheet({
+      i18n,
+      title: t('worksheet.title'),
+      blank: worksheetBlank,
+      settings: [
+        { label: t('worksheet.model'), tex: modelFormula },
+        { label: t('visual.lossFunction'), text: t(`losses.${lossType}.label`) },
+        { label: t('simulation.optimizer'), text: optimizerLabel },
+        { label: t('simulation.learningRate', { eta: 'η' }), text: String(learningRate) },
+        { label: t('worksheet.dataCount'), text: String(dataPoints.length) },
+      ],
+      formulas: [
+        { label: t('visual.lossFunction'), tex: `E = \\frac{1}{n}\\sum ${lossInfo.loss(residual)}` },
+        { label: t('worksheet.gradient'), tex: `\\frac{\\partial E}{\\partial a} = \\frac{1}{n}\\sum ${term}\\cdot ${polyVariable}` },
+        ...(useIntercept ? [{ label: t('worksheet.gradient'), tex: `\\frac{\\partial E}{\\partial b} = \\frac{1}{n}\\sum ${term}` }] : []),
+        { label: optimizerLabel, tex: optimizer.formula },
+      ],
+      tables: [historyTable, ...breakdownTables],
+    });
+  };
+
+  const openWorksheetOptions = () => {
+    if (!showWorksheet) setWorksheetSteps(String(currentStep));
+    setShowWorksheet(!showWorksheet);
+  };
+
+  const downloadWorksheet = () => downloadFile('gd-worksheet.html', worksheetHtml(), 'text/html;charset=utf-8');
+
+  // 새 창에 띄워 인쇄 대화상자를 엽니다(PDF로 저장도 여기서 고릅니다). 팝업이 막혔으면 HTML 파일로 내려받습니다.
+  const printWorksheet = () => {
+    const html = worksheetHtml();
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      downloadFile('gd-worksheet.html', html, 'text/html;charset=utf-8');
+      return;
+    }
+    printWindow.document.write(html);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  };
+
+  // --- Tangent, Step Arrow & Curvature ---
+  // 손실 곡선 E(a)는 b와 c를 고정한 단면이므로 곡률은 헤세 행렬의 (a, a) 성분입니다.
+  const tangentHalfWidth = (aRange[1] - aRange[0]) * 0.2;
+  // 다음 단계 미리보기는 '다음 단계'가 출발할 곳에서 옵티마이저의 누적 상태와 배치를 그대로 반영해 구합니다.
+  // performSingleStep처럼 첫 단계는 슬라이더가 아니라 초기값에서 출발하므로 그때만 그 위치의 미분을 따로 구하고,
+  // 진행 중에는 이미 구해 둔 지금 위치의 미분을 씁니다. 점은 지금 b와 c를 고정한 손실 곡선 위에 둡니다.
+  const started = gdHistory.length > 0;
+  const initialStart = useMemo(() => {
+    if (started) return null;
+    const a = parseFloat(initialA);
+    const b = useIntercept ? parseFloat(initialB) || 0 : 0;
+    const startPoly = createPoly(model, dataPoints, []);
+    return {
+      a, b, c: [],
+      loss: calculateLoss(a, b, dataPoints, loss, startPoly),
+      gradientDetails: calculateGradientDetails(a, b, dataPoints, null, loss, startPoly),
+    };
+  }, [started, initialA, initialB, useIntercept, model, dataPoints, loss]);
+  const previewFrom = useMemo(() => (
+    initialStart || { a: manualA, b: manualB, c: manualC, loss: currentLoss, gradientDetails: currentGradientDetails }
+  ), [initialStart, manualA, manualB, manualC, currentLoss, currentGradientDetails]);
+  const nextPreviewA = useMemo(() => previewStep(
+    {
+      a: previewFrom.a, b: useIntercept ? previewFrom.b : 0, c: previewFrom.c,
+      step: started ? currentStep + 1 : 0, optimizerState: started ? optimizerState : null,
+    },
+    previewFrom.gradientDetails,
+    dataPoints,
+    { ...simulationConfig, learningRate, optimizerType }
+  ), [previewFrom, started, currentStep, optimizerState, useIntercept, dataPoints, simulationConfig, learningRate, optimizerType]);
+  const previewGradient = previewFrom.gradientDetails.finalGradient;
+  const nextPreviewLoss = useMemo(() => (
+    calculateLoss(nextPreviewA, manualB, dataPoints, loss, poly)
+  ), [nextPreviewA, manualB, dataPoints, loss, poly]);
+  // 곡률과 할선은 모두 데이터 전체를 훑으므로 곡률 보기를 켰을 때만 계산합니다. 꺼져 있으면 null(표는 빈 배열)입니다.
+  const currentCurvature = useMemo(() => (
+    showCurvature ? calculateHessian(manualA, manualB, dataPoints, useIntercept, loss, poly)[0][0] : null
+  ), [showCurvature, manualA, manualB, dataPoints, useIntercept, loss, poly]);
+  const secantH = 10 ** secantExponent;
+  const secantLoss = useMemo(() => (
+    showCurvature ? calculateLoss(manualA + secantH, manualB, dataPoints, loss, poly) : null
+  ), [showCurvature, manualA, secantH, manualB, dataPoints, loss, poly]);
+  const currentSecantSlope = secantLoss === null ? null : (secantLoss - currentLoss) / secantH;
+  const secantRows = useMemo(() => (
+    showCurvature ? SECANT_STEPS.map(h => ({ h, slope: secantSlope(manualA, manualB, dataPoints, h, loss, poly) })) : []
+  ), [showCurvature, manualA, manualB, dataPoints, loss, poly]);
+  const showTangent = [currentLoss, currentGradient].every(Number.isFinite);
+
+  // 2차 근사 E(a₀) + E'(a₀)(a - a₀) + ½E''(a₀)(a - a₀)². 곡선의 범위를 벗어난 부분은 그리지 않습니다.
+  const lossChartData = useMemo(() => {
+    if (!showCurvature || !showTangent) return lossCurveData;
+    const losses = lossCurveData.map(p => p.loss).filter(Number.isFinite);
+    const [low, high] = [Math.min(...losses), Math.max(...losses)];
+    return lossCurveData.map(p => {
+      const d = p.a - manualA;
+      const quadratic = currentLoss + currentGradient * d + 0.5 * currentCurvature * d * d;
+      return { ...p, quadratic: quadratic >= low && quadratic <= high ? quadratic : null };
+    });
+  }, [showCurvature, showTangent, lossCurveData, manualA, currentLoss, currentGradient, currentCurvature]);
 
   return (
     <div className="min-h-screen bg-gray-50 p-4 font-sans text-gray-800">
@@ -195,40 +1808,252 @@ const App = () => {
         {/* Header */}
         <header className="bg-white p-6 rounded-2xl shadow-sm border-l-8 border-indigo-600 flex justify-between items-center">
           <div>
-            <h1 className="text-3xl font-bold text-gray-900 mb-2">📐 경사하강법: 미분과 데이터의 연결</h1>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">{t('app.title')}</h1>
             <p className="text-lg text-gray-600 flex items-center gap-2">
-              데이터(이산)에서 오차 함수(연속)로, 그리고 미분을 통한 학습 과정까지.
+              {t('app.subtitle')}
             </p>
           </div>
+          <div className="flex flex-col items-end gap-2">
+            <div className="flex gap-2">
+              {/* 언어 이름은 각 언어로 적어, 지금 화면의 언어를 못 읽어도 찾을 수 있게 합니다. */}
+              <div role="group" aria-label={t('header.language')} className="flex items-center bg-gray-100 rounded p-1 text-sm">
+                <Languages size={14} className="mx-1 text-gray-500" aria-hidden="true" />
+                {LOCALES.map(code => (
+                  <button
+                    key={code}
+                    lang={code}
+                    aria-pressed={code === locale}
+                    onClick={() => onLocaleChange(code)}
+                    className={`px-2 py-1 rounded ${code === locale ? 'bg-white shadow font-bold text-indigo-700' : 'text-gray-500 hover:text-gray-700'}`}
+                  >
+                    {translate(code, 'languageName')}
+                  </button>
+                ))}
+              </div>
+              <button onClick={() => setShowLesson(!showLesson)} aria-pressed={showLesson} className="text-sm px-3 py-2 bg-amber-50 text-amber-700 hover:bg-amber-100 rounded font-bold flex items-center gap-1">
+                <GraduationCap size={14} /> {t('lesson.open')}
+              </button>
+              <button onClick={() => copyLink(encodeSession(currentSession))} className="text-sm px-3 py-2 bg-gray-100 hover:bg-gray-200 rounded flex items-center gap-1">
+                <Link size={14} /> {t('header.copyLink')}
+              </button>
+              <button onClick={() => setShowScenarios(!showScenarios)} className="text-sm px-3 py-2 bg-indigo-50 text-indigo-700 hover:bg-indigo-100 rounded font-bold flex items-center gap-1">
+                <Bookmark size={14} /> {t('header.scenarios', { count: scenarios.length })}
+              </button>
+            </div>
+            {shareMessage && <p aria-live="polite" className="text-xs text-gray-500 max-w-xs break-all">{shareMessage}</p>}
+          </div>
         </header>
 
+        {/* 단계 결과와 키보드로 옮긴 a를 스크린 리더가 읽어 줍니다. */}
+        <div aria-live="polite" className="sr-only">{announcement}</div>
+
+        {showScenarios && (
+          <ScenarioSidebar
+            scenarios={scenarios}
+            onSave={saveScenario}
+            onLoad={loadScenario}
+            onDelete={deleteScenario}
+            onCopyLink={(scenario) => copyLink(scenario.encoded)}
+            onClose={() => setShowScenarios(false)}
+          />
+        )}
+
+        {showLesson && (
+          <LessonPanel
+            run={lessonRun}
+            status={lessonStatus}
+            onStart={startLesson}
+            onAnswer={answerLesson}
+            onMove={(index) => moveLessonStep(lessonRun, index)}
+            onExit={exitLesson}
+            onClose={() => setShowLesson(false)}
+          />
+        )}
+
         {/* 1. Data Input */}
         <section className="bg-white p-6 rounded-2xl shadow-sm">
           <div className="flex items-center justify-between mb-4">
             <h2 className="text-xl font-bold flex items-center gap-2">
               <span className="w-8 h-8 bg-blue-100 text-blue-600 rounded-full flex items-center justify-center text-sm">1</span>
-              데이터 설정
+              {t('data.title')}
             </h2>
-            <button onClick={resetAll} className="text-sm px-3 py-1 bg-gray-100 hover:bg-gray-200 rounded flex items-center gap-1">
-              <RotateCcw size={14} /> 초기화
-            </button>
+            <div className="flex gap-2">
+              <button onClick={() => setShowGenerator(!showGenerator)} className="text-sm px-3 py-1 bg-gray-100 hover:bg-gray-200 rounded flex items-center gap-1">
+                <Sparkles size={14} /> {t('data.generator')}
+              </button>
+              <button onClick={() => setShowImport(!showImport)} className="text-sm px-3 py-1 bg-gray-100 hover:bg-gray-200 rounded flex items-center gap-1">
+                <Upload size={14} /> {t('data.import')}
+              </button>
+              <button onClick={exportDataset} className="text-sm px-3 py-1 bg-gray-100 hover:bg-gray-200 rounded flex items-center gap-1">
+                <Download size={14} /> {t('data.exportCsv')}
+              </button>
+              <button onClick={resetAll} className="text-sm px-3 py-1 bg-gray-100 hover:bg-gray-200 rounded flex items-center gap-1">
+                <RotateCcw size={14} /> {t('data.reset')}
+              </button>
+            </div>
           </div>
+
+          {/* Generator Panel */}
+          {showGenerator && (
+            <div role="region" aria-label={t('generator.region')} className="mb-4 p-4 rounded-xl border bg-gray-50">
+              <p className="text-sm text-gray-600 mb-3">
+                {rich('generator.description', { model: <Latex formula="y = ax + b" /> })}
+                {isLogistic && t('generator.logisticNote')}
+              </p>
+              <div className="flex flex-wrap gap-2 mb-3">
+                {Object.keys(DATASET_PRESETS).map(key => (
+                  <button
+                    key={key}
+                    onClick={() => applyPreset(key)}
+                    className="text-sm px-3 py-1 bg-white border rounded-full shadow-sm hover:bg-blue-50 hover:border-blue-300"
+                  >
+                    {t(`generator.presets.${key}`)}
+                  </button>
+                ))}
+              </div>
+              <div className="flex flex-wrap items-end gap-3">
+                {GENERATOR_FIELDS.map(field => (
+                  <div key={field.key}>
+                    <label htmlFor={`generator-${field.key}`} className="block text-xs font-bold text-gray-500 mb-1">{t(`generator.fields.${field.key}`)}</label>
+                    <input
+                      id={`generator-${field.key}`}
+                      type="number" value={generatorOptions[field.key]}
+                      step={field.step} min={field.min} max={field.max}
+                      onChange={(e) => setGeneratorOptions({ ...generatorOptions, [field.key]: parseFloat(e.target.value) || 0 })}
+                      className="w-20 p-2 border rounded shadow-sm text-center text-sm"
+                    />
+                  </div>
+                ))}
+                <button
+                  onClick={() => applyGenerator(generatorOptions)}
+                  className="text-sm px-4 py-2 bg-blue-600 text-white rounded shadow-sm font-bold"
+                >
+                  {t('generator.generate')}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Import Panel */}
+          {showImport && (
+            <div
+              onDragOver={(e) => { e.preventDefault(); setIsDragOver(true); }}
+              onDragLeave={() => setIsDragOver(false)}
+              onDrop={handleDrop}
+              className={`mb-4 p-4 rounded-xl border-2 border-dashed ${isDragOver ? 'border-blue-500 bg-blue-50' : 'border-gray-300 bg-gray-50'}`}
+            >
+              <p className="text-sm text-gray-600 mb-2">
+                {rich('import.description', { x: <b>x</b>, y: <b>y</b> })}
+                {isLogistic && t('import.logisticNote')}
+              </p>
+              <div className="flex flex-wrap gap-2 items-start">
+                <label className="text-sm px-3 py-2 bg-white border rounded shadow-sm cursor-pointer hover:bg-gray-50 flex items-center gap-1">
+                  <Upload size={14} /> {t('import.chooseFile')}
+                  <input
+                    type="file" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values" className="hidden"
+                    onChange={(e) => { handleImportFile(e.target.files[0]); e.target.value = ''; }}
+                  />
+                </label>
+                <textarea
+                  value={importText}
+                  onChange={(e) => setImportText(e.target.value)}
+                  onPaste={(e) => {
+                    e.preventDefault();
+                    const text = e.clipboardData.getData('text');
+                    setImportText(text);
+                    handleImportText(text);
+                  }}
+                  placeholder={'x,y\n20,45\n22,50'}
+                  rows={4}
+                  className="flex-1 min-w-[12rem] p-2 border rounded font-mono text-xs"
+                />
+                <button
+                  onClick={() => handleImportText(importText)}
+                  disabled={importText.trim() === ''}
+                  className="text-sm px-3 py-2 bg-blue-600 text-white rounded shadow-sm font-bold disabled:opacity-40"
+                >
+                  {t('import.load')}
+                </button>
+              </div>
+
+              {importResult && (
+                <div role="alert" className="mt-3 p-3 bg-red-50 border border-red-200 rounded text-sm text-red-800">
+                  <div className="font-bold mb-1">
+                    {importResult.errors.length > 0
+                      ? t('import.rowErrors', { count: importResult.errors.length })
+                      : t('import.tooFew', { count: importResult.points.length, min: MIN_DATA_POINTS })}
+                  </div>
+                  <ul className="list-disc pl-5 max-h-32 overflow-y-auto text-xs">
+                    {importResult.errors.map((err) => (
+                      <li key={`${err.line}-${err.code}`}>{err.line > 0 && t('import.line', { line: err.line })}{t(`csvErrors.${err.code}`, err.params)}</li>
+                    ))}
+                  </ul>
+                  <div className="mt-2 flex gap-2">
+                    <button
+                      onClick={() => applyImportedPoints(importResult.points)}
+                      disabled={importResult.points.length < MIN_DATA_POINTS}
+                      className="px-3 py-1 bg-white border rounded font-bold disabled:opacity-40"
+                    >
+                      {t('import.loadValid', { count: importResult.points.length })}
+                    </button>
+                    <button onClick={() => setImportResult(null)} className="px-3 py-1 bg-white border rounded">
+                      {t('import.cancel')}
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
           <div className="flex overflow-x-auto gap-2 pb-2">
-            {dataPoints.map((point, idx) => (
-              <div key={idx} className="min-w-[4rem] bg-gray-50 p-2 rounded border border-gray-200 text-center">
+            {dataPoints.slice(0, DATA_EDITOR_LIMIT).map((point, idx) => (
+              <div key={idx} className="relative group min-w-[4rem] bg-gray-50 p-2 rounded border border-gray-200 text-center">
                 <div className="text-[10px] text-gray-400 mb-1">#{idx + 1}</div>
+                {dataPoints.length > MIN_DATA_POINTS && (
+                  <button
+                    onClick={() => removeDataPoint(idx)}
+                    aria-label={t('data.deletePoint', { index: idx + 1 })}
+                    className="absolute top-0.5 right-0.5 text-gray-300 hover:text-red-500 opacity-0 group-hover:opacity-100 focus:opacity-100"
+                  >
+                    <X size={12} />
+                  </button>
+                )}
                 <input
                   type="number" value={point.x}
                   onChange={(e) => handleDataChange(idx, 'x', e.target.value)}
                   className="w-full text-center bg-transparent border-b border-blue-200 text-sm font-bold text-blue-600 mb-1 focus:outline-none"
                 />
-                <input
-                  type="number" value={point.y}
-                  onChange={(e) => handleDataChange(idx, 'y', e.target.value)}
-                  className="w-full text-center bg-transparent border-b border-red-200 text-sm font-bold text-red-600 focus:outline-none"
-                />
+                {isLogistic ? (
+                  <select
+                    value={point.y}
+                    aria-label={t('data.label', { index: idx + 1 })}
+                    onChange={(e) => handleDataChange(idx, 'y', e.target.value)}
+                    className="w-full text-center bg-transparent border-b border-red-200 text-sm font-bold text-red-600 focus:outline-none"
+                  >
+                    <option value={0}>0</option>
+                    <option value={1}>1</option>
+                  </select>
+                ) : (
+                  <input
+                    type="number" value={point.y}
+                    onChange={(e) => handleDataChange(idx, 'y', e.target.value)}
+                    className="w-full text-center bg-transparent border-b border-red-200 text-sm font-bold text-red-600 focus:outline-none"
+                  />
+                )}
               </div>
             ))}
+            {dataPoints.length > DATA_EDITOR_LIMIT && (
+              <div className="min-w-[8rem] p-2 rounded bg-gray-50 border border-gray-200 text-[11px] text-gray-500 flex items-center">
+                {t('data.hiddenPoints', { count: dataPoints.length - DATA_EDITOR_LIMIT })}
+              </div>
+            )}
+            <button
+              onClick={addDataPoint}
+              aria-label={t('data.add')}
+              className="min-w-[4rem] rounded border-2 border-dashed border-gray-200 text-gray-400 hover:text-blue-600 hover:border-blue-300 flex items-center justify-center"
+            >
+              <Plus size={18} />
+            </button>
           </div>
         </section>
 
@@ -238,79 +2063,394 @@ const App = () => {
             <div>
               <h2 className="text-2xl font-bold flex items-center gap-2 mb-2">
                 <span className="w-8 h-8 bg-indigo-100 text-indigo-600 rounded-full flex items-center justify-center text-sm">2</span>
-                기울기 <Latex formula="a" />와 오차의 관계 관찰
+                {rich('visual.title', { a: <Latex formula="a" /> })}
               </h2>
               <p className="text-gray-600 text-sm">
-                슬라이더를 움직이며 <span className="text-red-500 font-bold">잔차(점선)</span>와 <span className="text-purple-600 font-bold">MSE(곡선)</span>의 관계를 확인하세요.
+                {rich('visual.hint', {
+                  residuals: <span className="text-red-500 font-bold">{t('visual.residuals')}</span>,
+                  curve: <span className="text-purple-600 font-bold">{t('visual.curve', { loss: lossInfo.short })}</span>,
+                })}
               </p>
             </div>
+            <div className="flex flex-col items-end gap-2">
+              <div className="flex items-center gap-2 text-sm">
+                <label htmlFor="loss-type" className="font-bold text-gray-500">{t('visual.lossFunction')}</label>
+                <select
+                  id="loss-type"
+                  value={lossType}
+                  onChange={(e) => handleLossChange(e.target.value)}
+                  className="p-1 border rounded shadow-sm bg-white"
+                >
+                  {Object.entries(LOSS_INFO).filter(([, info]) => Boolean(info.classification) === isLogistic).map(([key, info]) => (
+                    <option key={key} value={key}>{t(`losses.${key}.label`)}</option>
+                  ))}
+                </select>
+                {lossType === 'huber' && (
+                  <label className="flex items-center gap-1 font-bold text-gray-500">
+                    <Latex formula="\delta" />
+                    <input
+                      type="number"
+                      aria-label="Huber δ"
+                      value={huberDelta}
+                      onChange={(e) => handleLossChange(lossType, e.target.value)}
+                      className="w-16 p-1 border rounded shadow-sm text-center font-normal"
+                      step="0.5" min="0.1"
+                    />
+                  </label>
+                )}
+              </div>
+              <div className="flex bg-gray-100 rounded-lg p-1 text-sm font-bold">
+                <button
+                  onClick={() => handleModelTypeChange('origin')}
+                  className={`px-3 py-1 rounded-md flex items-center ${modelType === 'origin' ? 'bg-white shadow text-indigo-600' : 'text-gray-500'}`}
+                >
+                  <Latex formula="y = ax" />
+                </button>
+                <button
+                  onClick={() => handleModelTypeChange('intercept')}
+                  className={`px-3 py-1 rounded-md flex items-center ${modelType === 'intercept' ? 'bg-white shadow text-indigo-600' : 'text-gray-500'}`}
+                >
+                  <Latex formula="y = ax + b" />
+                </button>
+                <button
+                  onClick={() => handleModelTypeChange('polynomial')}
+                  className={`px-3 py-1 rounded-md flex items-center ${isPolynomial ? 'bg-white shadow text-indigo-600' : 'text-gray-500'}`}
+                >
+                  {t('visual.polynomial')}
+                </button>
+                <button
+                  onClick={() => handleModelTypeChange('logistic')}
+                  className={`px-3 py-1 rounded-md flex items-center ${isLogistic ? 'bg-white shadow text-indigo-600' : 'text-gray-500'}`}
+                >
+                  {t('visual.logistic')}
+                </button>
+              </div>
+              {isPolynomial && (
+                <div className="flex items-center gap-3 text-sm">
+                  <label htmlFor="poly-degree" className="font-bold text-gray-500">{t('visual.degree')}</label>
+                  <select
+                    id="poly-degree"
+                    value={polyDegree}
+                    onChange={(e) => handleModelOptionChange(parseInt(e.target.value, 10), standardize)}
+                    className="p-1 border rounded shadow-sm bg-white"
+                  >
+                    {Array.from({ length: MAX_DEGREE }, (_, i) => i + 1).map(d => (
+                      <option key={d} value={d}>{t('visual.degreeOption', { degree: d })}</option>
+                    ))}
+                  </select>
+                  <label className="flex items-center gap-1 font-bold text-gray-500">
+                    <input
+                      type="checkbox"
+                      checked={standardize}
+                      onChange={(e) => handleModelOptionChange(polyDegree, e.target.checked)}
+                    />
+                    {t('visual.standardize')}
+                  </label>
+                </div>
+              )}
+            </div>
           </div>
 
           <div className="grid lg:grid-cols-2 gap-8 items-stretch">
             {/* Left Chart */}
             <div className="relative border rounded-xl p-2 bg-gray-50">
+              <div className="absolute top-2 right-2">
+                <ChartExportButtons chartRef={scatterChartRef} name={t('visual.dataAndModel')} filename="data-and-model" />
+              </div>
               <h3 className="text-center font-bold text-gray-700 mb-2 flex justify-center items-center gap-2">
-                데이터와 모델 <Latex formula="y = ax" />
+                {t('visual.dataAndModel')} <Latex formula={modelFormula} />
               </h3>
-              <div className="h-72 w-full">
+              {poly && standardize && (
+                <p className="text-center text-[11px] text-gray-500 -mt-1">
+                  <Latex formula={`z = (x - ${poly.scaler.mean.toFixed(2)}) / ${poly.scaler.std.toFixed(2)}`} />
+                </p>
+              )}
+              <p className="text-center text-[11px] text-gray-400 -mt-1">
+                {t('visual.chartHint')}
+              </p>
+              <div ref={scatterChartRef} className="h-72 w-full">
                 <ResponsiveContainer width="100%" height="100%">
                   <ComposedChart margin={{ top: 20, right: 20, bottom: 20, left: 0 }}>
                     <CartesianGrid strokeDasharray="3 3" opacity={0.5} />
-                    <XAxis dataKey="x" type="number" domain={[0, 'dataMax+1']} />
-                    <YAxis type="number" domain={[0, 'auto']} />
-                    <Tooltip cursor={{ strokeDasharray: '3 3' }} content={() => null} />
+                    <XAxis dataKey="x" type="number" domain={chartDomain.x} allowDataOverflow />
+                    <YAxis type="number" domain={chartDomain.y} allowDataOverflow />
+                    {scatterChartData.optimumData && (
+                      <Line data={scatterChartData.optimumData} dataKey="y" name={t('visual.optimum')} stroke="#22c55e" strokeWidth={2} strokeDasharray="6 4" dot={false} animationDuration={0} />
+                    )}
                     <Line data={scatterChartData.lineData} dataKey="y" stroke="#2563eb" strokeWidth={3} dot={false} animationDuration={0} />
-                    <Scatter data={dataPoints} fill="#ef4444" shape="circle" />
-                    {dataPoints.map((p, i) => (
-                      <ReferenceLine key={i} segment={[{ x: p.x, y: p.y }, { x: p.x, y: manualA * p.x }]} stroke="#ef4444" strokeWidth={1.5} strokeDasharray="3 3" opacity={0.6} />
+                    {/* 점은 DataEditLayer가 그리고, Scatter는 보이지 않게 자리만 잡습니다. */}
+                    <Scatter data={dataPoints} shape={() => null} isAnimationActive={false} />
+                    {residualPoints.map((p, i) => (
+                      <ReferenceLine key={i} segment={[{ x: p.x, y: p.y }, { x: p.x, y: predictOutput(manualA, manualB, p.x, loss, poly) }]} stroke="#ef4444" strokeWidth={1.5} strokeDasharray="3 3" opacity={0.6} ifOverflow="hidden" />
                     ))}
+                    <DataEditLayer
+                      points={dataPoints}
+                      xDomain={chartDomain.x}
+                      yDomain={chartDomain.y}
+                      onAdd={handleChartAdd}
+                      onMove={handleChartMove}
+                      onDelete={removeDataPoint}
+                      onDragStart={handleChartDragStart}
+                      onDragEnd={() => setFrozenChartDomain(null)}
+                    />
                   </ComposedChart>
                 </ResponsiveContainer>
               </div>
+              <ChartDataTable
+                caption={t('a11y.scatterTable')}
+                columns={[
+                  { key: 'x', label: 'x' },
+                  { key: 'y', label: 'y' },
+                  { key: 'prediction', label: t('a11y.prediction') },
+                  { key: 'residual', label: t('a11y.residual') },
+                ]}
+                rows={scatterTableRows}
+              />
             </div>
 
             {/* Right Chart */}
             <div className="relative border rounded-xl p-2 bg-gray-50">
-              <h3 className="text-center font-bold text-gray-700 mb-2">오차 함수 (MSE)</h3>
-              <div className="h-72 w-full">
+              <div className="absolute top-2 right-2">
+                <ChartExportButtons chartRef={lossChartRef} name={t('visual.lossCurveTitle', { loss: lossInfo.short })} filename="loss-curve" />
+              </div>
+              <h3 className="text-center font-bold text-gray-700 mb-2 flex justify-center items-center gap-1">
+                {t('visual.lossCurveTitle', { loss: lossInfo.short })}
+                {useIntercept && rich('visual.fixedValue', { value: <Latex formula={`b = ${manualB.toFixed(2)}`} /> })}
+              </h3>
+              <div className="flex justify-center items-center gap-3 text-[11px] text-gray-500 -mt-1">
+                <span><span className="text-amber-500 font-bold">━</span> {t('visual.tangentLegend')}</span>
+                <span><span className="text-pink-500 font-bold">→</span> {t('visual.stepLegend')}</span>
+                <label className="flex items-center gap-1 font-bold">
+                  <input type="checkbox" checked={showCurvature} onChange={(e) => setShowCurvature(e.target.checked)} />
+                  {t('visual.showCurvature')}
+                </label>
+              </div>
+              <div ref={lossChartRef} className="h-72 w-full">
                 <ResponsiveContainer width="100%" height="100%">
-                  <LineChart data={mseCurveData} margin={{ top: 20, right: 20, bottom: 20, left: 0 }}>
+                  <LineChart data={lossChartData} margin={{ top: 20, right: 20, bottom: 20, left: 0 }}>
                     <CartesianGrid strokeDasharray="3 3" opacity={0.5} />
-                    <XAxis dataKey="a" type="number" domain={['dataMin', 'dataMax']} label={{ value: '기울기 a', position: 'insideBottom', offset: -5 }} />
-                    <YAxis label={{ value: 'MSE', angle: -90, position: 'insideLeft' }} />
-                    <Tooltip />
-                    <Line type="monotone" dataKey="mse" stroke="#8b5cf6" strokeWidth={3} dot={false} animationDuration={0} />
-                    {/* ReferenceDot을 사용하여 현재 위치 표시 (호환성 문제 해결) */}
-                    <ReferenceDot x={manualA} y={currentMSE} r={6} fill="#ef4444" stroke="none" />
-                    <ReferenceLine x={manualA} stroke="#ef4444" strokeDasharray="3 3" />
+                    <XAxis dataKey="a" type="number" domain={['dataMin', 'dataMax']} label={{ value: t('visual.axisA'), position: 'insideBottom', offset: -5 }} />
+                    <YAxis label={{ value: lossInfo.short, angle: -90, position: 'insideLeft' }} />
+                    <Tooltip formatter={formatTooltipValue} labelFormatter={(a) => `a = ${formatNumber(a, 2)}`} />
+                    <Line type="monotone" dataKey="loss" name={lossInfo.short} stroke="#8b5cf6" strokeWidth={3} dot={false} animationDuration={0} />
+                    {showCurvature && showTangent && (
+                      <Line type="monotone" dataKey="quadratic" name={t('visual.quadratic')} stroke="#0ea5e9" strokeWidth={2} strokeDasharray="4 3" dot={false} connectNulls={false} animationDuration={0} />
+                    )}
+                    {showTangent && (
+                      <>
+                        <ReferenceLine
+                          segment={[
+                            { x: manualA - tangentHalfWidth, y: currentLoss - currentGradient * tangentHalfWidth },
+                            { x: manualA + tangentHalfWidth, y: currentLoss + currentGradient * tangentHalfWidth }
+                          ]}
+                          stroke="#f59e0b" strokeWidth={2} ifOverflow="hidden"
+                        />
+                        {/* 접선을 따라 다음 단계의 a까지 간 화살표와, 실제 곡선 위의 다음 위치 */}
+                        {[previewFrom.loss, previewGradient, nextPreviewA].every(Number.isFinite) && (
+                          <ReferenceLine
+                            segment={[
+                              { x: previewFrom.a, y: previewFrom.loss },
+                              { x: nextPreviewA, y: previewFrom.loss + previewGradient * (nextPreviewA - previewFrom.a) }
+                            ]}
+                            stroke="#ec4899" strokeWidth={2} ifOverflow="hidden" shape={ArrowShape}
+                          />
+                        )}
+                        {Number.isFinite(nextPreviewLoss) && (
+                          <ReferenceDot x={nextPreviewA} y={nextPreviewLoss} r={4} fill="#ffffff" stroke="#ec4899" strokeWidth={2} ifOverflow="hidden" />
+                        )}
+                      </>
+                    )}
+                    {showCurvature && showTangent && Number.isFinite(secantLoss) && (
+                      <>
+                        <ReferenceLine
+                          segment={[
+                            { x: manualA - tangentHalfWidth, y: currentLoss - currentSecantSlope * tangentHalfWidth },
+                            { x: manualA + secantH + tangentHalfWidth, y: currentLoss + currentSecantSlope * (secantH + tangentHalfWidth) }
+                          ]}
+                          stroke="#10b981" strokeWidth={1.5} strokeDasharray="5 3" ifOverflow="hidden"
+                        />
+                        <ReferenceDot x={manualA + secantH} y={secantLoss} r={4} fill="#10b981" stroke="#ffffff" ifOverflow="hidden" />
+                      </>
+                    )}
+                    {optimum && (
+                      <ReferenceLine x={optimum.a} stroke="#22c55e" strokeWidth={2} strokeDasharray="6 4" label={{ value: 'a*', position: 'top', fill: '#16a34a' }} ifOverflow="extendDomain" />
+                    )}
+                    {visibleNewtonHistory.filter(h => Number.isFinite(h.a) && Number.isFinite(h.loss)).map(h => (
+                      <ReferenceDot key={`newton-${h.step}`} x={h.a} y={h.loss} r={4} fill="#f97316" stroke="#ffffff" />
+                    ))}
+                    {Number.isFinite(currentLoss) && (
+                      <>
+                        {/* ReferenceDot을 사용하여 현재 위치 표시 (호환성 문제 해결) */}
+                        <ReferenceDot x={manualA} y={currentLoss} r={6} fill="#ef4444" stroke="none" />
+                        <ReferenceLine x={manualA} stroke="#ef4444" strokeDasharray="3 3" />
+                      </>
+                    )}
+                    {raceDots.map(dot => (
+                      <ReferenceDot
+                        key={dot.key}
+                        x={dot.a} y={dot.loss} r={4}
+                        fill={dot.color} stroke="#ffffff" fillOpacity={0.8}
+                      />
+                    ))}
                   </LineChart>
                 </ResponsiveContainer>
               </div>
+              <ChartDataTable
+                caption={t('a11y.lossCurveTable', { loss: lossInfo.short })}
+                columns={[
+                  { key: 'a', label: 'a', format: (a) => formatNumber(a, 2) },
+                  { key: 'loss', label: lossInfo.short },
+                ]}
+                rows={lossCurveData}
+              />
+
+              {/* Secant vs Tangent */}
+              {showCurvature && (
+                <div role="region" aria-label={t('visual.secantRegion')} className="mt-2 p-3 bg-white rounded-lg border text-xs text-gray-600 space-y-2">
+                  <p>
+                    {rich('visual.secantIntro', { a: <Latex formula="a" />, ah: <Latex formula="a + h" />, h: <Latex formula="h" /> })}
+                  </p>
+                  <label className="flex items-center gap-2 font-bold">
+                    <span>{rich('visual.secantGap', { h: <Latex formula="h" /> })}</span>
+                    <input
+                      type="range" aria-label={t('visual.secantGapLabel')} min={-3} max={0} step={0.25} value={secantExponent}
+                      onChange={(e) => setSecantExponent(parseFloat(e.target.value))}
+                      className="flex-1 accent-emerald-600"
+                    />
+                    <span className="font-mono w-20 text-right">{formatSignificant(secantH, 2)}</span>
+                  </label>
+                  <table aria-label={t('visual.secantTable')} className="w-full text-center font-mono">
+                    <thead className="text-gray-500">
+                      <tr>
+                        <th className="font-normal"><Latex formula="h" /></th>
+                        <th className="font-normal">{t('visual.secantSlope')}</th>
+                        <th className="font-normal">{t('visual.secantDifference')}</th>
+                        <th className="font-normal"><Latex formula="\tfrac{1}{2}E''h" /></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {secantRows.map(row => (
+                        <tr key={row.h}>
+                          <td>{row.h}</td>
+                          <td>{formatNumber(row.slope, 4)}</td>
+                          <td>{formatNumber(row.slope - currentGradient, 4)}</td>
+                          <td>{formatNumber(0.5 * currentCurvature * row.h, 4)}</td>
+                        </tr>
+                      ))}
+                      <tr className="font-bold text-amber-600 border-t">
+                        <td>→ 0</td>
+                        <td>{formatNumber(currentGradient, 4)}</td>
+                        <td>0</td>
+                        <td>0</td>
+                      </tr>
+                    </tbody>
+                  </table>
+                  <p>
+                    {rich('visual.secantOutro', { term: <Latex formula="\tfrac{1}{2}E''(a)\,h" />, h: <Latex formula="h" /> })}
+                  </p>
+                </div>
+              )}
 
               {/* Value Badge */}
               <div className="absolute top-4 right-4 bg-white/90 p-3 rounded-lg shadow border text-right text-xs">
-                <div className="text-gray-500">현재 <Latex formula="a" /></div>
-                <div className="text-xl font-bold text-blue-600">{manualA.toFixed(2)}</div>
-                <div className="mt-1 text-gray-500">MSE</div>
-                <div className="text-lg font-bold text-red-500">{currentMSE.toFixed(2)}</div>
-                <div className="mt-1 text-gray-500">미분값(Gradient)</div>
-                <div className="text-lg font-mono text-purple-700">{currentGradient.toFixed(2)}</div>
+                <div className="text-gray-500">{rich('visual.currentValue', { name: <Latex formula="a" /> })}</div>
+                <div className="text-xl font-bold text-blue-600">{formatNumber(manualA, 2)}</div>
+                <div className="mt-1 text-gray-500">{lossInfo.short}</div>
+                <div className="text-lg font-bold text-red-500">{formatNumber(currentLoss, 2)}</div>
+                <div className="mt-1 text-gray-500">{t('visual.gradient')}</div>
+                <div className="text-lg font-mono text-purple-700">{formatNumber(currentGradient, 2)}</div>
+                {showCurvature && (
+                  <>
+                    <div className="mt-1 text-gray-500">{rich('visual.curvature', { formula: <Latex formula="E''(a)" /> })}</div>
+                    <div className="text-lg font-mono text-sky-600">{formatNumber(currentCurvature, 2)}</div>
+                  </>
+                )}
+                {currentDistance !== null && (
+                  <>
+                    <div className="mt-1 text-gray-500">{t('visual.distance')}</div>
+                    <div className="text-lg font-mono text-green-600">{formatNumber(currentDistance, 3)}</div>
+                  </>
+                )}
+                {useIntercept && (
+                  <>
+                    <div className="mt-1 text-gray-500">{rich('visual.currentValue', { name: <Latex formula="b" /> })}</div>
+                    <div className="text-lg font-bold text-blue-600">{formatNumber(manualB, 2)}</div>
+                    <div className="mt-1 text-gray-500"><Latex formula="\partial E / \partial b" /></div>
+                    <div className="text-lg font-mono text-purple-700">{formatNumber(currentGradientB, 2)}</div>
+                  </>
+                )}
+                {coefficientIndices.map(k => (
+                  <div key={k} className="mt-1 text-gray-500">
+                    <Latex formula={`c_{${k}}`} /> <span className="font-bold text-blue-600">{formatNumber(manualC[k - 2] || 0, 2)}</span>
+                  </div>
+                ))}
               </div>
             </div>
           </div>
 
+          {useIntercept && (
+            <div className="mt-6 border rounded-xl p-2 bg-gray-50">
+              <h3 className="text-center font-bold text-gray-700 mb-2 flex justify-center items-center gap-2">
+                {rich('visual.contourTitle', { formula: <Latex formula="E(a, b)" /> })}
+              </h3>
+              <div className="flex items-stretch gap-2">
+                <div className="flex flex-col justify-between text-xs text-gray-500 py-1 text-right">
+                  <span>{bRange[1]}</span>
+                  <span className="font-bold">b</span>
+                  <span>{bRange[0]}</span>
+                </div>
+                <div className="flex-1">
+                  <div className="h-72 w-full rounded overflow-hidden">
+                    <LossContour
+                      grid={contourGrid}
+                      aRange={aRange}
+                      bRange={bRange}
+                      path={visibleHistory}
+                      comparePath={visibleNewtonHistory}
+                      optimum={optimum}
+                      current={{ a: manualA, b: manualB }}
+                      onSelect={(a, b) => moveByHand(parseFloat(a.toFixed(2)), parseFloat(b.toFixed(2)))}
+                    />
+                  </div>
+                  <div className="flex justify-between text-xs text-gray-500 mt-1">
+                    <span>{aRange[0]}</span>
+                    <span className="font-bold">a</span>
+                    <span>{aRange[1]}</span>
+                  </div>
+                </div>
+              </div>
+              <p className="text-xs text-gray-500 text-center mt-2">
+                {t('visual.contourHint')}
+                {optimum && t('visual.contourOptimum')}{newtonRun && t('visual.contourNewton')}
+              </p>
+            </div>
+          )}
+
           <div className="mt-6 bg-blue-50 p-4 rounded-xl flex flex-col items-center">
             <input
-              type="range" min="-1" max="4" step="0.05" value={manualA}
-              onChange={(e) => {
-                stopSimulation();
-                setManualA(parseFloat(e.target.value));
-              }}
+              type="range" min={aRange[0]} max={aRange[1]} step="0.05" value={Number.isFinite(manualA) ? manualA : 0}
+              aria-label={t('a11y.sliderA')}
+              aria-valuetext={describePosition(manualA, currentLoss, currentGradient)}
+              aria-keyshortcuts={SHORTCUT_KEYS.nudgeA}
+              onChange={(e) => moveByHand(parseFloat(e.target.value))}
               className="w-full max-w-lg h-2 bg-blue-200 rounded-lg appearance-none cursor-pointer accent-blue-600"
             />
             <span className="mt-2 text-sm text-blue-800 font-bold flex items-center gap-2">
               <Latex formula={`a = ${manualA.toFixed(2)}`} />
             </span>
+            {useIntercept && (
+              <>
+                <input
+                  type="range" min={bRange[0]} max={bRange[1]} step="0.1" value={manualB}
+                  aria-label={t('a11y.sliderB')}
+                  onChange={(e) => moveByHand(manualA, parseFloat(e.target.value))}
+                  className="mt-4 w-full max-w-lg h-2 bg-blue-200 rounded-lg appearance-none cursor-pointer accent-blue-600"
+                />
+                <span className="mt-2 text-sm text-blue-800 font-bold flex items-center gap-2">
+                  <Latex formula={`b = ${manualB.toFixed(2)}`} />
+                </span>
+              </>
+            )}
           </div>
         </section>
 
@@ -318,44 +2458,221 @@ const App = () => {
         <section className="bg-white p-6 rounded-2xl shadow-sm border-t-4 border-green-500">
           <div className="flex items-center gap-3 mb-6">
             <span className="w-8 h-8 bg-green-100 text-green-600 rounded-full flex items-center justify-center text-sm font-bold">3</span>
-            <h2 className="text-xl font-bold">미분 계산 시뮬레이션</h2>
+            <h2 className="text-xl font-bold">{t('simulation.title')}</h2>
           </div>
 
           {/* Controls */}
           <div className="flex flex-wrap items-end gap-4 bg-gray-50 p-4 rounded-xl mb-6">
             <div>
-              <label className="block text-xs font-bold text-gray-500 mb-1">초기값 <Latex formula="a_0" /></label>
+              <label className="block text-xs font-bold text-gray-500 mb-1">{rich('simulation.initialValue', { name: <Latex formula="a_0" /> })}</label>
               <input type="number" value={initialA} onChange={(e) => { setInitialA(e.target.value); resetSimulation(); }} className="w-20 p-2 border rounded shadow-sm text-center" step="0.1" />
             </div>
+            {useIntercept && (
+              <div>
+                <label className="block text-xs font-bold text-gray-500 mb-1">{rich('simulation.initialValue', { name: <Latex formula="b_0" /> })}</label>
+                <input type="number" value={initialB} onChange={(e) => { setInitialB(e.target.value); resetSimulation(); }} className="w-20 p-2 border rounded shadow-sm text-center" step="0.1" />
+              </div>
+            )}
             <div>
               <div>
-                <label className="block text-xs font-bold text-gray-500 mb-1">학습률 <Latex formula="\eta" /></label>
+                <label className="block text-xs font-bold text-gray-500 mb-1">{rich('simulation.learningRate', { eta: <Latex formula="\eta" /> })}</label>
                 <input type="number" value={learningRate} onChange={(e) => { setLearningRate(e.target.value); resetSimulation(); }} className="w-20 p-2 border rounded shadow-sm text-center" step="0.001" min="0.001" max="1" />
               </div>
+              {Number.isFinite(stableLearningRate) && (
+                <div className={`text-[10px] mt-1 ${parseFloat(learningRate) >= stableLearningRate ? 'text-red-500 font-bold' : 'text-gray-400'}`}>
+                  {rich('simulation.stableLimit', { etaMax: <>η<sub>max</sub></>, value: formatSignificant(stableLearningRate, 3) })}
+                </div>
+              )}
+            </div>
+            <div>
+              <label className="block text-xs font-bold text-gray-500 mb-1">{t('simulation.iterations')}</label>
+              <input type="number" value={iterations} onChange={(e) => setIterations(Math.max(1, parseInt(e.target.value, 10) || 1))} className="w-20 p-2 border rounded shadow-sm text-center" step="10" min="1" />
             </div>
+            <div>
+              <label className="block text-xs font-bold text-gray-500 mb-1">{t('simulation.tolerance')}</label>
+              <input type="number" value={tolerance} onChange={(e) => setTolerance(e.target.value)} className="w-24 p-2 border rounded shadow-sm text-center" step="0.0001" min="0" />
+            </div>
+            <div>
+              <label className="block text-xs font-bold text-gray-500 mb-1">{t('simulation.optimizer')}</label>
+              <select
+                value={optimizerType}
+                onChange={(e) => { setOptimizerType(e.target.value); resetSimulation(); }}
+                className="p-2 border rounded shadow-sm bg-white"
+              >
+                {Object.keys(OPTIMIZER_INFO).map(key => (
+                  <option key={key} value={key}>{t(`optimizers.${key}.label`)}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-bold text-gray-500 mb-1">{t('simulation.batchMode')}</label>
+              <select
+                value={batchMode}
+                onChange={(e) => { setBatchMode(e.target.value); resetSimulation(); }}
+                className="p-2 border rounded shadow-sm bg-white"
+              >
+                {BATCH_MODES.map(key => (
+                  <option key={key} value={key}>{t(`batchModes.${key}`)}</option>
+                ))}
+              </select>
+            </div>
+            {batchMode === 'minibatch' && (
+              <div>
+                <label className="block text-xs font-bold text-gray-500 mb-1">{t('simulation.batchSize')}</label>
+                <input type="number" value={batchSize} onChange={(e) => { setBatchSize(e.target.value); resetSimulation(); }} className="w-20 p-2 border rounded shadow-sm text-center" step="1" min="1" max={dataPoints.length} />
+              </div>
+            )}
+            {batchMode !== 'batch' && (
+              <div>
+                <label className="block text-xs font-bold text-gray-500 mb-1">{t('simulation.seed')}</label>
+                <input type="number" value={batchSeed} onChange={(e) => { setBatchSeed(e.target.value); resetSimulation(); }} className="w-20 p-2 border rounded shadow-sm text-center" step="1" />
+              </div>
+            )}
+            {optimizer.hyperparams.map((name) => (
+              <div key={name}>
+                <label className="block text-xs font-bold text-gray-500 mb-1"><Latex formula={HYPERPARAMS[name].formula} /></label>
+                <input
+                  type="number" value={hyperparams[name]}
+                  step={HYPERPARAMS[name].step} min={HYPERPARAMS[name].min} max={HYPERPARAMS[name].max}
+                  onChange={(e) => {
+                    setHyperparams({ ...hyperparams, [name]: parseFloat(e.target.value) || 0 });
+                    resetSimulation();
+                  }}
+                  className="w-24 p-2 border rounded shadow-sm text-center"
+                />
+              </div>
+            ))}
+            <label className="flex items-center gap-2 text-sm font-bold text-gray-500 pb-2">
+              <input type="checkbox" checked={showNewton} onChange={(e) => setShowNewton(e.target.checked)} />
+              {t('simulation.compareNewton')}
+            </label>
             <div className="flex gap-2 ml-auto">
               <button
                 onClick={resetSimulation}
                 className="flex items-center gap-2 bg-gray-100 text-gray-600 hover:bg-gray-200 px-4 py-2 rounded-lg font-bold shadow transition-colors"
               >
-                <RotateCcw size={18} /> 시뮬레이션 초기화
+                <RotateCcw size={18} /> {t('simulation.reset')}
+              </button>
+              <button
+                onClick={() => jumpToStep(currentStep - 1)}
+                aria-keyshortcuts={SHORTCUT_KEYS.stepBack}
+                className="flex items-center gap-2 bg-white border-2 border-gray-300 text-gray-600 hover:bg-gray-50 px-3 py-2 rounded-lg font-bold shadow transition-colors disabled:opacity-40"
+                disabled={isAnimating || backgroundRun !== null || currentStep === 0}
+              >
+                <StepBack size={18} /> {t('simulation.stepBack')}
               </button>
               <button
                 onClick={performSingleStep}
+                aria-keyshortcuts={SHORTCUT_KEYS.stepForward}
                 className="flex items-center gap-2 bg-white border-2 border-green-600 text-green-700 hover:bg-green-50 px-4 py-2 rounded-lg font-bold shadow transition-colors"
-                disabled={isAnimating}
+                disabled={isAnimating || backgroundRun !== null}
               >
-                <StepForward size={18} /> 단계별 실행
+                <StepForward size={18} /> {t('simulation.step')}
               </button>
+              <select
+                aria-label={t('simulation.playbackSpeed')}
+                value={playbackDelay}
+                onChange={(e) => setPlaybackDelay(Number(e.target.value))}
+                className="p-2 border rounded-lg shadow-sm bg-white text-sm font-bold"
+              >
+                {PLAYBACK_SPEEDS.map(speed => (
+                  <option key={speed.delay} value={speed.delay}>{speed.label}</option>
+                ))}
+              </select>
               <button
                 onClick={startSimulation}
-                className={`flex items-center gap-2 px-6 py-2 rounded-lg font-bold shadow transition-colors text-white ${isAnimating ? 'bg-red-500' : 'bg-green-600 hover:bg-green-700'}`}
+                aria-keyshortcuts={SHORTCUT_KEYS.togglePlay}
+                className={`flex items-center gap-2 px-6 py-2 rounded-lg font-bold shadow transition-colors text-white disabled:opacity-40 ${isAnimating ? 'bg-red-500' : 'bg-green-600 hover:bg-green-700'}`}
+                disabled={backgroundRun !== null}
+              >
+                {isAnimating ? <><Pause size={18} /> {t('simulation.stop')}</> : <><Play size={18} /> {t('simulation.autoRun')}</>}
+              </button>
+              <button
+                onClick={runToEnd}
+                className={`flex items-center gap-2 px-4 py-2 rounded-lg font-bold shadow transition-colors ${backgroundRun ? 'bg-red-100 text-red-600' : 'bg-green-100 text-green-800 hover:bg-green-200'}`}
               >
-                {isAnimating ? <><Pause size={18} /> 정지</> : <><Play size={18} /> 자동 실행</>}
+                {backgroundRun ? <><Pause size={18} /> {t('simulation.cancelRun')}</> : <><FastForward size={18} /> {t('simulation.runToEnd')}</>}
               </button>
             </div>
+            {backgroundRun && (
+              <div className="w-full flex items-center gap-3 text-xs text-gray-500">
+                <div
+                  role="progressbar"
+                  aria-label={t('simulation.runProgress')}
+                  aria-valuemin={0}
+                  aria-valuemax={backgroundRun.total}
+                  aria-valuenow={backgroundRun.done}
+                  className="flex-1 h-2 bg-gray-200 rounded-full overflow-hidden"
+                >
+                  <div className="h-full bg-green-500 transition-all" style={{ width: `${(backgroundRun.done / backgroundRun.total) * 100}%` }} />
+                </div>
+                <span>{t('simulation.runProgressText', { done: backgroundRun.done, total: backgroundRun.total })}</span>
+              </div>
+            )}
+            <p className="w-full text-right text-[11px] text-gray-400">{t('a11y.shortcuts')}</p>
           </div>
 
+          {/* Timeline */}
+          {gdHistory.length > 1 && (
+            <div className="mb-6 flex items-center gap-3 text-sm">
+              <label htmlFor="timeline" className="font-bold text-gray-500 whitespace-nowrap">{t('simulation.timeline')}</label>
+              <input
+                id="timeline"
+                type="range"
+                min={0}
+                max={gdHistory.length - 1}
+                value={currentStep}
+                onChange={(e) => jumpToStep(parseInt(e.target.value, 10))}
+                className="flex-1 accent-green-600"
+              />
+              <span className="font-mono text-gray-600 whitespace-nowrap">
+                {t('simulation.stepOf', { step: currentStep, last: gdHistory.length - 1 })}
+              </span>
+              {currentStep < gdHistory.length - 1 && (
+                <span className="text-xs text-amber-600">{t('simulation.rewriteWarning')}</span>
+              )}
+            </div>
+          )}
+
+          {/* Training Status Banner */}
+          {trainingStatus.status !== 'running' && (
+            <div role="status" className={`mb-6 p-4 rounded-xl border ${STATUS_STYLES[trainingStatus.status]}`}>
+              <div className="font-bold mb-1">
+                {t(`status.titles.${trainingStatus.status}`)} <span className="font-normal text-sm">{t('status.step', { step: trainingStatus.step })}</span>
+              </div>
+              <p className="text-sm">{t(`status.reasons.${trainingStatus.reason}`)}</p>
+              {(trainingStatus.status === 'diverged' || trainingStatus.status === 'oscillating') && !Number.isFinite(stableLearningRate) && (
+                <p className="mt-2 text-sm">
+                  {t('status.signOnly', { loss: lossInfo.short })}
+                </p>
+              )}
+              {(trainingStatus.status === 'diverged' || trainingStatus.status === 'oscillating') && Number.isFinite(stableLearningRate) && (
+                <div className="mt-2 text-sm flex flex-wrap items-center gap-2">
+                  <span>
+                    {rich('status.stableLimit', {
+                      rule: useIntercept
+                        ? rich('status.stableRuleSurface', { lambda: <Latex formula="\lambda_{max}" />, formula: <Latex formula="\eta_{max} = 2 / \lambda_{max}" /> })
+                        : <Latex formula={`\\eta_{max} = \\frac{2}{${LOSSES[lossType].curvature} \\cdot \\overline{x^2}}`} />,
+                      value: <b>{formatSignificant(stableLearningRate, 3)}</b>,
+                      lr: <b>{learningRate}</b>,
+                    })}
+                  </span>
+                  <button
+                    onClick={() => { setLearningRate(parseFloat((stableLearningRate * 0.5).toPrecision(2))); resetSimulation(); }}
+                    className="px-3 py-1 bg-white border rounded shadow-sm font-bold hover:bg-gray-50"
+                  >
+                    {t('status.halfRestart', { value: formatSignificant(stableLearningRate * 0.5, 2) })}
+                  </button>
+                </div>
+              )}
+              {trainingStatus.status === 'converged' && (
+                <p className="text-xs mt-1">
+                  {t('status.criteria', { tolerance })}
+                </p>
+              )}
+            </div>
+          )}
+
           {/* Math & Calculation Breakdown Panel */}
           {stepDetails && (
             <div className="animate-fadeIn space-y-6">
@@ -363,37 +2680,82 @@ const App = () => {
               {/* The Math Formula */}
               <div className="bg-yellow-50 p-5 rounded-xl border border-yellow-200">
                 <h3 className="text-lg font-bold text-yellow-900 mb-3 flex items-center gap-2">
-                  <Calculator size={20} /> 미분 계산 해부 (Step {currentStep})
+                  <Calculator size={20} /> {t('breakdown.title', { step: currentStep })}
                 </h3>
 
                 <div className="grid md:grid-cols-2 gap-8 text-sm">
                   {/* Left: General Formula */}
                   <div>
-                    <h4 className="font-bold text-gray-700 mb-2 border-b pb-1">① 미분 공식 (Chain Rule)</h4>
-                    <p className="mb-2 text-gray-600 flex items-center gap-1">
-                      오차 함수 <Latex formula="E = (ax - y)^2" /> 를 <Latex formula="a" />로 미분합니다.
-                    </p>
+                    <h4 className="font-bold text-gray-700 mb-2 border-b pb-1">{t('breakdown.chainRule')}</h4>
+                    {isPolynomial ? (
+                      <p className="mb-2 text-gray-600 flex items-center gap-1 flex-wrap">
+                        {rich('breakdown.chainPolynomial', { loss: <Latex formula={`E = ${lossInfo.loss(residual)}`} /> })}
+                      </p>
+                    ) : useIntercept ? (
+                      <p className="mb-2 text-gray-600 flex items-center gap-1 flex-wrap">
+                        {rich('breakdown.chainIntercept', { loss: <Latex formula={`E = ${lossInfo.loss(residual)}`} />, a: <Latex formula="a" />, b: <Latex formula="b" /> })}
+                      </p>
+                    ) : (
+                      <p className="mb-2 text-gray-600 flex items-center gap-1 flex-wrap">
+                        {rich('breakdown.chainOrigin', { loss: <Latex formula={`E = ${lossInfo.loss(residual)}`} />, a: <Latex formula="a" /> })}
+                      </p>
+                    )}
                     <div className="bg-white p-3 rounded border border-yellow-300 font-mono text-center text-gray-800 space-y-2 flex flex-col items-center justify-center">
-                      <div className="text-3xl"> {/* 크기 조정 */}
-                        <Latex formula="\displaystyle \frac{d E}{d a} = 2(ax - y)\cdot x" />
-                      </div>
+                      {isPolynomial ? (
+                        <div className="text-3xl space-y-2"> {/* 크기 조정 */}
+                          <div><Latex formula={`\\displaystyle \\frac{\\partial E}{\\partial a} = ${lossInfo.derivative(residual)}\\cdot ${polyVariable}`} /></div>
+                          <div><Latex formula={`\\displaystyle \\frac{\\partial E}{\\partial b} = ${lossInfo.derivative(residual)}`} /></div>
+                          {coefficientIndices.length > 0 && (
+                            <div><Latex formula={`\\displaystyle \\frac{\\partial E}{\\partial c_k} = ${lossInfo.derivative(residual)}\\cdot ${polyVariable}^k`} /></div>
+                          )}
+                        </div>
+                      ) : useIntercept ? (
+                        <div className="text-3xl space-y-2"> {/* 크기 조정 */}
+                          <div><Latex formula={`\\displaystyle \\frac{\\partial E}{\\partial a} = ${lossInfo.derivative(residual)}\\cdot x`} /></div>
+                          <div><Latex formula={`\\displaystyle \\frac{\\partial E}{\\partial b} = ${lossInfo.derivative(residual)}`} /></div>
+                        </div>
+                      ) : (
+                        <div className="text-3xl"> {/* 크기 조정 */}
+                          <Latex formula={`\\displaystyle \\frac{d E}{d a} = ${lossInfo.derivative(residual)}\\cdot x`} />
+                        </div>
+                      )}
                       <div className="text-xs text-gray-500 mt-1">
-                        (단순화된 형태: 오차 × 입력값 × 2)
+                        {t('breakdown.simplified', { text: t(`losses.${lossType}.simplified`) })}
                       </div>
                     </div>
                   </div>
 
                   {/* Right: Update Rule */}
                   <div>
-                    <h4 className="font-bold text-gray-700 mb-2 border-b pb-1">② 값 업데이트 공식</h4>
-                    <p className="mb-2 text-gray-600">구해진 기울기의 반대 방향으로 이동합니다.</p>
+                    <h4 className="font-bold text-gray-700 mb-2 border-b pb-1">{t('breakdown.updateRule')}</h4>
+                    <p className="mb-2 text-gray-600">
+                      {t('breakdown.updateIntro')}{optimizerType !== 'gd' && ` (${optimizerLabel})`}
+                    </p>
                     <div className="bg-white p-3 rounded border border-green-300 font-mono text-center text-gray-800 flex justify-center">
-                      <div className="text-3xl"> {/* 크기 조정 */}
-                        <Latex formula="\displaystyle a_{new} = a_{old} - \eta \times \frac{d E}{d a}" />
+                      <div className="text-3xl space-y-2"> {/* 크기 조정 */}
+                        {optimizerType !== 'gd' ? (
+                          <Latex formula={optimizer.formula} />
+                        ) : isPolynomial ? (
+                          <>
+                            <div><Latex formula="\displaystyle \theta \leftarrow \theta - \eta \nabla E" /></div>
+                            <div className="text-base"><Latex formula={`\\theta = (${parameterLabels.join(', ')})`} /></div>
+                          </>
+                        ) : useIntercept ? (
+                          <>
+                            <div><Latex formula="\displaystyle a_{new} = a_{old} - \eta \times \frac{\partial E}{\partial a}" /></div>
+                            <div><Latex formula="\displaystyle b_{new} = b_{old} - \eta \times \frac{\partial E}{\partial b}" /></div>
+                          </>
+                        ) : (
+                          <Latex formula="\displaystyle a_{new} = a_{old} - \eta \times \frac{d E}{d a}" />
+                        )}
                       </div>
                     </div>
-                    <div className="mt-2 text-center text-xs flex justify-center items-center gap-1">
-                      ( <Latex formula="\eta" />: 학습률 {learningRate} )
+                    <div className="mt-2 text-center text-xs flex justify-center items-center gap-1 flex-wrap">
+                      ( <Latex formula="\eta" />: {t('breakdown.learningRateValue', { value: learningRate })}
+                      {lossType === 'huber' && <span className="flex items-center">, <Latex formula="\delta" />: {huberDelta}</span>}
+                      {optimizer.hyperparams.map((name) => (
+                        <span key={name} className="flex items-center">, <Latex formula={HYPERPARAMS[name].formula} />: {hyperparams[name]}</span>
+                      ))} )
                     </div>
                   </div>
                 </div>
@@ -405,35 +2767,74 @@ const App = () => {
                 {/* Detailed Table */}
                 <div className="lg:col-span-2 border rounded-xl overflow-hidden shadow-sm">
                   <div className="bg-gray-100 p-3 border-b font-bold text-gray-700 flex justify-between items-center">
-                    <span>데이터별 미분값 계산 (현재 a = {stepDetails.currentA.toFixed(4)})</span>
-                    <span className="text-xs font-normal text-gray-500">전체 데이터 표시</span>
+                    <span>
+                      {t('breakdown.tableHeading', {
+                        values: [
+                          `a = ${formatNumber(stepDetails.currentA, 4)}`,
+                          ...(useIntercept ? [`b = ${formatNumber(stepDetails.currentB, 4)}`] : []),
+                          ...stepDetails.currentC.map((c, i) => `c${i + 2} = ${formatNumber(c, 4)}`),
+                        ].join(', '),
+                      })}
+                    </span>
+                    <span className="text-xs font-normal text-gray-500">
+                      {stepDetails.batch
+                        ? t('breakdown.batchInfo', { batch: stepDetails.batch.length, total: dataPoints.length, epoch: stepDetails.epoch + 1 })
+                        : t('breakdown.allData')}
+                    </span>
                   </div>
-                  <div className="overflow-x-auto max-h-96 overflow-y-auto">
-                    <table className="w-full text-sm text-center relative">
+                  <div className="overflow-x-auto max-h-96 overflow-y-auto" onScroll={tableWindow.onScroll}>
+                    <table aria-label={t('breakdown.table')} className="w-full text-sm text-center relative">
                       <thead className="bg-gray-50 text-gray-500 text-xs uppercase sticky top-0 z-10 shadow-sm">
                         <tr>
-                          <th className="p-2 bg-gray-50">Data</th>
-                          <th className="p-2 bg-gray-50">예측 (<Latex formula="ax" />)</th>
-                          <th className="p-2 bg-gray-50">오차 (<Latex formula="ax-y" />)</th>
-                          <th className="p-2 bg-gray-50">미분항 (<Latex formula="2(ax-y)x" />)</th>
+                          <th className="p-2 bg-gray-50">{t('breakdown.columns.data')}</th>
+                          <th className="p-2 bg-gray-50">{rich('breakdown.columns.prediction', { formula: <Latex formula={predictionFormula} /> })}</th>
+                          <th className="p-2 bg-gray-50">{rich('breakdown.columns.error', { formula: <Latex formula={`${predictionFormula}-y`} /> })}</th>
+                          <th className="p-2 bg-gray-50">{rich('breakdown.columns.term', { formula: <Latex formula={`${lossInfo.derivative(residual)}\\cdot ${polyVariable}`} /> })}</th>
+                          {useIntercept && <th className="p-2 bg-gray-50">{rich('breakdown.columns.term', { formula: <Latex formula={lossInfo.derivative(residual)} /> })}</th>}
+                          {coefficientIndices.map(k => (
+                            <th key={k} className="p-2 bg-gray-50">{rich('breakdown.columns.term', { formula: <Latex formula={`${lossInfo.derivative(residual)}\\cdot ${polyVariable}^{${k}}`} /> })}</th>
+                          ))}
                         </tr>
                       </thead>
                       <tbody>
-                        {stepDetails.pointGradients.map((d) => (
-                          <tr key={d.id} className="border-b last:border-0 hover:bg-gray-50">
-                            <td className="p-2 font-mono text-gray-500">({d.x}, {d.y})</td>
-                            <td className="p-2 text-blue-600">{d.prediction.toFixed(2)}</td>
-                            <td className="p-2 text-red-500">{d.errorTerm.toFixed(2)}</td>
+                        {tableWindow.paddingTop > 0 && <tr aria-hidden="true" style={{ height: tableWindow.paddingTop }} />}
+                        {stepRows.slice(tableWindow.start, tableWindow.end).map((d) => (
+                          <tr
+                            key={d.id}
+                            style={{ height: TABLE_ROW_HEIGHT }}
+                            className={`border-b last:border-0 hover:bg-gray-50 ${stepDetails.batch ? (d.inBatch ? 'bg-green-50' : 'opacity-40') : ''}`}
+                          >
+                            <td className="p-2 font-mono text-gray-500">
+                              {stepDetails.batch && d.inBatch && <span className="text-green-600 mr-1">●</span>}
+                              ({d.x}, {d.y})
+                            </td>
+                            <td className="p-2 text-blue-600">{formatNumber(d.prediction, 2)}</td>
+                            <td className="p-2 text-red-500">{formatNumber(d.errorTerm, 2)}</td>
                             <td className="p-2 font-bold font-mono">
-                              {d.contribution.toFixed(2)}
+                              {formatNumber(d.contribution, 2)}
                             </td>
+                            {useIntercept && (
+                              <td className="p-2 font-bold font-mono">
+                                {formatNumber(d.contributionB, 2)}
+                              </td>
+                            )}
+                            {d.contributionsC.map((value, i) => (
+                              <td key={i} className="p-2 font-bold font-mono">
+                                {formatNumber(value, 2)}
+                              </td>
+                            ))}
                           </tr>
                         ))}
+                        {tableWindow.paddingBottom > 0 && <tr aria-hidden="true" style={{ height: tableWindow.paddingBottom }} />}
                       </tbody>
                       <tfoot className="bg-purple-50 font-bold text-purple-900 sticky bottom-0 z-10 shadow-inner">
                         <tr>
-                          <td colSpan="3" className="p-3 text-right bg-purple-50">평균 기울기 (Gradient):</td>
-                          <td className="p-3 font-mono text-lg bg-purple-50">{stepDetails.finalGradient.toFixed(4)}</td>
+                          <td colSpan="3" className="p-3 text-right bg-purple-50">{stepDetails.batch ? t('breakdown.batchGradient') : t('breakdown.meanGradient')}</td>
+                          <td className="p-3 font-mono text-lg bg-purple-50">{formatNumber(stepDetails.finalGradient, 4)}</td>
+                          {useIntercept && <td className="p-3 font-mono text-lg bg-purple-50">{formatNumber(stepDetails.finalGradientB, 4)}</td>}
+                          {stepDetails.finalGradientC.map((value, i) => (
+                            <td key={i} className="p-3 font-mono text-lg bg-purple-50">{formatNumber(value, 4)}</td>
+                          ))}
                         </tr>
                       </tfoot>
                     </table>
@@ -442,62 +2843,343 @@ const App = () => {
 
                 {/* Final Calculation Card */}
                 <div className="flex flex-col gap-4">
-                  <div className="bg-gradient-to-br from-indigo-500 to-purple-600 text-white p-6 rounded-xl shadow-lg flex flex-col justify-center h-full">
-                    <h4 className="text-indigo-100 font-bold mb-4 border-b border-indigo-400 pb-2">다음 a값 계산</h4>
+                  {isPolynomial ? (
+                    <div role="group" aria-label={t('breakdown.vectorUpdate')} className="bg-gradient-to-br from-indigo-500 to-purple-600 text-white p-6 rounded-xl shadow-lg flex flex-col justify-center h-full">
+                      <h4 className="text-indigo-100 font-bold mb-4 border-b border-indigo-400 pb-2 flex items-center gap-2">
+                        <Latex formula="\theta \leftarrow \theta - \eta \nabla E" />
+                        {optimizerType !== 'gd' && <span className="text-xs font-normal">{optimizerLabel}</span>}
+                      </h4>
+                      <table className="w-full font-mono text-sm text-right">
+                        <thead className="text-indigo-200 text-xs">
+                          <tr>
+                            <th className="text-left font-normal pb-1"><Latex formula="\theta" /></th>
+                            <th className="font-normal pb-1">{t('breakdown.current')}</th>
+                            <th className="font-normal pb-1">{deltaLabel}</th>
+                            <th className="font-normal pb-1">{t('breakdown.next')}</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {parameterLabels.map((label, i) => {
+                            const current = [stepDetails.currentA, stepDetails.currentB, ...stepDetails.currentC][i];
+                            const next = [stepDetails.nextA, stepDetails.nextB, ...stepDetails.nextC][i];
+                            return (
+                              <tr key={label} className="border-t border-indigo-400/50">
+                                <td className="text-left py-1"><Latex formula={label} /></td>
+                                <td className="py-1">{formatNumber(current, 4)}</td>
+                                <td className="py-1 text-yellow-300">− {formatNumber(stepDetails.delta[i], 4)}</td>
+                                <td className="py-1 font-bold">{formatNumber(next, 4)}</td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                  ) : (
+                    <div role="group" aria-label={t('breakdown.nextA')} className="bg-gradient-to-br from-indigo-500 to-purple-600 text-white p-6 rounded-xl shadow-lg flex flex-col justify-center h-full">
+                      <h4 className="text-indigo-100 font-bold mb-4 border-b border-indigo-400 pb-2">
+                        {t('breakdown.nextA')}{optimizerType !== 'gd' && <span className="text-xs font-normal ml-2">{optimizerLabel}</span>}
+                      </h4>
 
-                    <div className="space-y-4 font-mono">
-                      <div>
-                        <span className="text-indigo-200 text-xs block">현재 a</span>
-                        <span className="text-2xl font-bold">{stepDetails.currentA.toFixed(4)}</span>
-                      </div>
+                      <div className="space-y-4 font-mono">
+                        <div>
+                          <span className="text-indigo-200 text-xs block">{t('breakdown.currentA')}</span>
+                          <span className="text-2xl font-bold">{formatNumber(stepDetails.currentA, 4)}</span>
+                        </div>
 
-                      <div className="text-center text-xl opacity-80">-</div>
+                        <div className="text-center text-xl opacity-80">-</div>
 
-                      <div>
-                        <span className="text-indigo-200 text-xs block">학습률 × 평균 기울기</span>
-                        <span className="text-lg">
-                          {learningRate} × {stepDetails.finalGradient.toFixed(2)}
-                        </span>
-                        <span className="block text-xl text-yellow-300">
-                          = {(learningRate * stepDetails.finalGradient).toFixed(4)}
-                        </span>
-                      </div>
+                        <div>
+                          <span className="text-indigo-200 text-xs block">{deltaLabel}</span>
+                          {stepDetails.terms[0].map((term) => (
+                            <span key={term.key} className="block text-sm">
+                              <span className="text-indigo-200">{t(`optimizerTerms.${term.key}`)}: </span>{term.value}
+                            </span>
+                          ))}
+                          <span className="block text-xl text-yellow-300">
+                            = {formatNumber(stepDetails.delta[0], 4)}
+                          </span>
+                        </div>
 
-                      <div className="text-center text-xl opacity-80">↓</div>
+                        <div className="text-center text-xl opacity-80">↓</div>
 
-                      <div className="bg-white/20 p-3 rounded-lg">
-                        <span className="text-indigo-100 text-xs block">다음 a (Next Step)</span>
-                        <span className="text-3xl font-bold text-white">
-                          {(stepDetails.currentA - learningRate * stepDetails.finalGradient).toFixed(4)}
-                        </span>
+                        <div className="bg-white/20 p-3 rounded-lg">
+                          <span className="text-indigo-100 text-xs block">{t('breakdown.nextAValue')}</span>
+                          <span className="text-3xl font-bold text-white">
+                            {formatNumber(stepDetails.nextA, 4)}
+                          </span>
+                        </div>
+
+                        {useIntercept && (
+                          <div className="bg-white/10 p-3 rounded-lg">
+                            <span className="text-indigo-100 text-xs block">{t('breakdown.nextB', { delta: deltaLabel })}</span>
+                            {stepDetails.terms[1].map((term) => (
+                              <span key={term.key} className="block text-xs">
+                                <span className="text-indigo-200">{t(`optimizerTerms.${term.key}`)}: </span>{term.value}
+                              </span>
+                            ))}
+                            <span className="text-sm">
+                              {formatNumber(stepDetails.currentB, 4)} − {formatNumber(stepDetails.delta[1], 4)}
+                            </span>
+                            <span className="block text-2xl font-bold text-white">
+                              {formatNumber(stepDetails.nextB, 4)}
+                            </span>
+                          </div>
+                        )}
                       </div>
                     </div>
-                  </div>
+                  )}
                 </div>
 
               </div>
+            </div>
+          )}
 
-              {/* Learning Curve (Mini) */}
-              <div className="mt-4 border rounded-xl p-4 bg-white">
-                <h4 className="text-sm font-bold text-gray-500 mb-2">학습 진행 상황 (MSE)</h4>
-                <div className="h-40">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <LineChart data={gdHistory}>
-                      <XAxis dataKey="step" tick={{ fontSize: 10 }} />
-                      <YAxis tick={{ fontSize: 10 }} />
-                      <Tooltip />
-                      <Line type="monotone" dataKey="mse" stroke="#ef4444" strokeWidth={2} dot={false} isAnimationActive={false} />
-                    </LineChart>
-                  </ResponsiveContainer>
+          {/* Learning Curve (Mini): 레이스만 진행했어도 보이도록 단계 해부 패널 밖에 둡니다. */}
+          {learningCurveData.length > 0 && (
+            <div className="mt-6 border rounded-xl p-4 bg-white">
+              <div className="flex justify-between items-center mb-2">
+                <h4 className="text-sm font-bold text-gray-500">
+                  {t('breakdown.learningCurve', { loss: lossInfo.short })}{batchMode !== 'batch' && <span className="font-normal text-xs ml-2">{t('breakdown.batchLegend')}</span>}
+                </h4>
+                <div className="flex items-center gap-2">
+                  <ChartExportButtons chartRef={learningChartRef} name={t('breakdown.learningCurve', { loss: lossInfo.short })} filename="learning-curve" />
+                  <button onClick={exportHistory} className="text-xs px-2 py-1 bg-gray-100 hover:bg-gray-200 rounded flex items-center gap-1">
+                    <Download size={12} /> {t('breakdown.exportHistory')}
+                  </button>
+                  <button onClick={openWorksheetOptions} aria-expanded={showWorksheet} className="text-xs px-2 py-1 bg-indigo-50 text-indigo-700 hover:bg-indigo-100 rounded font-bold flex items-center gap-1">
+                    <FileText size={12} /> {t('worksheet.open')}
+                  </button>
                 </div>
               </div>
+              {showWorksheet && (
+                <div className="mb-3 p-3 bg-gray-50 border rounded-lg text-xs flex flex-wrap items-end gap-3">
+                  <label className="flex flex-col gap-1 font-bold text-gray-500">
+                    {t('worksheet.steps')}
+                    <input
+                      value={worksheetSteps}
+                      onChange={(e) => setWorksheetSteps(e.target.value)}
+                      placeholder={t('worksheet.stepsHint', { last: gdHistory.length - 1 })}
+                      className="w-44 p-1 border rounded font-mono font-normal"
+                    />
+                  </label>
+                  <label className="flex items-center gap-1 font-bold text-gray-500 pb-1">
+                    <input type="checkbox" checked={worksheetBlank} onChange={(e) => setWorksheetBlank(e.target.checked)} />
+                    {t('worksheet.blank')}
+                  </label>
+                  <div className="flex gap-2 ml-auto">
+                    <button onClick={downloadWorksheet} className="px-2 py-1 bg-white border rounded hover:bg-gray-100 flex items-center gap-1">
+                      <Download size={12} /> {t('worksheet.download')}
+                    </button>
+                    <button onClick={printWorksheet} className="px-2 py-1 bg-indigo-600 text-white rounded font-bold hover:bg-indigo-700 flex items-center gap-1">
+                      <Printer size={12} /> {t('worksheet.print')}
+                    </button>
+                  </div>
+                </div>
+              )}
+              <div ref={learningChartRef} className="h-40">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={learningCurveData}>
+                    <XAxis dataKey="step" tick={{ fontSize: 10 }} />
+                    <YAxis tick={{ fontSize: 10 }} />
+                    <Tooltip formatter={formatTooltipValue} labelFormatter={(value) => `Step ${value}`} />
+                    <ReferenceLine x={currentStep} stroke="#16a34a" strokeDasharray="3 3" />
+                    <Line type="monotone" dataKey="loss" name={t('breakdown.fullLoss', { loss: lossInfo.short })} stroke="#ef4444" strokeWidth={2} dot={false} isAnimationActive={false} />
+                    {batchMode !== 'batch' && (
+                      <Line type="linear" dataKey="batchLoss" name={t('breakdown.batchLoss', { loss: lossInfo.short })} stroke="#f59e0b" strokeWidth={1} strokeDasharray="3 3" dot={{ r: 2 }} isAnimationActive={false} />
+                    )}
+                    {newtonRun && (
+                      <Line type="linear" dataKey="newtonLoss" name={t('breakdown.newtonLoss', { loss: lossInfo.short })} stroke="#f97316" strokeWidth={2} dot={{ r: 2 }} isAnimationActive={false} />
+                    )}
+                    {racingRuns.map(({ run, color }) => (
+                      <Line key={run.id} type="monotone" dataKey={`run${run.id}`} name={raceRunName(run)} stroke={color} strokeWidth={2} dot={false} isAnimationActive={false} />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+              <ChartDataTable
+                caption={t('a11y.learningCurveTable', { loss: lossInfo.short })}
+                columns={[
+                  { key: 'step', label: t('a11y.step'), format: String },
+                  { key: 'loss', label: t('breakdown.fullLoss', { loss: lossInfo.short }) },
+                  ...(batchMode !== 'batch' ? [{ key: 'batchLoss', label: t('breakdown.batchLoss', { loss: lossInfo.short }) }] : []),
+                  ...(newtonRun ? [{ key: 'newtonLoss', label: t('breakdown.newtonLoss', { loss: lossInfo.short }) }] : []),
+                  ...racingRuns.map(({ run }) => ({ key: `run${run.id}`, label: raceRunName(run) })),
+                ]}
+                rows={learningCurveData}
+              />
+              {stepDetails && stepDetails.distance !== null && (
+                <p className="text-xs text-gray-500 mt-1">
+                  {rich('breakdown.distance', { formula: <Latex formula="\lVert \theta - \theta^* \rVert" />, value: formatNumber(stepDetails.distance, 4) })}
+                  {newtonEntry && newtonEntry.distance !== null && t('breakdown.newtonDistance', { value: formatNumber(newtonEntry.distance, 4) })}
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Newton's Method Comparison */}
+          {stepDetails && newtonRun && (
+            <div role="region" aria-label={t('newton.title')} className="mt-4 border border-orange-200 rounded-xl p-4 bg-orange-50 text-sm text-gray-700 space-y-2">
+              <h4 className="font-bold text-orange-700 flex items-center gap-2">
+                {t('newton.title')}
+                <Latex formula={useIntercept ? '\\theta \\leftarrow \\theta - H^{-1}\\nabla E' : "a \\leftarrow a - \\frac{E'(a)}{E''(a)}"} />
+              </h4>
+              <p>
+                {t('newton.intro')}
+              </p>
+              {newtonRun.singular ? (
+                <p className="text-red-600 font-bold">
+                  {t('newton.singular', { loss: lossInfo.short })}
+                </p>
+              ) : newtonEntry && (
+                <p>
+                  {t('newton.compare', {
+                    step: currentStep,
+                    loss: lossInfo.short,
+                    gd: formatNumber(stepDetails.loss, 4),
+                    newton: formatNumber(newtonEntry.loss, 4),
+                  })}
+                </p>
+              )}
+              {lossType === 'mse' && (
+                <p className="text-gray-600">
+                  {rich('newton.mseNote', {
+                    eta: <Latex formula="\eta" />,
+                    rest: useIntercept
+                      ? t('newton.mseSurface')
+                      : t('newton.mseLine', { value: formatSignificant(stableLearningRate / 2, 3) }),
+                  })}
+                </p>
+              )}
             </div>
           )}
         </section>
 
+        {/* 4. Comparison Race */}
+        <section className="bg-white p-6 rounded-2xl shadow-sm border-t-4 border-orange-400">
+          <div className="flex items-center justify-between mb-6">
+            <div className="flex items-center gap-3">
+              <span className="w-8 h-8 bg-orange-100 text-orange-600 rounded-full flex items-center justify-center text-sm font-bold">4</span>
+              <h2 className="text-xl font-bold">{t('race.title')}</h2>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={resetRace}
+                className="flex items-center gap-2 bg-gray-100 text-gray-600 hover:bg-gray-200 px-4 py-2 rounded-lg font-bold shadow transition-colors"
+              >
+                <RotateCcw size={18} /> {t('race.reset')}
+              </button>
+              <button
+                onClick={performRaceStep}
+                className="flex items-center gap-2 bg-white border-2 border-orange-500 text-orange-600 hover:bg-orange-50 px-4 py-2 rounded-lg font-bold shadow transition-colors"
+                disabled={isRacing || raceRuns.length === 0}
+              >
+                <StepForward size={18} /> {t('race.stepTogether')}
+              </button>
+              <button
+                onClick={() => setIsRacing(!isRacing)}
+                className={`flex items-center gap-2 px-6 py-2 rounded-lg font-bold shadow transition-colors text-white ${isRacing ? 'bg-red-500' : 'bg-orange-500 hover:bg-orange-600'}`}
+                disabled={raceRuns.length === 0}
+              >
+                {isRacing ? <><Pause size={18} /> {t('simulation.stop')}</> : <><Play size={18} /> {t('race.start')}</>}
+              </button>
+            </div>
+          </div>
+
+          <p className="text-sm text-gray-600 mb-4">
+            {rich('race.intro', { common: <Latex formula="\beta, \epsilon" /> })}
+            {useIntercept && <span> {t('race.interceptNote')}</span>}
+          </p>
+
+          {/* Run Summary Table */}
+          <div className="border rounded-xl overflow-hidden shadow-sm">
+            <table aria-label={t('race.summary')} className="w-full text-sm text-center">
+              <thead className="bg-gray-50 text-gray-500 text-xs">
+                <tr>
+                  <th className="p-2">{t('race.run')}</th>
+                  <th className="p-2">{rich('simulation.learningRate', { eta: <Latex formula="\eta" /> })}</th>
+                  <th className="p-2">{rich('simulation.initialValue', { name: <Latex formula="a_0" /> })}</th>
+                  <th className="p-2">{t('simulation.optimizer')}</th>
+                  <th className="p-2">{t('race.convergedStep')}</th>
+                  <th className="p-2">{t('race.finalLoss', { loss: lossInfo.short })}</th>
+                  <th className="p-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {raceRuns.map((run, runIndex) => {
+                  const progress = raceProgress[run.id];
+                  const last = progress && progress.history[progress.history.length - 1];
+                  const runTolerance = parseFloat(tolerance) || CONVERGENCE_TOLERANCE;
+                  const runStatus = progress && detectTrainingStatus(progress.history, { useIntercept, tolerance: runTolerance, maxSteps: iterations });
+                  // 기울기가 허용 오차 아래로 내려간 단계. 그 전에 손실이 더 줄지 않아 멈췄다면 멈춘 단계입니다.
+                  const convergedStep = !progress ? null
+                    : findConvergedStep(progress.history, useIntercept, runTolerance) ?? (runStatus.status === 'converged' ? runStatus.step : null);
+                  const diverged = progress && (!Number.isFinite(progress.state.a) || runStatus.status === 'diverged');
+                  return (
+                    <tr key={run.id} className="border-b last:border-0">
+                      <td className="p-2">
+                        <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: RUN_COLORS[runIndex % RUN_COLORS.length] }} />
+                      </td>
+                      <td className="p-2">
+                        <input type="number" value={run.learningRate} onChange={(e) => updateRaceRun(run.id, 'learningRate', e.target.value)} className="w-20 p-1 border rounded text-center" step="0.0001" min="0" />
+                      </td>
+                      <td className="p-2">
+                        <input type="number" value={run.initialA} onChange={(e) => updateRaceRun(run.id, 'initialA', e.target.value)} className="w-16 p-1 border rounded text-center" step="0.1" />
+                      </td>
+                      <td className="p-2">
+                        <select value={run.optimizerType} onChange={(e) => updateRaceRun(run.id, 'optimizerType', e.target.value)} className="p-1 border rounded bg-white text-xs">
+                          {Object.keys(OPTIMIZER_INFO).map(key => (
+                            <option key={key} value={key}>{t(`optimizers.${key}.label`)}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="p-2 font-mono">
+                        {!progress ? '-' : diverged ? <span className="text-red-500">{t('race.diverged')}</span> : runStatus.status === 'oscillating' && runStatus.stop ? <span className="text-amber-600">{t('race.oscillating')}</span> : convergedStep !== null ? convergedStep : <span className="text-gray-400">{t('race.notConverged')}</span>}
+                      </td>
+                      <td className="p-2 font-mono">{last && Number.isFinite(last.loss) ? formatNumber(last.loss, 4) : '-'}</td>
+                      <td className="p-2">
+                        <button onClick={() => removeRaceRun(run.id)} className="text-gray-400 hover:text-red-500 text-xs">{t('race.delete')}</button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            <div className="p-2 bg-gray-50 border-t flex justify-between items-center text-xs text-gray-500">
+              <span>{t('race.criteria', { tolerance, iterations })}</span>
+              <button onClick={addRaceRun} disabled={raceRuns.length >= RUN_COLORS.length} className="px-3 py-1 bg-white border rounded hover:bg-gray-100 font-bold">
+                {t('race.addRun')}
+              </button>
+            </div>
+          </div>
+        </section>
+
       </div>
     </div>
   );
 };
 
+// --- Language ---
+// 고른 언어는 localStorage와 주소창의 ?lang=에 남겨, 새로고침하거나 링크를 다시 열어도 같은 언어로 보입니다.
+const App = () => {
+  const [locale, setLocale] = useState(() => resolveLocale());
+  const i18n = useMemo(() => createTranslator(locale), [locale]);
+
+  const changeLocale = (next) => {
+    setLocale(next);
+    saveLocale(next);
+    window.history.replaceState(null, '', withLocaleParam(window.location, next));
+  };
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.title = i18n.t('app.documentTitle');
+  }, [locale, i18n]);
+
+  return (
+    <I18nContext.Provider value={i18n}>
+      <Simulator onLocaleChange={changeLocale} />
+    </I18nContext.Provider>
+  );
+};
+
 export default App;
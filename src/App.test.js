@@ -1,8 +1,565 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, within, waitFor } from '@testing-library/react';
 import App from './App';
+import { sessionToHash, sessionFromHash, loadAutosave } from './session';
 
-test('renders learn react link', () => {
+// jsdom에는 레이아웃이 없어 ResponsiveContainer의 크기가 0이 되므로 고정 크기로 그립니다.
+jest.mock('recharts', () => {
+  const React = require('react');
+  const actual = jest.requireActual('recharts');
+  const FixedSizeContainer = ({ children }) => React.cloneElement(children, { width: 400, height: 300 });
+  return new Proxy(actual, { get: (target, key) => (key === 'ResponsiveContainer' ? FixedSizeContainer : target[key]) });
+});
+
+// Jest는 워커 파일의 import.meta를 읽지 못하고 jsdom에는 Worker도 없으므로, 메인 스레드 대체 경로로 계산합니다.
+jest.mock('./createTrainingWorker', () => ({ createTrainingWorker: () => null }));
+
+// jsdom에는 PointerEvent와 포인터 캡처가 없습니다.
+class TestPointerEvent extends MouseEvent {
+  constructor(type, init = {}) {
+    super(type, init);
+    this.pointerId = init.pointerId;
+  }
+}
+
+// jsdom은 KaTeX가 만든 MathML 요소의 스타일을 계산하지 못해 접근성 이름 계산이 멈춥니다.
+const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+const getComputedStyle = window.getComputedStyle;
+
+beforeAll(() => {
+  window.getComputedStyle = (element, pseudo) => getComputedStyle(
+    element.namespaceURI === MATHML_NAMESPACE ? document.body : element,
+    pseudo
+  );
+  window.PointerEvent = TestPointerEvent;
+  Element.prototype.setPointerCapture = () => {};
+  Element.prototype.releasePointerCapture = () => {};
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  // 이전 테스트가 자동 저장한 세션이 다음 테스트로 넘어가지 않게 합니다.
+  localStorage.clear();
+  window.history.replaceState(null, '', '/');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('renders the three lesson sections', () => {
+  render(<App />);
+  expect(screen.getByText('데이터 설정')).toBeInTheDocument();
+  expect(screen.getByText(/와 오차의 관계 관찰/)).toBeInTheDocument();
+  expect(screen.getByText('미분 계산 시뮬레이션')).toBeInTheDocument();
+});
+
+test('a single step shows the per-point table and the next-a card', () => {
+  render(<App />);
+  fireEvent.click(screen.getByText(/단계별 실행/));
+
+  const table = screen.getByRole('table', { name: '데이터별 미분값 계산' });
+  // 10개의 데이터 행 + 머리글 + 합계
+  expect(within(table).getAllByRole('row')).toHaveLength(12);
+  // a = 0에서 첫 점 (20, 45): 예측 0, 오차 -45, 미분항 2 × (-45) × 20 = -1800
+  expect(within(table).getByRole('row', { name: /\(20, 45\)/ })).toHaveTextContent('-1,800.00');
+
+  const card = screen.getByRole('group', { name: '다음 a값 계산' });
+  // 평균 기울기 -2 × mean(xy) = -2 × 1990.2 = -3980.4, 다음 a = 0 - 0.01 × (-3980.4)
+  expect(card).toHaveTextContent('39.8040');
+});
+
+test('switching to MAE swaps the derivative column and the chain-rule panel', () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText('손실 함수'), { target: { value: 'mae' } });
+  fireEvent.click(screen.getByText(/단계별 실행/));
+
+  const table = screen.getByRole('table', { name: '데이터별 미분값 계산' });
+  // KaTeX는 MathML 안에 원래 TeX 식을 주석(annotation)으로 남깁니다.
+  expect(within(table).getAllByText('\\mathrm{sign}(ax - y)\\cdot x')).toHaveLength(1);
+  // 오차 -45의 부호 -1 × x = 20
+  expect(within(table).getByRole('row', { name: /\(20, 45\)/ })).toHaveTextContent('-20.00');
+  expect(screen.getAllByText('E = |ax - y|')).toHaveLength(1);
+});
+
+test('a polynomial model adds one derivative column per coefficient and a vector update', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: '다항식' }));
+  fireEvent.change(screen.getByLabelText('차수'), { target: { value: '2' } });
+  fireEvent.click(screen.getByText(/단계별 실행/));
+
+  const table = screen.getByRole('table', { name: '데이터별 미분값 계산' });
+  expect(within(table).getAllByText('2(f(x) - y)\\cdot x^{2}')).toHaveLength(1);
+  // 모든 계수가 0에서 첫 점 (20, 45): a, b, c₂ 방향 미분항 2 × (-45) × (20, 1, 400)
+  const row = within(table).getByRole('row', { name: /\(20, 45\)/ });
+  expect(row).toHaveTextContent('-1,800.00');
+  expect(row).toHaveTextContent('-90.00');
+  expect(row).toHaveTextContent('-36,000.00');
+
+  const card = screen.getByRole('group', { name: '매개변수 벡터 업데이트' });
+  // 머리글 + a, b, c₂
+  expect(within(card).getAllByRole('row')).toHaveLength(4);
+});
+
+test('logistic regression swaps in 0/1 labels, a sigmoid model and cross-entropy', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: '로지스틱' }));
+
+  expect(screen.getByLabelText('손실 함수')).toHaveValue('bce');
+  expect(screen.getByLabelText('1번 레이블')).toHaveValue('0');
+  fireEvent.click(screen.getByText(/단계별 실행/));
+
+  const table = screen.getByRole('table', { name: '데이터별 미분값 계산' });
+  expect(within(table).getAllByText('(\\sigma(ax + b) - y)\\cdot x')).toHaveLength(1);
+  // a = b = 0에서 σ(0) = 0.5, 첫 점 (1, 0)의 미분항 (0.5 - 0) × 1
+  expect(within(table).getByRole('row', { name: /\(1, 0\)/ })).toHaveTextContent('0.50');
+
+  // 회귀 모델로 돌아가면 원래 데이터가 돌아옵니다.
+  fireEvent.click(screen.getByRole('button', { name: '다항식' }));
+  expect(screen.getByLabelText('손실 함수')).toHaveValue('mse');
+  expect(screen.getAllByRole('spinbutton').map(input => input.value)).toContain('45');
+});
+
+test("compares gradient descent with Newton's method against the analytic optimum", () => {
+  render(<App />);
+  fireEvent.click(screen.getByLabelText('뉴턴법 비교'));
+  fireEvent.click(screen.getByText(/단계별 실행/));
+  fireEvent.click(screen.getByText(/단계별 실행/));
+
+  const panel = screen.getByRole('region', { name: '뉴턴법 비교' });
+  // MSE는 2차식이라 뉴턴법은 한 단계 만에 최적해 a* = Σxy / Σx²에 도착합니다.
+  expect(panel).toHaveTextContent('Step 1');
+  expect(screen.getByText(/최적해까지 거리/, { selector: 'p' })).toHaveTextContent('뉴턴법 0.0000');
+});
+
+test('the secant slope closes in on the tangent slope as h shrinks', () => {
+  render(<App />);
+  fireEvent.click(screen.getByLabelText('곡률 · 할선 보기'));
+
+  const table = screen.getByRole('table', { name: '할선 기울기' });
+  const rows = within(table).getAllByRole('row');
+  // 머리글 + h = 1, 0.1, 0.01, 0.001 + 극한
+  expect(rows).toHaveLength(6);
+  // MSE는 2차식이라 할선과 접선의 차이가 정확히 ½E''h입니다.
+  rows.slice(1, 5).forEach((row) => {
+    const cells = within(row).getAllByRole('cell');
+    expect(cells[2]).toHaveTextContent(cells[3].textContent);
+  });
+  // a = 1.5에서 미분값 2·mean(x(1.5x - y))
+  expect(rows[5]).toHaveTextContent('-1,520.4000');
+});
+
+test('steps back and scrubs the timeline to any past step', () => {
+  render(<App />);
+  for (let i = 0; i < 3; i++) {
+    fireEvent.click(screen.getByText(/단계별 실행/));
+  }
+  const timeline = screen.getByRole('slider', { name: '타임라인' });
+  expect(timeline).toHaveValue('2');
+
+  fireEvent.click(screen.getByRole('button', { name: /이전 단계/ }));
+  expect(screen.getByText(/미분 계산 해부 \(Step 1\)/)).toBeInTheDocument();
+
+  fireEvent.change(timeline, { target: { value: '0' } });
+  // 0단계의 표와 카드가 다시 보입니다.
+  const table = screen.getByRole('table', { name: '데이터별 미분값 계산' });
+  expect(within(table).getByRole('row', { name: /\(20, 45\)/ })).toHaveTextContent('-1,800.00');
+  expect(screen.getByRole('group', { name: '다음 a값 계산' })).toHaveTextContent('39.8040');
+  expect(screen.getByText('Step 0 / 2')).toBeInTheDocument();
+
+  // 과거 단계에서 다시 실행하면 그 뒤의 기록은 새로 계산됩니다.
+  fireEvent.click(screen.getByText(/단계별 실행/));
+  expect(screen.getByText('Step 1 / 1')).toBeInTheDocument();
+});
+
+test('explains divergence and offers the stable learning rate', () => {
+  render(<App />);
+  // 기본 데이터에서 η = 0.01은 안정 상한(약 0.00122)보다 커서 발산합니다.
+  for (let i = 0; i < 4; i++) {
+    fireEvent.click(screen.getByText(/단계별 실행/));
+  }
+  expect(screen.getByRole('status')).toHaveTextContent('발산했습니다');
+
+  fireEvent.click(screen.getByRole('button', { name: /상한의 절반/ }));
+  expect(screen.queryByRole('status')).not.toBeInTheDocument();
+  expect(screen.getByDisplayValue('0.00061')).toBeInTheDocument();
+});
+
+test('imports pasted rows and reports invalid ones', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: /가져오기/ }));
+  fireEvent.change(screen.getByPlaceholderText(/x,y/), { target: { value: 'x,y\n1,2\n2,oops\n3,6' } });
+  fireEvent.click(screen.getByRole('button', { name: '불러오기' }));
+
+  expect(screen.getByRole('alert')).toHaveTextContent('3번째 줄');
+  fireEvent.click(screen.getByRole('button', { name: /올바른 2개 행만 불러오기/ }));
+
+  expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  // 최소 개수(2개)일 때는 삭제 버튼이 없습니다.
+  expect(screen.queryAllByRole('button', { name: /번 데이터 삭제/ })).toHaveLength(0);
+  fireEvent.click(screen.getByRole('button', { name: '데이터 추가' }));
+  expect(screen.getAllByRole('button', { name: /번 데이터 삭제/ })).toHaveLength(3);
+});
+
+test('generates datasets from the parameters and from presets', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: /생성기/ }));
+  const panel = screen.getByRole('region', { name: '데이터 생성기' });
+
+  fireEvent.change(within(panel).getByLabelText('점 개수'), { target: { value: '4' } });
+  fireEvent.change(within(panel).getByLabelText('x 최소'), { target: { value: '0' } });
+  fireEvent.change(within(panel).getByLabelText('x 최대'), { target: { value: '3' } });
+  fireEvent.change(within(panel).getByLabelText('잡음 σ'), { target: { value: '0' } });
+  fireEvent.click(within(panel).getByRole('button', { name: '데이터 생성' }));
+  // 참값 y = 2x
+  expect(screen.getAllByRole('spinbutton', { name: '' }).map(input => input.value)).toEqual(expect.arrayContaining(['0', '2', '4', '6']));
+  expect(screen.getAllByRole('button', { name: /번 데이터 삭제/ })).toHaveLength(4);
+
+  fireEvent.click(within(panel).getByRole('button', { name: 'x 스케일 불량' }));
+  expect(screen.getAllByRole('button', { name: /번 데이터 삭제/ })).toHaveLength(10);
+  // 생성기의 x 최대 칸과 마지막 데이터 점
+  expect(screen.getAllByDisplayValue('1000')).toHaveLength(2);
+});
+
+test('handles large datasets with a virtualized table and a streamed run to the end', async () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: /생성기/ }));
+  const panel = screen.getByRole('region', { name: '데이터 생성기' });
+  fireEvent.change(within(panel).getByLabelText('점 개수'), { target: { value: '300' } });
+  fireEvent.click(within(panel).getByRole('button', { name: '데이터 생성' }));
+  // 편집 칸은 처음 100개만 그립니다.
+  expect(screen.getAllByRole('button', { name: /번 데이터 삭제/ })).toHaveLength(100);
+  expect(screen.getByText(/외 200개는/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText(/단계별 실행/));
+  const table = screen.getByRole('table', { name: '데이터별 미분값 계산' });
+  const rows = within(table).getAllByRole('row');
+  expect(rows.length).toBeGreaterThan(10);
+  expect(rows.length).toBeLessThan(40);
+
+  // 작은 학습률과 아주 작은 허용 오차로 최대 반복까지 멈추지 않게 합니다.
+  const toleranceInput = screen.getAllByDisplayValue('0.001').find(input => input.step === '0.0001');
+  fireEvent.change(toleranceInput, { target: { value: '1e-12' } });
+  fireEvent.change(screen.getByDisplayValue('0.01'), { target: { value: '0.0001' } });
+  fireEvent.change(screen.getByDisplayValue('100'), { target: { value: '250' } });
+  fireEvent.click(screen.getByRole('button', { name: /끝까지 실행/ }));
+  expect(screen.getByRole('progressbar', { name: '끝까지 실행 진행률' })).toBeInTheDocument();
+  // 기록을 채우는 동안에는 자동 실행을 버튼으로도 Space로도 시작할 수 없습니다.
+  expect(screen.getByRole('button', { name: /자동 실행/ })).toBeDisabled();
+  fireEvent.keyDown(document.body, { key: ' ' });
+  expect(screen.queryByRole('button', { name: /정지/ })).not.toBeInTheDocument();
+  await waitFor(() => expect(screen.queryByRole('progressbar')).not.toBeInTheDocument(), { timeout: 10000 });
+  expect(screen.getByText('Step 250 / 250')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /자동 실행/ })).toBeEnabled();
+}, 20000);
+
+test('edits data points directly on the scatter chart', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  const points = () => screen.getAllByRole('button', { name: /^데이터 점 #/ });
+  expect(points()).toHaveLength(10);
+
+  fireEvent.click(screen.getByTestId('scatter-plot-area'), { clientX: 200, clientY: 100 });
+  expect(points()).toHaveLength(11);
+
+  fireEvent.pointerDown(points()[0], { clientX: 100, clientY: 100, pointerId: 1 });
+  fireEvent.pointerMove(points()[0], { clientX: 150, clientY: 50, pointerId: 1 });
+  fireEvent.pointerUp(points()[0], { pointerId: 1 });
+  expect(points()[0]).not.toHaveAccessibleName('데이터 점 #1 (20, 45)');
+  expect(points()[0]).toHaveAccessibleName(/^데이터 점 #1 \(\d+(\.\d)?, \d+(\.\d)?\)$/);
+
+  fireEvent.contextMenu(points()[0]);
+  expect(points()).toHaveLength(10);
+});
+
+test('restores the dataset, settings and step position from a shared link', async () => {
+  window.history.replaceState(null, '', sessionToHash({
+    dataPoints: [{ x: 1, y: 2 }, { x: 2, y: 4 }, { x: 3, y: 7 }],
+    learningRate: 0.02,
+    optimizerType: 'momentum',
+    steps: 3,
+  }));
+  render(<App />);
+
+  expect(screen.getByDisplayValue('0.02')).toBeInTheDocument();
+  expect(screen.getByText(/미분 계산 해부 \(Step 2\)/)).toBeInTheDocument();
+  const table = screen.getByRole('table', { name: '데이터별 미분값 계산' });
+  expect(within(table).getByRole('row', { name: /\(3, 7\)/ })).toBeInTheDocument();
+  // 복원한 상태는 잠시 뒤 다시 주소창과 자동 저장에 기록됩니다.
+  fireEvent.click(screen.getByText('단계별 실행'));
+  await waitFor(() => expect(sessionFromHash(window.location.hash).steps).toBe(4));
+});
+
+test('restores the same history after the slider moved in the middle of a run', async () => {
+  const { unmount } = render(<App />);
+  fireEvent.change(screen.getByDisplayValue('0.01'), { target: { value: '0.001' } });
+  const stepButton = screen.getByText('단계별 실행');
+  for (let i = 0; i < 3; i++) fireEvent.click(stepButton);
+  // 손으로 옮긴 곳에서 새 실행이 시작됩니다.
+  fireEvent.change(screen.getByLabelText('기울기 a'), { target: { value: '1.5' } });
+  for (let i = 0; i < 2; i++) fireEvent.click(stepButton);
+  expect(screen.getByText(/미분 계산 해부 \(Step 1\)/)).toBeInTheDocument();
+  const shown = screen.getByRole('table', { name: '데이터별 미분값 계산' }).textContent;
+  await waitFor(() => expect(sessionFromHash(window.location.hash).steps).toBe(2));
+  unmount();
+
+  render(<App />);
+  expect(screen.getByText(/미분 계산 해부 \(Step 1\)/)).toBeInTheDocument();
+  expect(screen.getByRole('table', { name: '데이터별 미분값 계산' }).textContent).toBe(shown);
+});
+
+test('fits mismatched model, loss and labels from a link to the model', () => {
+  window.history.replaceState(null, '', sessionToHash({
+    dataPoints: [{ x: 1, y: 2 }, { x: 2, y: 4 }, { x: 3, y: 7 }],
+    modelType: 'logistic',
+    lossType: 'mse',
+  }));
+  const { unmount } = render(<App />);
+  // 로지스틱 회귀는 분류 손실과 0/1 레이블로 엽니다.
+  expect(screen.getByLabelText('손실 함수')).toHaveValue('bce');
+  expect(screen.getByLabelText('1번 레이블')).toHaveValue('0');
+  unmount();
+
+  window.history.replaceState(null, '', sessionToHash({ modelType: 'polynomial', lossType: 'bce' }));
+  render(<App />);
+  expect(screen.getByLabelText('손실 함수')).toHaveValue('mse');
+});
+
+test('keeps large datasets out of the address bar and suggests a scenario instead', async () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: /생성기/ }));
+  const panel = screen.getByRole('region', { name: '데이터 생성기' });
+  fireEvent.change(within(panel).getByLabelText('점 개수'), { target: { value: '300' } });
+  fireEvent.click(within(panel).getByRole('button', { name: '데이터 생성' }));
+  await waitFor(() => expect(loadAutosave().dataPoints).toHaveLength(300));
+  expect(window.location.hash).toBe('');
+
+  fireEvent.click(screen.getByText('링크 복사'));
+  expect(screen.getByText('데이터가 많아 링크에 담을 수 없습니다. 시나리오로 저장해 두세요.')).toBeInTheDocument();
+  expect(screen.getByRole('complementary', { name: '저장된 시나리오' })).toBeInTheDocument();
+});
+
+test('replays a long shared run in the background before showing the saved step', async () => {
+  window.history.replaceState(null, '', sessionToHash({ learningRate: 0.001, iterations: 200, steps: 150, viewStep: 40 }));
+  render(<App />);
+  // 첫 묶음(100단계)만 받은 상태입니다.
+  expect(screen.getByRole('progressbar', { name: '끝까지 실행 진행률' })).toBeInTheDocument();
+  await waitFor(() => expect(screen.queryByRole('progressbar')).not.toBeInTheDocument(), { timeout: 10000 });
+  expect(screen.getByText(/미분 계산 해부 \(Step 40\)/)).toBeInTheDocument();
+  expect(screen.getByText('Step 40 / 149')).toBeInTheDocument();
+}, 20000);
+
+test('saves and reloads named scenarios from the sidebar', () => {
+  render(<App />);
+  fireEvent.click(screen.getByText(/단계별 실행/));
+  fireEvent.click(screen.getByRole('button', { name: /시나리오 \(0\)/ }));
+  const sidebar = screen.getByRole('complementary', { name: '저장된 시나리오' });
+  fireEvent.change(within(sidebar).getByPlaceholderText('시나리오 이름'), { target: { value: '첫 단계' } });
+  fireEvent.click(within(sidebar).getByRole('button', { name: '현재 상태 저장' }));
+  expect(within(sidebar).getByText('첫 단계')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText(/단계별 실행/));
+  expect(screen.getByText(/미분 계산 해부 \(Step 1\)/)).toBeInTheDocument();
+  fireEvent.click(within(sidebar).getByRole('button', { name: '불러오기' }));
+  expect(screen.getByText(/미분 계산 해부 \(Step 0\)/)).toBeInTheDocument();
+});
+
+test('opens in the language from the URL and keeps the chosen language', () => {
+  window.history.replaceState(null, '', '/?lang=en');
+  const { unmount } = render(<App />);
+  expect(screen.getByText('Data setup')).toBeInTheDocument();
+  expect(document.documentElement.lang).toBe('en');
+  fireEvent.click(screen.getByText(/Run one step/));
+  const table = screen.getByRole('table', { name: 'Per-point derivatives' });
+  expect(within(table).getByRole('row', { name: /\(20, 45\)/ })).toHaveTextContent('-1,800.00');
+
+  const languages = screen.getByRole('group', { name: 'Language' });
+  fireEvent.click(within(languages).getByRole('button', { name: '한국어' }));
+  expect(screen.getByText('데이터 설정')).toBeInTheDocument();
+  expect(within(languages).getByRole('button', { name: '한국어' })).toHaveAttribute('aria-pressed', 'true');
+  expect(window.location.search).toBe('?lang=ko');
+  unmount();
+
+  // 주소에 언어가 없으면 마지막으로 고른 언어로 엽니다.
+  window.history.replaceState(null, '', '/');
+  const { unmount: unmountAgain } = render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'English' }));
+  unmountAgain();
+  window.history.replaceState(null, '', '/');
+  render(<App />);
+  expect(screen.getByText('Data setup')).toBeInTheDocument();
+  expect(document.title).toBe('Gradient Descent Simulator');
+});
+
+test('walks through a guided lesson and checks each step against the simulator', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: '수업' }));
+  const panel = screen.getByRole('complementary', { name: '안내 수업' });
+  fireEvent.click(within(panel).getByRole('button', { name: '시작' }));
+  expect(within(panel).getByText('1 / 5단계')).toBeInTheDocument();
+  fireEvent.click(within(panel).getByRole('button', { name: '다음' }));
+
+  // 슬라이더로 최소점을 찾으면 끝나고, 다시 옮겨도 끝난 것으로 남습니다.
+  const next = within(panel).getByRole('button', { name: '다음' });
+  expect(next).toBeDisabled();
+  const slider = screen.getByDisplayValue('0.5');
+  fireEvent.change(slider, { target: { value: '2.45' } });
+  expect(within(panel).getByText('✅ 완료!')).toBeInTheDocument();
+  fireEvent.change(slider, { target: { value: '1' } });
+  expect(next).toBeEnabled();
+  fireEvent.click(next);
+
+  // 단계의 setup(a = 3)이 적용되고, 예측을 맞힌 뒤 한 단계를 실행해야 끝납니다.
+  expect(within(panel).getByText('3 / 5단계')).toBeInTheDocument();
+  expect(slider).toHaveValue('3');
+  fireEvent.click(screen.getByText('단계별 실행'));
+  expect(within(panel).getByText('먼저 위 질문에 답하세요.')).toBeInTheDocument();
+  fireEvent.click(within(panel).getByRole('button', { name: '음수' }));
+  expect(within(panel).getByText('다시 생각해 보세요.')).toBeInTheDocument();
+  fireEvent.click(within(panel).getByRole('button', { name: '양수' }));
+  expect(within(panel).getByText('맞았습니다!')).toBeInTheDocument();
+  expect(within(panel).getByText('✅ 완료!')).toBeInTheDocument();
+  fireEvent.click(within(panel).getByRole('button', { name: '다음' }));
+  expect(screen.getByDisplayValue('0.01')).toBeInTheDocument();
+});
+
+test('a lesson keeps the settings it does not set and ending it restores the setup from before', () => {
+  render(<App />);
+  fireEvent.click(screen.getByLabelText('뉴턴법 비교'));
+  fireEvent.change(screen.getByDisplayValue('0.01'), { target: { value: '0.005' } });
+  fireEvent.click(screen.getByText('단계별 실행'));
+
+  fireEvent.click(screen.getByRole('button', { name: '수업' }));
+  const panel = screen.getByRole('complementary', { name: '안내 수업' });
+  fireEvent.click(within(panel).getByRole('button', { name: '시작' }));
+  // 수업이 정한 학습률과 출발점으로 바뀌지만, 정하지 않은 뉴턴법 비교는 그대로입니다.
+  expect(screen.queryByDisplayValue('0.005')).not.toBeInTheDocument();
+  expect(screen.getByDisplayValue('0.5')).toBeInTheDocument();
+  expect(screen.getByLabelText('뉴턴법 비교')).toBeChecked();
+
+  fireEvent.click(within(panel).getByRole('button', { name: '수업 끝내기 (원래 설정으로)' }));
+  expect(screen.getByDisplayValue('0.005')).toBeInTheDocument();
+  expect(screen.getByText(/미분 계산 해부 \(Step 0\)/)).toBeInTheDocument();
+  expect(within(panel).getByText('수업을 고르세요')).toBeInTheDocument();
+});
+
+test('loads a lesson written by the teacher and explains what is wrong with it', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: '수업' }));
+  const panel = screen.getByRole('complementary', { name: '안내 수업' });
+  const input = within(panel).getByRole('textbox', { name: '직접 만든 수업 불러오기 (JSON)' });
+  fireEvent.change(input, { target: { value: '{"title": "내 수업", "steps": [{"prompt": "p", "check": {"speed": {"gt": 1}}}]}' } });
+  fireEvent.click(within(panel).getByRole('button', { name: '불러오기' }));
+  expect(within(panel).getByRole('alert')).toHaveTextContent('1단계: check의 speed는 알 수 없는 필드입니다.');
+
+  fireEvent.change(input, { target: { value: '{"title": "내 수업", "steps": [{"prompt": "학습률을 0.005로 바꾸세요.", "check": {"learningRate": {"eq": 0.005}}}]}' } });
+  fireEvent.click(within(panel).getByRole('button', { name: '불러오기' }));
+  expect(within(panel).getByText('내 수업')).toBeInTheDocument();
+  fireEvent.change(screen.getByDisplayValue('0.01'), { target: { value: '0.005' } });
+  fireEvent.click(within(panel).getByRole('button', { name: '마치기' }));
+  expect(within(panel).getByText('수업을 모두 마쳤습니다. 🎉')).toBeInTheDocument();
+});
+
+test('steps, plays and nudges a from the keyboard and announces the results', () => {
+  render(<App />);
+  const slider = screen.getByLabelText('기울기 a');
+  expect(slider).toHaveAttribute('aria-valuetext', expect.stringMatching(/^a = 1\.50, MSE = /));
+
+  fireEvent.keyDown(document.body, { key: 'ArrowRight' });
+  expect(screen.getByText(/미분 계산 해부 \(Step 0\)/)).toBeInTheDocument();
+  expect(screen.getByText(/^0단계: 미분값이 .+이어서 a가 0\.0000에서 .+\(으\)로 바뀌었습니다/)).toBeInTheDocument();
+  fireEvent.keyDown(document.body, { key: 'ArrowRight' });
+  fireEvent.keyDown(document.body, { key: 'ArrowLeft' });
+  expect(screen.getByText(/미분 계산 해부 \(Step 0\)/)).toBeInTheDocument();
+
+  // 입력 칸에서는 화살표가 그 칸의 몫입니다.
+  fireEvent.keyDown(screen.getByDisplayValue('0.01'), { key: 'ArrowRight' });
+  expect(screen.getByText(/미분 계산 해부 \(Step 0\)/)).toBeInTheDocument();
+
+  fireEvent.change(slider, { target: { value: '2' } });
+  fireEvent.keyDown(document.body, { key: 'ArrowUp' });
+  expect(slider).toHaveValue('2.05');
+  fireEvent.keyDown(document.body, { key: 'ArrowDown', shiftKey: true });
+  expect(slider).toHaveValue('1.55');
+  expect(screen.getByText(/^a = 1\.55, MSE = .+, 미분값 /)).toBeInTheDocument();
+
+  fireEvent.keyDown(document.body, { key: ' ' });
+  expect(screen.getByRole('button', { name: /정지/ })).toHaveAttribute('aria-keyshortcuts', 'Space');
+  fireEvent.keyDown(document.body, { key: ' ' });
+  expect(screen.getByRole('button', { name: /자동 실행/ })).toBeInTheDocument();
+});
+
+test('shows the numbers behind each chart as a table', () => {
+  render(<App />);
+  fireEvent.click(screen.getAllByRole('button', { name: '표로 보기' })[0]);
+  const table = screen.getByRole('table', { name: '데이터와 모델의 예측값' });
+  expect(within(table).getAllByRole('row')).toHaveLength(11);
+  expect(within(table).getAllByRole('row')[1]).toHaveTextContent('20.0045.0030.0015.00');
+  fireEvent.click(screen.getByRole('button', { name: '표 숨기기' }));
+  expect(screen.queryByRole('table', { name: '데이터와 모델의 예측값' })).not.toBeInTheDocument();
+});
+
+test('prints a worksheet with the chosen step breakdowns and blank cells to fill in', () => {
+  const printWindow = { document: { write: jest.fn(), close: jest.fn() }, focus: jest.fn(), print: jest.fn() };
+  const open = jest.spyOn(window, 'open').mockReturnValue(printWindow);
+  render(<App />);
+  fireEvent.click(screen.getByText('단계별 실행'));
+  fireEvent.click(screen.getByText('단계별 실행'));
+  fireEvent.click(screen.getByText('워크시트'));
+  expect(screen.getByLabelText('데이터별 계산을 넣을 단계')).toHaveValue('1');
+  fireEvent.change(screen.getByLabelText('데이터별 계산을 넣을 단계'), { target: { value: '0-1' } });
+  fireEvent.click(screen.getByLabelText('값을 비워 학생이 직접 채우게 하기'));
+  fireEvent.click(screen.getByText('인쇄 / PDF로 저장'));
+
+  expect(printWindow.print).toHaveBeenCalled();
+  const html = printWindow.document.write.mock.calls[0][0];
+  expect(html).toContain('<h1>경사하강법 워크시트</h1>');
+  expect(html).toContain('0단계의 데이터별 미분값 (a = 0.0000)');
+  expect(html).toMatch(/1단계의 데이터별 미분값 \(a = \d/);
+  expect(html).toContain('<td class="blank"></td>');
+  expect(html).toContain('빈칸을 직접 계산해 채우세요.');
+  open.mockRestore();
+});
+
+test('saves a chart as an SVG file', async () => {
+  const createObjectURL = jest.fn(() => 'blob:chart');
+  const revokeObjectURL = jest.fn();
+  URL.createObjectURL = createObjectURL;
+  URL.revokeObjectURL = revokeObjectURL;
+  // jsdom은 링크를 따라가지 못하므로 click()을 가로채 만든 링크만 확인합니다.
+  const clicked = [];
+  const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function record() {
+    clicked.push({ href: this.href, download: this.download, attached: this.isConnected });
+  });
+  render(<App />);
+  fireEvent.click(screen.getByLabelText('데이터와 모델 차트를 SVG로 저장'));
+  const blob = createObjectURL.mock.calls[0][0];
+  expect(blob.type).toBe('image/svg+xml;charset=utf-8');
+  expect(clicked).toEqual([{ href: 'blob:chart', download: 'data-and-model.svg', attached: true }]);
+  // 내려받기가 시작될 시간을 준 뒤에 주소를 해제하고, 잠깐 붙였던 링크는 남기지 않습니다.
+  expect(revokeObjectURL).not.toHaveBeenCalled();
+  expect(screen.queryByRole('link')).not.toBeInTheDocument();
+  await waitFor(() => expect(revokeObjectURL).toHaveBeenCalledWith('blob:chart'), { timeout: 3000 });
+  click.mockRestore();
+  delete URL.createObjectURL;
+  delete URL.revokeObjectURL;
+});
+
+test('races two learning rates in lockstep and summarizes when each converged', () => {
+  render(<App />);
+  const summary = screen.getByRole('table', { name: '실행별 결과' });
+  fireEvent.change(within(summary).getByDisplayValue('0.001'), { target: { value: '0.0008' } });
+  const stepTogether = screen.getByText('함께 한 단계');
+  fireEvent.click(stepTogether);
+  // 두 실행이 한 단계씩 함께 나아가고, 손실은 학습 곡선에 실행마다 한 열씩 겹쳐집니다.
+  // 학습 곡선의 표는 페이지의 마지막 차트 표입니다.
+  const tableToggles = screen.getAllByText('표로 보기');
+  fireEvent.click(tableToggles[tableToggles.length - 1]);
+  const curve = screen.getByRole('table', { name: '단계별 MSE' });
+  expect(within(curve).getAllByRole('row')).toHaveLength(2);
+
+  // η = 0.0005가 먼저 멈추고, 안정 한계(약 0.0012)에 가까운 η = 0.0008은 지그재그로 더 오래 걸립니다. 멈춘 실행은 더 나아가지 않습니다.
+  for (let i = 0; i < 20; i++) fireEvent.click(stepTogether);
+  const summaryCells = within(summary).getAllByRole('row').slice(1)
+    .map(row => within(row).getAllByRole('cell').slice(4, 6).map(cell => cell.textContent));
+  expect(summaryCells).toEqual([['10', '8.0390'], ['7', '8.0390']]);
+  expect(within(curve).getAllByRole('row')).toHaveLength(12);
 });
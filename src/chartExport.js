@@ -0,0 +1,53 @@
+// --- Chart Export ---
+// 화면의 Recharts SVG를 그대로 복사해 파일로 저장합니다. 차트는 색과 선 굵기를 속성으로 지정하므로
+// 스타일시트 없이도 같은 모양이 나오고, PNG는 그 SVG를 캔버스에 그려 만듭니다.
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// 저장한 그림을 어두운 배경의 뷰어에서 열어도 보이도록 흰 바탕을 깝니다.
+const BACKGROUND = '#ffffff';
+
+export const chartSize = (svg) => {
+  const width = Number(svg.getAttribute('width'));
+  const height = Number(svg.getAttribute('height'));
+  if (width > 0 && height > 0) return { width, height };
+  const rect = svg.getBoundingClientRect();
+  return { width: rect.width, height: rect.height };
+};
+
+// svg 요소 → 단독으로 열 수 있는 SVG 문서
+export const chartSvgMarkup = (svg) => {
+  const { width, height } = chartSize(svg);
+  const clone = svg.cloneNode(true);
+  // xmlns는 XMLSerializer가 이름공간에서 붙이므로, 속성으로도 있으면 두 번 적혀 문서가 깨집니다.
+  clone.removeAttribute('xmlns');
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  const background = document.createElementNS(SVG_NS, 'rect');
+  background.setAttribute('width', '100%');
+  background.setAttribute('height', '100%');
+  background.setAttribute('fill', BACKGROUND);
+  clone.insertBefore(background, clone.firstChild);
+  return new XMLSerializer().serializeToString(clone);
+};
+
+// SVG 문서 → PNG Blob. 인쇄물에서 흐려 보이지 않도록 scale배 크기로 그립니다.
+export const svgToPngBlob = (markup, { width, height }, scale = 2) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0, width, height);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('SVG could not be loaded as an image'));
+  };
+  image.src = url;
+});
@@ -0,0 +1,34 @@
+import { chartSvgMarkup, chartSize } from './chartExport';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const chart = () => {
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('class', 'recharts-surface');
+  svg.setAttribute('width', '400');
+  svg.setAttribute('height', '300');
+  const line = document.createElementNS(SVG_NS, 'path');
+  line.setAttribute('d', 'M0,0L10,10');
+  line.setAttribute('stroke', '#2563eb');
+  svg.appendChild(line);
+  return svg;
+};
+
+describe('chartSvgMarkup', () => {
+  test('makes a standalone SVG document with a white background', () => {
+    const markup = chartSvgMarkup(chart());
+    const parsed = new DOMParser().parseFromString(markup, 'image/svg+xml').documentElement;
+    expect(parsed.namespaceURI).toBe(SVG_NS);
+    expect(parsed.getAttribute('viewBox')).toBe('0 0 400 300');
+    expect(parsed.firstElementChild.tagName).toBe('rect');
+    expect(parsed.firstElementChild.getAttribute('fill')).toBe('#ffffff');
+    expect(parsed.querySelector('path').getAttribute('stroke')).toBe('#2563eb');
+  });
+
+  test('leaves the chart on the page untouched', () => {
+    const svg = chart();
+    chartSvgMarkup(svg);
+    expect(svg.children).toHaveLength(1);
+    expect(chartSize(svg)).toEqual({ width: 400, height: 300 });
+  });
+});
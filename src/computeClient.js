@@ -0,0 +1,72 @@
+// --- Compute Client ---
+// 화면 쪽에서 trainingTasks의 작업을 요청합니다. 웹 워커를 만들 수 있으면 워커로 보내고,
+// 없으면(테스트 환경, 워커를 막은 브라우저) 같은 작업을 메인 스레드에서 묶음 단위로 나눠 돌립니다.
+import { createTaskRunner } from './trainingTasks';
+import { createTrainingWorker } from './createTrainingWorker';
+
+const tryCreateWorker = () => {
+  if (typeof Worker === 'undefined') return null;
+  try {
+    return createTrainingWorker();
+  } catch (e) {
+    return null;
+  }
+};
+
+export const createComputeClient = () => {
+  const worker = tryCreateWorker();
+  const listeners = new Map();
+  let nextId = 1;
+
+  const receive = (message) => {
+    const listener = listeners.get(message.id);
+    if (listener) listener(message);
+  };
+  const send = worker ? (message) => worker.postMessage(message) : createTaskRunner(receive);
+  if (worker) worker.onmessage = (event) => receive(event.data);
+
+  return {
+    usesWorker: worker !== null,
+
+    // onProgress({ history, log, state, done })를 묶음마다 부릅니다. 돌려받은 함수를 부르면 실행을 취소합니다.
+    train(params, onProgress) {
+      const id = nextId++;
+      listeners.set(id, (message) => {
+        if (message.done) listeners.delete(id);
+        onProgress(message);
+      });
+      send({ ...params, type: 'train', id });
+      return () => {
+        if (!listeners.delete(id)) return;
+        send({ type: 'cancel', id });
+      };
+    },
+
+    // onResult(grid)는 가장 최근 요청에만 불립니다. 돌려받은 함수를 부르면 결과를 버립니다.
+    sampleSurface(params, onResult) {
+      const id = nextId++;
+      listeners.set(id, (message) => {
+        listeners.delete(id);
+        onResult(message.grid);
+      });
+      send({ ...params, type: 'surface', id });
+      return () => listeners.delete(id);
+    },
+
+    // 손실 곡선 E(a). sampleSurface처럼 onResult(curve)는 가장 최근 요청에만 불립니다.
+    sampleCurve(params, onResult) {
+      const id = nextId++;
+      listeners.set(id, (message) => {
+        listeners.delete(id);
+        onResult(message.curve);
+      });
+      send({ ...params, type: 'curve', id });
+      return () => listeners.delete(id);
+    },
+
+    terminate() {
+      listeners.clear();
+      if (worker) worker.terminate();
+    },
+  };
+};
@@ -0,0 +1,3 @@
+// webpack은 new Worker(new URL(..., import.meta.url)) 형태를 보고 워커 파일을 따로 번들합니다.
+// Jest는 import.meta를 해석하지 못하므로 이 한 줄만 따로 두고, 테스트에서는 이 모듈을 jest.mock으로 바꿉니다.
+export const createTrainingWorker = () => new Worker(new URL('./training.worker.js', import.meta.url));
@@ -0,0 +1,127 @@
+// --- Dataset Import / Export ---
+// 스프레드시트에서 복사하거나 저장한 CSV/TSV를 (x, y) 데이터로 바꾸고, 반대로 표를 CSV로 만듭니다.
+
+// 앞에 있을수록 먼저 고릅니다. 유럽식 내보내기(1,5;2,3)는 소수점이 쉼표이므로 ;를 ,보다 먼저 봅니다.
+const DELIMITERS = ['\t', ';', ','];
+
+// 큰따옴표로 감싼 필드("1,5")를 지원하는 한 줄 분리
+const splitLine = (line, delimiter) => {
+  if (delimiter instanceof RegExp) return line.trim().split(delimiter);
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields.map(f => f.trim());
+};
+
+// 앞의 몇 줄에서 줄마다 같은 횟수로 나오는 구분자를 고릅니다. 그런 구분자가 없으면 어디든 나오는 첫 구분자,
+// 그것도 없으면 공백으로 나눕니다. 횟수는 따옴표 밖의 것만 셉니다.
+const detectDelimiter = (lines) => {
+  const sample = lines.slice(0, 5);
+  const counts = (d) => sample.map(line => splitLine(line, d).length - 1);
+  const consistent = DELIMITERS.find((d) => {
+    const [first, ...rest] = counts(d);
+    return first > 0 && rest.every(count => count === first);
+  });
+  return consistent || DELIMITERS.find(d => counts(d).some(count => count > 0)) || /\s+/;
+};
+
+// 쉼표로 나누지 않은 데이터에서는 1,5처럼 쉼표가 하나 있는 숫자를 소수점 쉼표로 읽습니다.
+const toNumber = (value, delimiter) => {
+  if (value === undefined || value.trim() === '') return NaN;
+  const text = value.trim();
+  if (delimiter !== ',' && /^[+-]?\d*,\d+$/.test(text)) return Number(text.replace(',', '.'));
+  return Number(text);
+};
+
+// 머리글에서 x, y 열을 찾습니다. 이름이 x/y가 아니면 앞의 두 열을 씁니다.
+const findColumns = (header) => {
+  const names = header.map(h => h.toLowerCase());
+  const xIndex = names.indexOf('x');
+  const yIndex = names.indexOf('y');
+  if (xIndex !== -1 && yIndex !== -1) return [xIndex, yIndex];
+  return [0, 1];
+};
+
+// text → { points, errors, header, columns }
+// errors: [{ line, code, params }] (line은 1부터 시작하는 원본 줄 번호)
+// 화면은 code와 params로 언어에 맞는 문구를 만듭니다(카탈로그의 csvErrors.*).
+// binary: true이면 분류용 데이터로 보고 y가 0 또는 1이 아닌 행을 오류로 모읍니다.
+export const parseDataset = (text, { binary = false } = {}) => {
+  const lines = text.split(/\r?\n/)
+    .map((content, index) => ({ content, line: index + 1 }))
+    .filter(l => l.content.trim() !== '');
+  if (lines.length === 0) {
+    return { points: [], errors: [{ line: 0, code: 'empty', params: {} }], header: null, columns: [0, 1] };
+  }
+
+  const delimiter = detectDelimiter(lines.map(l => l.content));
+  const rows = lines.map(l => ({ line: l.line, fields: splitLine(l.content, delimiter) }));
+
+  // 첫 줄에 숫자가 아닌 값이 있으면 머리글로 봅니다.
+  const first = rows[0].fields;
+  const hasHeader = first.some(f => f !== '' && Number.isNaN(toNumber(f, delimiter)));
+  const header = hasHeader ? first : null;
+  const columns = header ? findColumns(header) : [0, 1];
+  const body = hasHeader ? rows.slice(1) : rows;
+
+  const points = [];
+  const errors = [];
+  body.forEach(({ line, fields }) => {
+    if (fields.length < 2) {
+      errors.push({ line, code: 'tooFewValues', params: { count: fields.length } });
+      return;
+    }
+    const x = toNumber(fields[columns[0]], delimiter);
+    const y = toNumber(fields[columns[1]], delimiter);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+      const bad = !Number.isFinite(x) ? `x = "${fields[columns[0]] ?? ''}"` : `y = "${fields[columns[1]] ?? ''}"`;
+      errors.push({ line, code: 'notNumber', params: { value: bad } });
+      return;
+    }
+    if (binary && y !== 0 && y !== 1) {
+      errors.push({ line, code: 'invalidLabel', params: { value: fields[columns[1]] } });
+      return;
+    }
+    points.push({ x, y });
+  });
+
+  if (points.length === 0 && errors.length === 0) {
+    errors.push({ line: 0, code: 'headerOnly', params: {} });
+  }
+  return { points, errors, header, columns };
+};
+
+const escapeField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ key, label }], rows: 객체 배열
+export const toCSV = (columns, rows) => {
+  const lines = [columns.map(c => escapeField(c.label)).join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map(c => escapeField(row[c.key])).join(','));
+  });
+  return lines.join('\n') + '\n';
+};
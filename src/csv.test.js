@@ -0,0 +1,64 @@
+import { parseDataset, toCSV } from './csv';
+
+describe('parseDataset', () => {
+  test('reads comma-separated values with a header', () => {
+    const { points, errors, header } = parseDataset('x,y\n1,2\n3,4.5\n');
+    expect(header).toEqual(['x', 'y']);
+    expect(points).toEqual([{ x: 1, y: 2 }, { x: 3, y: 4.5 }]);
+    expect(errors).toEqual([]);
+  });
+
+  test('reads tab-separated rows pasted from a spreadsheet without a header', () => {
+    const { points, header } = parseDataset('160\t52\r\n172\t68\r\n');
+    expect(header).toBeNull();
+    expect(points).toEqual([{ x: 160, y: 52 }, { x: 172, y: 68 }]);
+  });
+
+  test('reads semicolon-separated values with decimal commas', () => {
+    const { points, errors, header } = parseDataset('x;y\n1,5;2,3\n-0,25;10\n');
+    expect(header).toEqual(['x', 'y']);
+    expect(points).toEqual([{ x: 1.5, y: 2.3 }, { x: -0.25, y: 10 }]);
+    expect(errors).toEqual([]);
+  });
+
+  test('picks the x and y columns by name', () => {
+    const { points } = parseDataset('name;y;x\nkim;70;170\nlee;55;158');
+    expect(points).toEqual([{ x: 170, y: 70 }, { x: 158, y: 55 }]);
+  });
+
+  test('uses the first two columns when the header has other names', () => {
+    const { points } = parseDataset('공부 시간,점수\n2,60\n5,85');
+    expect(points).toEqual([{ x: 2, y: 60 }, { x: 5, y: 85 }]);
+  });
+
+  test('reports invalid rows with their line numbers and keeps the rest', () => {
+    const { points, errors } = parseDataset('x,y\n1,2\n\n3,abc\n4\n5,6');
+    expect(points).toEqual([{ x: 1, y: 2 }, { x: 5, y: 6 }]);
+    expect(errors.map(e => e.line)).toEqual([4, 5]);
+    expect(errors.map(e => e.code)).toEqual(['notNumber', 'tooFewValues']);
+    expect(errors[0].params.value).toContain('abc');
+  });
+
+  test('accepts only 0/1 labels for classification data', () => {
+    const { points, errors } = parseDataset('x,y\n1,0\n2,1\n3,0.5\n', { binary: true });
+    expect(points).toEqual([{ x: 1, y: 0 }, { x: 2, y: 1 }]);
+    expect(errors).toEqual([{ line: 4, code: 'invalidLabel', params: { value: '0.5' } }]);
+  });
+
+  test('reports empty input', () => {
+    expect(parseDataset('  \n').errors).toEqual([{ line: 0, code: 'empty', params: {} }]);
+  });
+});
+
+describe('toCSV', () => {
+  test('writes a header and quotes fields that need it', () => {
+    const csv = toCSV([{ key: 'x', label: 'x' }, { key: 'note', label: 'note' }], [{ x: 1, note: 'a,b' }, { x: 2, note: 'say "hi"' }]);
+    expect(csv).toBe('x,note\n1,"a,b"\n2,"say ""hi"""\n');
+  });
+
+  test('round-trips a dataset through parseDataset', () => {
+    const data = [{ x: 20, y: 45 }, { x: 22.5, y: -3 }];
+    const csv = toCSV([{ key: 'x', label: 'x' }, { key: 'y', label: 'y' }], data);
+    expect(parseDataset(csv).points).toEqual(data);
+  });
+});
@@ -0,0 +1,64 @@
+// --- Synthetic Dataset Generator ---
+// 참값 y = slope·x + intercept 주위에 가우스 잡음과 이상치를 넣어 데이터를 만듭니다.
+// 같은 시드면 항상 같은 데이터가 나오므로 수업 자료나 공유 링크에서 다시 만들 수 있습니다.
+import { createRandom, shuffledIndices, sigmoid } from './engine';
+
+export const DEFAULT_GENERATOR = {
+  slope: 2,
+  intercept: 0,
+  count: 10,
+  xMin: 1,
+  xMax: 10,
+  noise: 1,
+  outliers: 0,
+  seed: 1,
+};
+
+export const MAX_GENERATED_POINTS = 5000;
+
+// 편집기에서 읽기 쉽도록 소수 둘째 자리까지만 남깁니다.
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// 상자-뮐러 변환으로 표준정규분포 난수를 만듭니다.
+const gaussian = (random) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+// 이름 붙인 예시 설정. 각 항목은 DEFAULT_GENERATOR를 덮어쓸 값만 가집니다. 이름은 카탈로그의 generator.presets.*에 있습니다.
+export const DATASET_PRESETS = {
+  perfect: { params: { slope: 2, intercept: 0, noise: 0, outliers: 0 } },
+  noisy: { params: { slope: 2, intercept: 0, noise: 3, outliers: 0 } },
+  outliers: { params: { slope: 2, intercept: 0, noise: 0.5, outliers: 2 } },
+  intercept: { params: { slope: 1.5, intercept: 8, noise: 0.5, outliers: 0 } },
+  badlyScaled: { params: { slope: 0.05, intercept: 3, xMin: 100, xMax: 1000, noise: 1, outliers: 0 } },
+};
+
+// options → [{ x, y }]. x는 범위 안에 고르게 놓고, binary이면 y를 P(y = 1) = σ(slope·x + intercept)인 0/1 레이블로 뽑습니다.
+// 이상치는 회귀에서는 참값에서 크게 벗어난 점, 분류에서는 레이블이 뒤집힌 점입니다.
+export const generateDataset = (options = {}, { binary = false } = {}) => {
+  const { slope, intercept, count, xMin, xMax, noise, outliers, seed } = { ...DEFAULT_GENERATOR, ...options };
+  const n = Math.min(MAX_GENERATED_POINTS, Math.max(2, Math.round(count)));
+  const random = createRandom(seed);
+  const trueY = (x) => slope * x + intercept;
+
+  const points = Array.from({ length: n }, (_, i) => {
+    const x = round2(xMin + ((xMax - xMin) * i) / (n - 1));
+    const y = binary
+      ? (random() < sigmoid(trueY(x)) ? 1 : 0)
+      : round2(trueY(x) + Math.max(0, noise) * gaussian(random));
+    return { x, y };
+  });
+
+  // 이상치 크기는 참값이 x 범위에서 변하는 폭의 절반~전체(최소 10)입니다.
+  const spread = Math.max(10, Math.abs(trueY(xMax) - trueY(xMin)));
+  shuffledIndices(n, seed).slice(0, Math.max(0, Math.min(n, Math.round(outliers)))).forEach((index) => {
+    const point = points[index];
+    const y = binary
+      ? 1 - point.y
+      : round2(point.y + (random() < 0.5 ? -1 : 1) * spread * (0.5 + 0.5 * random()));
+    points[index] = { ...point, y };
+  });
+  return points;
+};
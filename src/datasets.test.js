@@ -0,0 +1,48 @@
+import { generateDataset, DATASET_PRESETS, DEFAULT_GENERATOR, MAX_GENERATED_POINTS } from './datasets';
+import { leastSquaresLine } from './engine';
+
+describe('generateDataset', () => {
+  test('places points evenly on the true line when there is no noise', () => {
+    const points = generateDataset({ slope: 3, intercept: -1, count: 4, xMin: 0, xMax: 3, noise: 0 });
+    expect(points).toEqual([{ x: 0, y: -1 }, { x: 1, y: 2 }, { x: 2, y: 5 }, { x: 3, y: 8 }]);
+  });
+
+  test('is reproducible for the same seed and differs for another', () => {
+    const options = { ...DEFAULT_GENERATOR, noise: 2, outliers: 1 };
+    expect(generateDataset(options)).toEqual(generateDataset(options));
+    expect(generateDataset({ ...options, seed: 2 })).not.toEqual(generateDataset(options));
+  });
+
+  test('noisy data still recovers the true line on average', () => {
+    const points = generateDataset({ slope: 2, intercept: 5, count: 200, xMin: 0, xMax: 10, noise: 1 });
+    const { a, b } = leastSquaresLine(points);
+    expect(a).toBeCloseTo(2, 1);
+    expect(Math.abs(b - 5)).toBeLessThan(0.5);
+  });
+
+  test('moves exactly the requested number of points far off the line', () => {
+    const points = generateDataset({ slope: 2, intercept: 0, count: 20, xMin: 1, xMax: 20, noise: 0, outliers: 3 });
+    expect(points.filter(p => Math.abs(p.y - 2 * p.x) > 1)).toHaveLength(3);
+  });
+
+  test('draws 0/1 labels and flips them for outliers in classification mode', () => {
+    const options = { slope: 1, intercept: -5, count: 50, xMin: 0, xMax: 10, seed: 3 };
+    const labels = generateDataset(options, { binary: true });
+    expect(labels.every(p => p.y === 0 || p.y === 1)).toBe(true);
+    const flipped = generateDataset({ ...options, outliers: 5 }, { binary: true });
+    expect(flipped.filter((p, i) => p.y !== labels[i].y)).toHaveLength(5);
+  });
+
+  test('clamps the point count', () => {
+    expect(generateDataset({ count: 1 })).toHaveLength(2);
+    expect(generateDataset({ count: 10000 })).toHaveLength(MAX_GENERATED_POINTS);
+  });
+
+  test('every preset produces a usable dataset', () => {
+    Object.values(DATASET_PRESETS).forEach(({ params }) => {
+      const points = generateDataset({ ...DEFAULT_GENERATOR, ...params });
+      expect(points).toHaveLength(DEFAULT_GENERATOR.count);
+      expect(points.every(p => Number.isFinite(p.x) && Number.isFinite(p.y))).toBe(true);
+    });
+  });
+});
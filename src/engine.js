@@ -0,0 +1,748 @@
+// --- Gradient Descent Engine ---
+// 화면(React)과 독립된 계산 모듈입니다. 모든 함수는 입력을 바꾸지 않는 순수 함수이며,
+// 시뮬레이터는 step(state, data, config)을 반복 호출해 학습 과정을 만듭니다.
+
+// --- Loss Functions ---
+// 한 점의 오차 r = (예측 - 실제)에 대한 손실 L(r)과 그 도함수 L'(r).
+// 연쇄 법칙으로 dE/da = L'(r)·x, dE/db = L'(r)이고, 전체 손실 E는 점별 손실의 평균입니다.
+// secondDerivative는 L''(r)로 뉴턴법의 헤세 행렬에, curvature는 그 최댓값으로 안정적인 학습률 상한에 씁니다.
+// link가 있는 손실은 모델 출력 s = ax + b에 link를 씌운 값을 예측으로 씁니다(로지스틱 회귀의 σ).
+// 이때 derivative와 curvature는 r이 아니라 s에 대한 미분입니다.
+
+export const sigmoid = (s) => 1 / (1 + Math.exp(-s));
+
+// log(1 + e^s)를 s가 커도 넘치지 않게 계산합니다.
+const softplus = (s) => Math.max(s, 0) + Math.log1p(Math.exp(-Math.abs(s)));
+
+export const DEFAULT_LOSS = { type: 'mse', delta: 1 };
+
+export const LOSSES = {
+  mse: {
+    value: (r) => r * r,
+    derivative: (r) => 2 * r,
+    secondDerivative: () => 2,
+    curvature: 2,
+  },
+  mae: {
+    value: (r) => Math.abs(r),
+    // |r|은 r = 0에서 미분할 수 없으므로 관례대로 0을 씁니다.
+    derivative: (r) => Math.sign(r),
+    secondDerivative: () => 0,
+    curvature: 0,
+  },
+  huber: {
+    // |r| ≤ δ에서는 제곱 오차의 절반, 그 밖에서는 기울기가 ±δ인 직선으로 이어 붙입니다.
+    value: (r, { delta }) => (Math.abs(r) <= delta ? 0.5 * r * r : delta * (Math.abs(r) - delta / 2)),
+    derivative: (r, { delta }) => Math.max(-delta, Math.min(delta, r)),
+    secondDerivative: (r, { delta }) => (Math.abs(r) <= delta ? 1 : 0),
+    curvature: 1,
+  },
+  logcosh: {
+    // log(cosh r)를 그대로 계산하면 |r|이 클 때 cosh가 넘치므로 |r| + log(1 + e^{-2|r|}) - log 2로 바꿔 씁니다.
+    value: (r) => Math.abs(r) + Math.log1p(Math.exp(-2 * Math.abs(r))) - Math.LN2,
+    derivative: (r) => Math.tanh(r),
+    secondDerivative: (r) => 1 - Math.tanh(r) ** 2,
+    curvature: 1,
+  },
+  bce: {
+    // -[y·log σ(s) + (1 - y)·log(1 - σ(s))] = log(1 + e^s) - y·s 이므로 σ(s)가 0이나 1로 포화돼도 유한합니다.
+    value: (r, options, s, y) => softplus(s) - y * s,
+    // σ'(s) = σ(s)(1 - σ(s))가 log의 미분과 약분되어 dL/ds = σ(s) - y = r만 남습니다.
+    derivative: (r) => r,
+    // d²L/ds² = σ(s)(1 - σ(s)) ≤ 1/4
+    secondDerivative: (r, options, s) => sigmoid(s) * (1 - sigmoid(s)),
+    curvature: 0.25,
+    link: sigmoid,
+  },
+};
+
+const identity = (s) => s;
+
+const resolveLoss = (loss = DEFAULT_LOSS) => {
+  const options = { ...DEFAULT_LOSS, ...loss };
+  const delta = parseFloat(options.delta);
+  const entry = LOSSES[options.type];
+  return { ...entry, link: entry.link || identity, options: { ...options, delta: delta > 0 ? delta : DEFAULT_LOSS.delta } };
+};
+
+// --- Polynomial Models ---
+// 직선 y = az + b에 2차 이상의 항 c₂z² + … + c_d·z^d를 더한 다항식 모델입니다.
+// z는 x 그대로이거나 표준화한 값 (x - 평균) / 표준편차입니다.
+// 아래 함수들의 poly 인자는 { c: [c₂, …, c_d], scaler: { mean, std } }이고, null이면 z = x인 직선 모델입니다.
+// 파라미터 벡터의 순서는 [a, b, c₂, …, c_d]로, 직선 모델의 [a, b]를 그대로 앞에 둡니다.
+
+export const DEFAULT_MODEL = { degree: 1, standardize: false };
+export const IDENTITY_SCALER = { mean: 0, std: 1 };
+export const MAX_DEGREE = 4;
+
+export const createScaler = (data, standardize) => {
+  if (!standardize || !data || data.length === 0) return IDENTITY_SCALER;
+  const mean = data.reduce((acc, p) => acc + p.x, 0) / data.length;
+  const variance = data.reduce((acc, p) => acc + (p.x - mean) ** 2, 0) / data.length;
+  return { mean, std: variance > 0 ? Math.sqrt(variance) : 1 };
+};
+
+export const scaleX = (x, poly) => (poly ? (x - poly.scaler.mean) / poly.scaler.std : x);
+
+// 계산에 쓰는 z의 거듭제곱 [z, z², …, z^d]
+const powersOf = (z, degree) => Array.from({ length: degree }, (_, k) => z ** (k + 1));
+
+export const predict = (a, b, x, poly = null) => {
+  const z = scaleX(x, poly);
+  if (!poly) return a * z + b;
+  return poly.c.reduce((acc, ck, k) => acc + ck * z ** (k + 2), a * z + b);
+};
+
+// 손실의 link까지 씌운 최종 예측값. 로지스틱 회귀에서는 확률 σ(ax + b)입니다.
+export const predictOutput = (a, b, x, loss = DEFAULT_LOSS, poly = null) => resolveLoss(loss).link(predict(a, b, x, poly));
+
+// 직선 모델(degree 1, 표준화 없음)이면 poly가 필요 없으므로 null을 돌려줍니다.
+export const createPoly = (model, data, c = []) => {
+  const { degree, standardize } = { ...DEFAULT_MODEL, ...model };
+  if (degree <= 1 && !standardize) return null;
+  const coefficients = Array.from({ length: degree - 1 }, (_, k) => (Number.isFinite(c[k]) ? c[k] : 0));
+  return { c: coefficients, scaler: createScaler(data, standardize) };
+};
+
+// Mx = rhs를 부분 피벗 가우스-조르단 소거법으로 풉니다.
+// 피벗이 0인 열(특이 행렬)의 해는 0으로 두고, singular로 알려 줍니다.
+const solveLinearSystem = (M, rhs) => {
+  const size = rhs.length;
+  const A = M.map((row, i) => [...row, rhs[i]]);
+  let singular = false;
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < size; r++) {
+      if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+    }
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    if (Math.abs(A[col][col]) < 1e-12) {
+      singular = true;
+      continue;
+    }
+    for (let r = 0; r < size; r++) {
+      if (r === col) continue;
+      const factor = A[r][col] / A[col][col];
+      for (let k = col; k <= size; k++) A[r][k] -= factor * A[col][k];
+    }
+  }
+  const x = A.map((row, i) => (Math.abs(row[i]) < 1e-12 ? 0 : row[size] / row[i]));
+  return { x, singular };
+};
+
+// 정규방정식 (ΦᵀΦ)θ = Φᵀy를 풀어 제곱 오차를 최소로 하는 계수를 구합니다.
+export const polynomialLeastSquares = (data, degree, scaler = IDENTITY_SCALER) => {
+  const size = degree + 1;
+  const rows = data.map(p => [...powersOf((p.x - scaler.mean) / scaler.std, degree), 1]);
+  const normal = Array.from({ length: size }, (_, i) => (
+    Array.from({ length: size }, (__, j) => rows.reduce((acc, r) => acc + r[i] * r[j], 0))
+  ));
+  const rhs = Array.from({ length: size }, (_, i) => rows.reduce((acc, r, n) => acc + r[i] * data[n].y, 0));
+  const { x: theta } = solveLinearSystem(normal, rhs);
+  // theta는 [z, z², …, z^d, 1]의 계수이므로 [a, b, c₂, …] 순서로 바꿉니다.
+  return { a: theta[0], b: theta[degree], c: theta.slice(1, degree) };
+};
+
+// --- Loss & Gradient ---
+
+export const calculateLoss = (a, b, data, loss = DEFAULT_LOSS, poly = null) => {
+  if (!data || data.length === 0) return 0;
+  const { value, link, options } = resolveLoss(loss);
+  const total = data.reduce((acc, point) => {
+    const s = predict(a, b, point.x, poly);
+    return acc + value(link(s) - point.y, options, s, point.y);
+  }, 0);
+  return total / data.length;
+};
+
+export const calculateMSE = (a, b, data) => calculateLoss(a, b, data, { type: 'mse' });
+
+// batch(인덱스 배열)가 주어지면 그 점들만 평균에 포함하고, 나머지 점은 inBatch: false로 표시만 합니다.
+// 다항식 모델이면 c₂, …, c_d에 대한 미분항을 contributionsC / finalGradientC에 함께 담습니다.
+export const calculateGradientDetails = (a, b, data, batch = null, loss = DEFAULT_LOSS, poly = null) => {
+  const inBatch = batch ? new Set(batch) : null;
+  const n = inBatch ? inBatch.size : data.length;
+  const { derivative, link, options } = resolveLoss(loss);
+  const higherTerms = poly ? poly.c.length : 0;
+  let totalGradientSum = 0;
+  let totalGradientSumB = 0;
+  const totalGradientSumC = new Array(higherTerms).fill(0);
+  const pointGradients = data.map((p, index) => {
+    // Chain Rule: dE/da = L'(f(x) - y) * z,  dE/db = L'(f(x) - y),  dE/dc_k = L'(f(x) - y) * z^k
+    const z = scaleX(p.x, poly);
+    const prediction = link(predict(a, b, p.x, poly));
+    const errorTerm = (prediction - p.y);
+    const lossDerivative = derivative(errorTerm, options);
+    const contribution = lossDerivative * z;
+    const contributionB = lossDerivative;
+    const contributionsC = Array.from({ length: higherTerms }, (_, k) => lossDerivative * z ** (k + 2));
+    const isInBatch = !inBatch || inBatch.has(index);
+    if (isInBatch) {
+      totalGradientSum += contribution;
+      totalGradientSumB += contributionB;
+      contributionsC.forEach((value, k) => { totalGradientSumC[k] += value; });
+    }
+
+    return {
+      id: index + 1,
+      x: p.x,
+      y: p.y,
+      prediction: prediction,
+      errorTerm: errorTerm,
+      z: z,
+      lossDerivative: lossDerivative,
+      contribution: contribution,
+      contributionB: contributionB,
+      contributionsC: contributionsC,
+      inBatch: isInBatch
+    };
+  });
+
+  const finalGradient = totalGradientSum / n;
+  const finalGradientB = totalGradientSumB / n;
+  const finalGradientC = totalGradientSumC.map(sum => sum / n);
+  return { finalGradient, finalGradientB, finalGradientC, pointGradients };
+};
+
+// 최소제곱 직선 y = ax + b (절편 포함)
+export const leastSquaresLine = (data) => {
+  const n = data.length;
+  const meanX = data.reduce((acc, p) => acc + p.x, 0) / n;
+  const meanY = data.reduce((acc, p) => acc + p.y, 0) / n;
+  const sxx = data.reduce((acc, p) => acc + (p.x - meanX) ** 2, 0);
+  const sxy = data.reduce((acc, p) => acc + (p.x - meanX) * (p.y - meanY), 0);
+  const a = sxx === 0 ? 0 : sxy / sxx;
+  return { a, b: meanY - a * meanX };
+};
+
+// --- Analytic Optimum ---
+// MSE의 최솟값은 닫힌 형태로 구할 수 있습니다.
+//   y = ax:     a* = Σxy / Σx²
+//   y = ax + b: 최소제곱 직선,  다항식: 정규방정식의 해
+// 다른 손실은 닫힌 형태의 해가 없으므로 null을 돌려줍니다.
+export const analyticOptimum = (data, useIntercept, loss = DEFAULT_LOSS, poly = null) => {
+  if (!data || data.length === 0 || { ...DEFAULT_LOSS, ...loss }.type !== 'mse') return null;
+  if (!useIntercept) {
+    const sxx = data.reduce((acc, p) => acc + p.x * p.x, 0);
+    if (sxx === 0) return null;
+    return { a: data.reduce((acc, p) => acc + p.x * p.y, 0) / sxx, b: 0, c: [] };
+  }
+  if (poly) return polynomialLeastSquares(data, poly.c.length + 1, poly.scaler);
+  return { ...leastSquaresLine(data), c: [] };
+};
+
+// 파라미터 벡터 θ = [a, b, c₂, …]와 최적해 θ* 사이의 거리 ‖θ - θ*‖
+export const distanceToOptimum = ({ a, b = 0, c = [] }, optimum) => {
+  if (!optimum) return null;
+  return Math.hypot(a - optimum.a, b - optimum.b, ...c.map((ck, k) => ck - (optimum.c[k] || 0)));
+};
+
+// --- Loss Sampling for Charts ---
+
+// b(와 다항식의 c)를 고정하고 a를 from부터 to까지 훑은 손실 곡선
+export const sampleLossCurve = (data, b, loss = DEFAULT_LOSS, poly = null, from = -1, to = 4.5, stepSize = 0.1) => {
+  const curve = [];
+  for (let a = from; a <= to + stepSize / 2; a += stepSize) {
+    curve.push({
+      a: parseFloat(a.toFixed(4)),
+      loss: calculateLoss(a, b, data, loss, poly)
+    });
+  }
+  return curve;
+};
+
+// (a, b) 격자 위의 손실. 각 칸의 중심에서 계산합니다.
+export const sampleLossSurface = (data, aRange, bRange, resolution, loss = DEFAULT_LOSS, poly = null) => {
+  const grid = [];
+  for (let j = 0; j < resolution; j++) {
+    const b = bRange[0] + ((j + 0.5) / resolution) * (bRange[1] - bRange[0]);
+    for (let i = 0; i < resolution; i++) {
+      const a = aRange[0] + ((i + 0.5) / resolution) * (aRange[1] - aRange[0]);
+      grid.push({ i, j, loss: calculateLoss(a, b, data, loss, poly) });
+    }
+  }
+  return grid;
+};
+
+// --- Derivative Demos ---
+
+// 할선의 기울기 (E(a + h) - E(a)) / h. b와 c는 고정합니다.
+// h → 0이면 접선의 기울기 dE/da에 가까워지고, 그 차이는 대략 ½·E''(a)·h입니다(MSE처럼 E가 2차식이면 정확히).
+export const secantSlope = (a, b, data, h, loss = DEFAULT_LOSS, poly = null) => (
+  (calculateLoss(a + h, b, data, loss, poly) - calculateLoss(a, b, data, loss, poly)) / h
+);
+
+// --- Optimizers ---
+// 각 옵티마이저는 파라미터 벡터 theta([a] 또는 [a, b])와 기울기 grad를 받아
+// 이동량 delta(theta_new = theta - delta), 갱신된 내부 상태, 카드에 보여줄 중간값 terms를 돌려줍니다.
+// terms의 key는 화면 카탈로그의 optimizerTerms.* 이름입니다.
+const zeros = (n) => new Array(n).fill(0);
+
+export const DEFAULT_HYPERPARAMS = { beta: 0.9, beta2: 0.999, epsilon: 1e-8 };
+
+export const OPTIMIZERS = {
+  gd: {
+    hyperparams: [],
+    init: () => ({}),
+    update: ({ grad, lr }) => ({
+      delta: grad.map(g => lr * g),
+      state: {},
+      terms: grad.map(g => [{ key: 'step', value: `${lr} × ${g.toFixed(2)}` }]),
+    }),
+  },
+  momentum: {
+    hyperparams: ['beta'],
+    init: (n) => ({ v: zeros(n) }),
+    update: ({ grad, state, lr, hp }) => {
+      const v = grad.map((g, i) => hp.beta * state.v[i] + g);
+      return {
+        delta: v.map(vi => lr * vi),
+        state: { v },
+        terms: v.map((vi, i) => [
+          { key: 'velocity', value: `${hp.beta} × ${state.v[i].toFixed(2)} + ${grad[i].toFixed(2)} = ${vi.toFixed(4)}` },
+        ]),
+      };
+    },
+  },
+  nesterov: {
+    hyperparams: ['beta'],
+    init: (n) => ({ v: zeros(n) }),
+    update: ({ theta, state, lr, hp, gradientAt }) => {
+      // 관성으로 먼저 이동할 위치를 내다보고, 그곳의 기울기를 사용합니다.
+      const lookahead = theta.map((t, i) => t - lr * hp.beta * state.v[i]);
+      const lookaheadGrad = gradientAt(lookahead);
+      const v = lookaheadGrad.map((g, i) => hp.beta * state.v[i] + g);
+      return {
+        delta: v.map(vi => lr * vi),
+        state: { v },
+        terms: v.map((vi, i) => [
+          { key: 'lookahead', value: lookahead[i].toFixed(4) },
+          { key: 'lookaheadGradient', value: lookaheadGrad[i].toFixed(4) },
+          { key: 'lookaheadVelocity', value: vi.toFixed(4) },
+        ]),
+      };
+    },
+  },
+  adagrad: {
+    hyperparams: ['epsilon'],
+    init: (n) => ({ G: zeros(n) }),
+    update: ({ grad, state, lr, hp }) => {
+      const G = grad.map((g, i) => state.G[i] + g * g);
+      return {
+        delta: grad.map((g, i) => (lr * g) / (Math.sqrt(G[i]) + hp.epsilon)),
+        state: { G },
+        terms: G.map(Gi => [{ key: 'accumulated', value: Gi.toFixed(4) }]),
+      };
+    },
+  },
+  rmsprop: {
+    hyperparams: ['beta', 'epsilon'],
+    init: (n) => ({ s: zeros(n) }),
+    update: ({ grad, state, lr, hp }) => {
+      const s = grad.map((g, i) => hp.beta * state.s[i] + (1 - hp.beta) * g * g);
+      return {
+        delta: grad.map((g, i) => (lr * g) / (Math.sqrt(s[i]) + hp.epsilon)),
+        state: { s },
+        terms: s.map(si => [{ key: 'average', value: si.toFixed(4) }]),
+      };
+    },
+  },
+  adam: {
+    hyperparams: ['beta', 'beta2', 'epsilon'],
+    init: (n) => ({ m: zeros(n), v: zeros(n), t: 0 }),
+    update: ({ grad, state, lr, hp }) => {
+      const t = state.t + 1;
+      const m = grad.map((g, i) => hp.beta * state.m[i] + (1 - hp.beta) * g);
+      const v = grad.map((g, i) => hp.beta2 * state.v[i] + (1 - hp.beta2) * g * g);
+      // 초반에 0으로 치우친 이동 평균을 보정합니다.
+      const mHat = m.map(mi => mi / (1 - Math.pow(hp.beta, t)));
+      const vHat = v.map(vi => vi / (1 - Math.pow(hp.beta2, t)));
+      return {
+        delta: mHat.map((mh, i) => (lr * mh) / (Math.sqrt(vHat[i]) + hp.epsilon)),
+        state: { m, v, t },
+        terms: m.map((_, i) => [
+          { key: 'mHat', value: mHat[i].toFixed(4) },
+          { key: 'vHat', value: vHat[i].toFixed(4) },
+        ]),
+      };
+    },
+  },
+};
+
+// --- Batch Sampling (SGD / Mini-batch) ---
+// 같은 시드면 항상 같은 순서가 나오도록 작은 의사난수 생성기(mulberry32)를 씁니다.
+export const createRandom = (seed) => {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6D2B79F5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const shuffledIndices = (n, seed) => {
+  const random = createRandom(seed);
+  const indices = Array.from({ length: n }, (_, i) => i);
+  for (let i = n - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [indices[i], indices[j]] = [indices[j], indices[i]];
+  }
+  return indices;
+};
+
+// step번째 단계에서 사용할 데이터 인덱스. 에포크마다 (seed + 에포크 번호)로 다시 섞고 앞에서부터 잘라 씁니다.
+export const sampleBatch = (step, n, batchSize, seed) => {
+  const batchesPerEpoch = Math.ceil(n / batchSize);
+  const epoch = Math.floor(step / batchesPerEpoch);
+  const position = step % batchesPerEpoch;
+  const order = shuffledIndices(n, seed + epoch);
+  return { indices: order.slice(position * batchSize, (position + 1) * batchSize), epoch };
+};
+
+
+// --- Single Step ---
+
+export const DEFAULT_CONFIG = {
+  learningRate: 0.01,
+  optimizerType: 'gd',
+  hyperparams: DEFAULT_HYPERPARAMS,
+  useIntercept: false,
+  model: DEFAULT_MODEL,
+  loss: DEFAULT_LOSS,
+  batchMode: 'batch',
+  batchSize: 4,
+  batchSeed: 42,
+};
+
+export const initialState = (a, b = 0, c = []) => ({ a, b, c, step: 0, optimizerState: null });
+
+// stepIndex번째 단계의 배치 { indices, epoch }. 전체 배치(batch)면 indices는 null입니다.
+export const batchForStep = (stepIndex, n, { batchMode, batchSize, batchSeed }) => {
+  if (batchMode === 'batch') return { indices: null, epoch: stepIndex };
+  const effectiveBatchSize = batchMode === 'sgd' ? 1 : Math.min(Math.max(1, parseInt(batchSize, 10) || 1), n);
+  return sampleBatch(stepIndex, n, effectiveBatchSize, parseInt(batchSeed, 10) || 0);
+};
+
+// 옵티마이저의 한 번 업데이트 { delta, state, terms }. 첫 단계(optimizerState가 null)는 상태를 새로 만듭니다.
+const optimizerUpdate = ({ theta, grad, gradientAt, optimizerState, optimizerType, learningRate, hyperparams }) => {
+  const optimizer = OPTIMIZERS[optimizerType];
+  return optimizer.update({
+    theta, grad, gradientAt,
+    state: optimizerState || optimizer.init(theta.length),
+    lr: parseFloat(learningRate),
+    hp: hyperparams,
+  });
+};
+
+// 현재 상태 { a, b, c, step, optimizerState }에서 한 단계를 진행합니다. c는 다항식의 2차 이상 계수입니다.
+// state: 다음 단계의 상태, details: 이번 단계의 계산 과정(표와 카드에 표시할 값)
+export const step = (state, data, config) => {
+  const { learningRate, optimizerType, hyperparams, useIntercept, model, loss, batchMode, batchSize, batchSeed } = { ...DEFAULT_CONFIG, ...config };
+  const { a: startA, step: stepIndex } = state;
+  const startB = useIntercept ? state.b : 0;
+  // 원점을 지나는 모델 y = ax는 항상 직선입니다.
+  const poly = useIntercept ? createPoly(model, data, state.c || []) : null;
+  const startC = poly ? poly.c : [];
+  const { indices: batch, epoch } = batchForStep(stepIndex, data.length, { batchMode, batchSize, batchSeed });
+  const batchData = batch ? batch.map(i => data[i]) : data;
+
+  const lossValue = calculateLoss(startA, startB, data, loss, poly);
+  const batchLoss = calculateLoss(startA, startB, batchData, loss, poly);
+  const { finalGradient, finalGradientB, finalGradientC, pointGradients } = calculateGradientDetails(startA, startB, data, batch, loss, poly);
+  const distance = distanceToOptimum({ a: startA, b: startB, c: startC }, analyticOptimum(data, useIntercept, loss, poly));
+
+  // 절편이 없는 모델은 a만 학습합니다.
+  const theta = useIntercept ? [startA, startB, ...startC] : [startA];
+  const grad = useIntercept ? [finalGradient, finalGradientB, ...finalGradientC] : [finalGradient];
+  const gradientAt = ([a, b = 0, ...c]) => {
+    const details = calculateGradientDetails(a, b, data, batch, loss, poly && { ...poly, c });
+    return useIntercept ? [details.finalGradient, details.finalGradientB, ...details.finalGradientC] : [details.finalGradient];
+  };
+  const update = optimizerUpdate({ theta, grad, gradientAt, optimizerState: state.optimizerState, optimizerType, learningRate, hyperparams });
+  const nextTheta = theta.map((t, i) => t - update.delta[i]);
+  const nextA = nextTheta[0];
+  const nextB = useIntercept ? nextTheta[1] : 0;
+  const nextC = nextTheta.slice(2);
+
+  return {
+    state: { a: nextA, b: nextB, c: nextC, step: stepIndex + 1, optimizerState: update.state },
+    details: {
+      step: stepIndex,
+      pointGradients, finalGradient, finalGradientB, finalGradientC,
+      loss: lossValue, batchLoss,
+      batch, epoch,
+      scaler: poly ? poly.scaler : IDENTITY_SCALER,
+      currentA: startA, currentB: startB, currentC: startC,
+      distance,
+      delta: update.delta, terms: update.terms,
+      nextA, nextB, nextC,
+      optimizerState: update.state
+    }
+  };
+};
+
+// step()을 다시 돌리지 않고 다음 단계의 a만 미리 구합니다. gradientDetails는 state의 (a, b)에서 전체 데이터로 구한
+// calculateGradientDetails의 결과이고, 배치 미분은 그 점별 기여에서 모읍니다. 결과는 step(state, …).details.nextA와 같습니다.
+export const previewStep = (state, gradientDetails, data, config) => {
+  const { learningRate, optimizerType, hyperparams, useIntercept, model, loss, batchMode, batchSize, batchSeed } = { ...DEFAULT_CONFIG, ...config };
+  const { indices: batch } = batchForStep(state.step, data.length, { batchMode, batchSize, batchSeed });
+  const points = batch ? batch.map(i => gradientDetails.pointGradients[i]) : null;
+  const mean = (pick) => points.reduce((acc, p) => acc + pick(p), 0) / points.length;
+  const gradA = points ? mean(p => p.contribution) : gradientDetails.finalGradient;
+  const gradB = points ? mean(p => p.contributionB) : gradientDetails.finalGradientB;
+  const gradC = points ? gradientDetails.finalGradientC.map((_, k) => mean(p => p.contributionsC[k])) : gradientDetails.finalGradientC;
+
+  const c = useIntercept ? gradientDetails.finalGradientC.map((_, k) => state.c?.[k] ?? 0) : [];
+  const theta = useIntercept ? [state.a, state.b, ...c] : [state.a];
+  const grad = useIntercept ? [gradA, gradB, ...gradC] : [gradA];
+  // 앞을 내다보는 옵티마이저(네스테로프)만 다른 위치의 미분을 새로 구합니다.
+  const gradientAt = ([a, b = 0, ...rest]) => {
+    const poly = useIntercept ? createPoly(model, data, rest) : null;
+    const details = calculateGradientDetails(a, b, data, batch, loss, poly);
+    return useIntercept ? [details.finalGradient, details.finalGradientB, ...details.finalGradientC] : [details.finalGradient];
+  };
+  const update = optimizerUpdate({ theta, grad, gradientAt, optimizerState: state.optimizerState, optimizerType, learningRate, hyperparams });
+  return theta[0] - update.delta[0];
+};
+
+// gdHistory에 쌓는 한 줄 요약
+export const toHistoryEntry = (details) => ({
+  step: details.step,
+  a: parseFloat(details.currentA.toFixed(4)),
+  b: parseFloat(details.currentB.toFixed(4)),
+  c: details.currentC.map(value => parseFloat(value.toFixed(6))),
+  loss: parseFloat(details.loss.toFixed(4)),
+  // 손실 변화로 수렴을 판정할 때는 반올림하지 않은 값을 씁니다(작은 손실에서는 반올림하면 변화가 0이 됩니다).
+  exactLoss: details.loss,
+  batchLoss: parseFloat(details.batchLoss.toFixed(4)),
+  epoch: details.epoch,
+  batch: details.batch,
+  gradient: parseFloat(details.finalGradient.toFixed(4)),
+  gradientB: parseFloat(details.finalGradientB.toFixed(4)),
+  gradientC: details.finalGradientC.map(value => parseFloat(value.toFixed(4))),
+  // 닫힌 형태의 최적해가 없는 손실(MSE 외)은 null
+  distance: details.distance === null ? null : parseFloat(details.distance.toFixed(6)),
+  optimizerState: details.optimizerState
+});
+
+// start에서 count단계를 이어서 진행합니다. 저장된 세션을 같은 단계까지 다시 계산할 때 씁니다.
+// history: 단계별 요약, log: 단계별 details 전체. 값이 Infinity/NaN이 되면 화면의 시뮬레이터처럼 더 진행하지 않습니다.
+export const runSteps = (start, data, config, count) => {
+  let state = start;
+  const history = [];
+  const log = [];
+  for (let i = 0; i < count && Number.isFinite(state.a) && Number.isFinite(state.b); i++) {
+    const result = step(state, data, config);
+    history.push(toHistoryEntry(result.details));
+    log.push(result.details);
+    state = result.state;
+  }
+  return { state, history, log };
+};
+
+// stepLog에 오래 쌓아 둘 때는 점마다의 계산(pointGradients)을 빼 둡니다.
+// 데이터 수천 개로 수천 단계를 돌리면 pointGradients만으로 수백만 개의 객체가 됩니다.
+export const withoutPointGradients = ({ pointGradients, ...details }) => details;
+
+// 뺀 pointGradients를 그 단계의 매개변수와 배치로 다시 계산합니다. 표에서 한 단계를 펼쳐 볼 때 씁니다.
+export const stepPointGradients = (details, data, config) => {
+  const { useIntercept, model, loss } = { ...DEFAULT_CONFIG, ...config };
+  const poly = useIntercept ? createPoly(model, data, details.currentC) : null;
+  return calculateGradientDetails(details.currentA, details.currentB, data, details.batch, loss, poly).pointGradients;
+};
+
+// --- Newton's Method ---
+// 헤세 행렬 H = mean(L''(r)·φφᵀ), φ = [z, 1, z², …]를 써서 θ ← θ - H⁻¹∇E로 이동합니다.
+// 경사하강법이 모든 방향에 같은 η를 곱하는 것과 달리 방향마다 곡률로 나눠 보폭을 정하므로,
+// E가 정확히 2차식인 MSE에서는 한 번에 최솟값에 도착합니다.
+
+export const calculateHessian = (a, b, data, useIntercept, loss = DEFAULT_LOSS, poly = null) => {
+  const { secondDerivative, link, options } = resolveLoss(loss);
+  const higherTerms = poly ? poly.c.length : 0;
+  const size = useIntercept ? 2 + higherTerms : 1;
+  const H = Array.from({ length: size }, () => zeros(size));
+  data.forEach(p => {
+    const z = scaleX(p.x, poly);
+    const s = predict(a, b, p.x, poly);
+    const weight = secondDerivative(link(s) - p.y, options, s, p.y);
+    const phi = useIntercept ? [z, 1, ...Array.from({ length: higherTerms }, (_, k) => z ** (k + 2))] : [z];
+    for (let i = 0; i < size; i++) {
+      for (let j = 0; j < size; j++) H[i][j] += (weight * phi[i] * phi[j]) / data.length;
+    }
+  });
+  return H;
+};
+
+// step과 같은 모양의 { state, details }를 돌려주므로 toHistoryEntry로 기록을 만들 수 있습니다.
+// 학습률과 배치 설정은 쓰지 않고 항상 전체 데이터로 계산합니다.
+export const newtonStep = (state, data, config) => {
+  const { useIntercept, model, loss } = { ...DEFAULT_CONFIG, ...config };
+  const { a: startA, step: stepIndex } = state;
+  const startB = useIntercept ? state.b : 0;
+  const poly = useIntercept ? createPoly(model, data, state.c || []) : null;
+  const startC = poly ? poly.c : [];
+
+  const lossValue = calculateLoss(startA, startB, data, loss, poly);
+  const { finalGradient, finalGradientB, finalGradientC, pointGradients } = calculateGradientDetails(startA, startB, data, null, loss, poly);
+  const grad = useIntercept ? [finalGradient, finalGradientB, ...finalGradientC] : [finalGradient];
+  const hessian = calculateHessian(startA, startB, data, useIntercept, loss, poly);
+  const { x: delta, singular } = solveLinearSystem(hessian, grad);
+  const theta = useIntercept ? [startA, startB, ...startC] : [startA];
+  const nextTheta = theta.map((t, i) => t - delta[i]);
+  const nextA = nextTheta[0];
+  const nextB = useIntercept ? nextTheta[1] : 0;
+  const nextC = nextTheta.slice(2);
+
+  return {
+    state: { a: nextA, b: nextB, c: nextC, step: stepIndex + 1, optimizerState: null },
+    details: {
+      step: stepIndex,
+      pointGradients, finalGradient, finalGradientB, finalGradientC,
+      loss: lossValue, batchLoss: lossValue,
+      batch: null, epoch: stepIndex,
+      scaler: poly ? poly.scaler : IDENTITY_SCALER,
+      currentA: startA, currentB: startB, currentC: startC,
+      distance: distanceToOptimum({ a: startA, b: startB, c: startC }, analyticOptimum(data, useIntercept, loss, poly)),
+      hessian, singular, delta,
+      nextA, nextB, nextC,
+      optimizerState: null
+    }
+  };
+};
+
+// 뉴턴법으로 count단계를 진행한 기록. 헤세 행렬이 특이하면(예: 곡률이 0인 MAE) 그 단계에서 멈추고 singular: true를 돌려줍니다.
+export const runNewton = (start, data, config, count) => {
+  let state = { ...start, optimizerState: null };
+  const history = [];
+  for (let i = 0; i < count && Number.isFinite(state.a) && Number.isFinite(state.b); i++) {
+    const result = newtonStep(state, data, config);
+    history.push(toHistoryEntry(result.details));
+    if (result.details.singular) return { state, history, singular: true };
+    state = result.state;
+  }
+  return { state, history, singular: false };
+};
+
+// runNewton의 결과를 count단계까지 이어 갑니다. 이미 멈췄거나 충분히 길면 그대로 돌려줍니다.
+// 기록이 묶음으로 늘어날 때 처음부터 다시 풀지 않기 위해 씁니다.
+export const extendNewton = (run, data, config, count) => {
+  if (run.singular || run.history.length >= count) return run;
+  const more = runNewton(run.state, data, config, count - run.history.length);
+  return { state: more.state, history: [...run.history, ...more.history], singular: more.singular };
+};
+
+// --- Convergence & Stability ---
+
+export const CONVERGENCE_TOLERANCE = 1e-3;
+
+// 기울기 벡터의 크기 ‖∇E‖
+const gradientNorm = (h, useIntercept) => (
+  useIntercept ? Math.hypot(h.gradient, h.gradientB, ...(h.gradientC || [])) : Math.abs(h.gradient)
+);
+
+// 기울기의 크기가 허용 오차보다 작아진 첫 단계를 수렴 시점으로 봅니다.
+export const findConvergedStep = (history, useIntercept, tolerance = CONVERGENCE_TOLERANCE) => {
+  const entry = history.find(h => gradientNorm(h, useIntercept) < tolerance);
+  return entry ? entry.step : null;
+};
+
+// 기본 경사하강법이 발산하지 않는 학습률의 상한 2 / λ_max.
+// λ_max는 손실의 헤세 행렬(2차 미분)의 가장 큰 고윳값입니다. MSE 기준으로
+//   y = ax:     E'' = 2·mean(x²)  →  η_max = 2 / (2·mean(x²))
+//   y = ax + b: H = 2[[mean(x²), mean(x)], [mean(x), 1]]
+// 다른 손실은 2 대신 L''(r)의 최댓값(curvature)을 곱해 가장 휜 곳 기준의 상한을 구합니다.
+// MAE처럼 곡률이 없는 손실은 상한이 없고(Infinity), 대신 최솟값 근처에서 진동합니다.
+// 다항식 모델은 H = curvature·mean(φφᵀ), φ = [z, 1, z², …]의 최대 고윳값을 거듭제곱법으로 구합니다.
+export const maxStableLearningRate = (data, useIntercept, loss = DEFAULT_LOSS, poly = null) => {
+  if (!data || data.length === 0) return Infinity;
+  const { curvature } = resolveLoss(loss);
+  if (curvature === 0) return Infinity;
+  if (useIntercept && poly) {
+    const features = data.map(p => {
+      const z = scaleX(p.x, poly);
+      return [z, 1, ...poly.c.map((_, k) => z ** (k + 2))];
+    });
+    const size = features[0].length;
+    const H = Array.from({ length: size }, (_, i) => Array.from({ length: size }, (__, j) => (
+      features.reduce((acc, phi) => acc + phi[i] * phi[j], 0) / data.length
+    )));
+    let v = new Array(size).fill(1);
+    let lambda = 0;
+    for (let iter = 0; iter < 200; iter++) {
+      const current = v;
+      const w = H.map(row => row.reduce((acc, h, j) => acc + h * current[j], 0));
+      const norm = Math.hypot(...w);
+      if (norm === 0) return Infinity;
+      lambda = norm / Math.hypot(...v);
+      v = w.map(x => x / norm);
+    }
+    return 2 / (curvature * lambda);
+  }
+  const n = data.length;
+  const meanXX = data.reduce((acc, p) => acc + p.x * p.x, 0) / n;
+  if (!useIntercept) return meanXX === 0 ? Infinity : 2 / (curvature * meanXX);
+  const meanX = data.reduce((acc, p) => acc + p.x, 0) / n;
+  const trace = meanXX + 1;
+  const det = meanXX - meanX * meanX;
+  const lambdaMax = curvature * (trace / 2 + Math.sqrt(Math.max(0, (trace * trace) / 4 - det)));
+  return 2 / lambdaMax;
+};
+
+const DIVERGENCE_WINDOW = 3;
+const OSCILLATION_WINDOW = 4;
+
+// 기록(history)을 보고 학습 상태를 판정합니다.
+// status: 'running' | 'converged' | 'diverged' | 'oscillating' | 'maxSteps'
+// reason: 판정 근거 코드, stop: 자동 실행을 멈춰야 하는지
+export const detectTrainingStatus = (history, { useIntercept = false, tolerance = CONVERGENCE_TOLERANCE, maxSteps = Infinity } = {}) => {
+  const running = { status: 'running', reason: null, stop: false, step: null };
+  if (history.length === 0) return running;
+  const last = history[history.length - 1];
+  const gradientOf = (h) => gradientNorm(h, useIntercept);
+
+  if (![last.a, last.b, last.loss, last.gradient].every(Number.isFinite)) {
+    return { status: 'diverged', reason: 'nonFinite', stop: true, step: last.step };
+  }
+
+  const recent = history.slice(-(DIVERGENCE_WINDOW + 1));
+  const lossGrowing = recent.length > DIVERGENCE_WINDOW
+    && recent.every((h, i) => i === 0 || h.loss > recent[i - 1].loss)
+    && last.loss > history[0].loss;
+  if (lossGrowing) {
+    return { status: 'diverged', reason: 'growingLoss', stop: true, step: last.step };
+  }
+
+  if (gradientOf(last) < tolerance) {
+    return { status: 'converged', reason: 'gradient', stop: true, step: last.step };
+  }
+  if (history.length > 1) {
+    const lossOf = (h) => h.exactLoss ?? h.loss;
+    const prev = history[history.length - 2];
+    if (Math.abs(lossOf(last) - lossOf(prev)) < tolerance * 1e-3 * Math.max(1, lossOf(prev))) {
+      return { status: 'converged', reason: 'lossChange', stop: true, step: last.step };
+    }
+  }
+
+  // 기울기 부호가 연속으로 바뀌면 최솟값 양쪽을 오가는 중입니다.
+  // 폭이 줄고 있으면 지그재그로 수렴하는 중이므로 경고만 하고, 줄지 않으면 멈춥니다.
+  const flips = history.slice(-(OSCILLATION_WINDOW + 1));
+  const flipping = flips.length > OSCILLATION_WINDOW
+    && flips.every((h, i) => i === 0 || Math.sign(h.gradient) === -Math.sign(flips[i - 1].gradient));
+  if (flipping) {
+    const shrinking = gradientOf(last) < 0.9 * gradientOf(flips[0]);
+    return { status: 'oscillating', reason: shrinking ? 'dampedSignFlip' : 'signFlip', stop: !shrinking, step: last.step };
+  }
+
+  if (history.length > maxSteps) {
+    return { status: 'maxSteps', reason: 'maxSteps', stop: true, step: last.step };
+  }
+  return running;
+};
+
+// progress: 레이스의 한 실행 { history, state }
+export const isRunFinished = (progress, maxSteps, useIntercept, tolerance = CONVERGENCE_TOLERANCE) => {
+  if (!progress) return false;
+  return !Number.isFinite(progress.state.a)
+    || detectTrainingStatus(progress.history, { useIntercept, tolerance, maxSteps }).stop;
+};
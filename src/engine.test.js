@@ -0,0 +1,540 @@
+import {
+  calculateMSE, calculateLoss, calculateGradientDetails, leastSquaresLine, sampleBatch,
+  OPTIMIZERS, initialState, step, previewStep, runSteps, toHistoryEntry, findConvergedStep, isRunFinished,
+  maxStableLearningRate, detectTrainingStatus,
+  createPoly, createScaler, predict, polynomialLeastSquares, IDENTITY_SCALER,
+  sigmoid, predictOutput,
+  analyticOptimum, distanceToOptimum, calculateHessian, newtonStep, runNewton, extendNewton, secantSlope,
+  withoutPointGradients, stepPointGradients, sampleLossSurface
+} from './engine';
+
+const data = [
+  { x: 1, y: 2 }, { x: 2, y: 4 }, { x: 3, y: 5 },
+  { x: 4, y: 7 }, { x: 5, y: 11 }, { x: 6, y: 11 },
+  { x: 7, y: 14 }, { x: 8, y: 17 }, { x: 9, y: 20 },
+  { x: 10, y: 21 },
+];
+
+// 4~8 구간에 레이블이 섞여 있어 분리되지 않는 분류 데이터 (최적해가 유한합니다)
+const labels = [
+  { x: 1, y: 0 }, { x: 2, y: 0 }, { x: 3, y: 0 }, { x: 4, y: 1 }, { x: 5, y: 0 },
+  { x: 6, y: 1 }, { x: 7, y: 0 }, { x: 8, y: 1 }, { x: 9, y: 1 }, { x: 10, y: 1 },
+];
+
+const run = (config, steps, start = initialState(0, 0)) => {
+  let state = start;
+  for (let i = 0; i < steps; i++) {
+    state = step(state, data, config).state;
+  }
+  return state;
+};
+
+describe('calculateGradientDetails', () => {
+  test.each([[0, 0], [1.5, 0], [2.2, -1], [-0.5, 3]])('matches finite differences at a=%p, b=%p', (a, b) => {
+    const h = 1e-6;
+    const { finalGradient, finalGradientB } = calculateGradientDetails(a, b, data);
+    const numericA = (calculateMSE(a + h, b, data) - calculateMSE(a - h, b, data)) / (2 * h);
+    const numericB = (calculateMSE(a, b + h, data) - calculateMSE(a, b - h, data)) / (2 * h);
+    expect(finalGradient).toBeCloseTo(numericA, 4);
+    expect(finalGradientB).toBeCloseTo(numericB, 4);
+  });
+
+  test('averages only over the batch and flags the other points', () => {
+    const { finalGradient, pointGradients } = calculateGradientDetails(2, 0, data, [0, 4]);
+    expect(finalGradient).toBeCloseTo((pointGradients[0].contribution + pointGradients[4].contribution) / 2);
+    expect(pointGradients.filter(p => p.inBatch).map(p => p.id)).toEqual([1, 5]);
+  });
+});
+
+describe('intercept model y = ax + b', () => {
+  test('moves a and b together by their own partial derivatives', () => {
+    const { state, details } = step(initialState(0, 0), data, { learningRate: 0.01, useIntercept: true });
+    // a = b = 0에서 ∂E/∂b = mean(2(ax + b - y)) = -2·mean(y)
+    const meanY = data.reduce((acc, p) => acc + p.y, 0) / data.length;
+    expect(details.finalGradientB).toBeCloseTo(-2 * meanY);
+    expect(state.a).toBeCloseTo(-0.01 * details.finalGradient);
+    expect(state.b).toBeCloseTo(-0.01 * details.finalGradientB);
+  });
+
+  test('samples the loss surface at the cell centres, never below the least-squares line', () => {
+    const best = leastSquaresLine(data);
+    const grid = sampleLossSurface(data, [0, 4], [-4, 4], 10);
+    expect(grid).toHaveLength(100);
+    // i = 2, j = 7 칸의 중심은 a = 0 + 2.5/10 × 4, b = -4 + 7.5/10 × 8
+    expect(grid.find(cell => cell.i === 2 && cell.j === 7).loss).toBeCloseTo(calculateMSE(1, 2, data));
+    grid.forEach(cell => expect(cell.loss).toBeGreaterThanOrEqual(calculateMSE(best.a, best.b, data)));
+  });
+});
+
+describe('loss functions', () => {
+  const losses = [{ type: 'mse' }, { type: 'mae' }, { type: 'huber', delta: 2 }, { type: 'logcosh' }, { type: 'bce' }];
+
+  test.each(losses)('gradient matches finite differences for %p', (loss) => {
+    const h = 1e-6;
+    // a = 1.73, b = 0.3은 어떤 점의 오차도 정확히 0이나 ±δ가 되지 않는 위치입니다.
+    const { finalGradient, finalGradientB } = calculateGradientDetails(1.73, 0.3, data, null, loss);
+    const numericA = (calculateLoss(1.73 + h, 0.3, data, loss) - calculateLoss(1.73 - h, 0.3, data, loss)) / (2 * h);
+    const numericB = (calculateLoss(1.73, 0.3 + h, data, loss) - calculateLoss(1.73, 0.3 - h, data, loss)) / (2 * h);
+    expect(finalGradient).toBeCloseTo(numericA, 4);
+    expect(finalGradientB).toBeCloseTo(numericB, 4);
+  });
+
+  test('Huber is half the squared error inside δ and linear outside', () => {
+    expect(calculateLoss(2, 0, [{ x: 1, y: 1.5 }], { type: 'huber', delta: 1 })).toBeCloseTo(0.125);
+    expect(calculateLoss(2, 0, [{ x: 1, y: -2 }], { type: 'huber', delta: 1 })).toBeCloseTo(3.5);
+    expect(calculateLoss(2, 0, data, { type: 'huber', delta: 1e6 })).toBeCloseTo(calculateMSE(2, 0, data) / 2);
+  });
+
+  test('log-cosh stays finite for huge residuals', () => {
+    expect(calculateLoss(0, 0, [{ x: 1, y: 1e4 }], { type: 'logcosh' })).toBeCloseTo(1e4 - Math.LN2);
+  });
+
+  test('an outlier pulls the MSE fit further than the MAE fit', () => {
+    const withOutlier = [...data, { x: 5, y: 80 }];
+    const fitSlope = (loss) => {
+      let state = initialState(2, 0);
+      for (let i = 0; i < 2000; i++) {
+        state = step(state, withOutlier, { learningRate: 0.001, loss }).state;
+      }
+      return state.a;
+    };
+    const clean = data.reduce((acc, p) => acc + p.x * p.y, 0) / data.reduce((acc, p) => acc + p.x * p.x, 0);
+    expect(Math.abs(fitSlope({ type: 'mae' }) - clean)).toBeLessThan(Math.abs(fitSlope({ type: 'mse' }) - clean) / 2);
+  });
+});
+
+describe('logistic regression', () => {
+  const bce = { type: 'bce' };
+
+  test('cross-entropy matches -[y log p + (1 - y) log(1 - p)]', () => {
+    const p = sigmoid(0.5 * 3 - 1);
+    expect(calculateLoss(0.5, -1, [{ x: 3, y: 1 }], bce)).toBeCloseTo(-Math.log(p));
+    expect(calculateLoss(0.5, -1, [{ x: 3, y: 0 }], bce)).toBeCloseTo(-Math.log(1 - p));
+    expect(predictOutput(0.5, -1, 3, bce)).toBeCloseTo(p);
+  });
+
+  test('stays finite when the sigmoid saturates', () => {
+    expect(calculateLoss(100, 0, [{ x: 10, y: 0 }], bce)).toBeCloseTo(1000);
+    expect(calculateLoss(100, 0, [{ x: 10, y: 1 }], bce)).toBeCloseTo(0);
+  });
+
+  test('the per-point derivative is (σ(ax + b) - y)·x', () => {
+    const { pointGradients } = calculateGradientDetails(0.5, -1, labels, null, bce);
+    pointGradients.forEach((d, i) => {
+      const residual = sigmoid(0.5 * labels[i].x - 1) - labels[i].y;
+      expect(d.prediction - d.y).toBeCloseTo(residual);
+      expect(d.contribution).toBeCloseTo(residual * labels[i].x);
+      expect(d.contributionB).toBeCloseTo(residual);
+    });
+  });
+
+  test('gradient descent lowers the cross-entropy to a stationary point', () => {
+    const config = { useIntercept: true, loss: bce, learningRate: 0.1, optimizerType: 'adam' };
+    const { state } = runSteps(initialState(0, 0), labels, config, 3000);
+    const { finalGradient, finalGradientB } = calculateGradientDetails(state.a, state.b, labels, null, bce);
+    expect(calculateLoss(state.a, state.b, labels, bce)).toBeLessThan(calculateLoss(0, 0, labels, bce));
+    expect(Math.hypot(finalGradient, finalGradientB)).toBeLessThan(1e-3);
+    // 결정 경계 x = -b/a는 레이블이 섞인 4~8 사이에 놓입니다.
+    expect(-state.b / state.a).toBeGreaterThan(4);
+    expect(-state.b / state.a).toBeLessThan(8);
+  });
+
+  test('the stable learning rate uses the sigmoid curvature of 1/4', () => {
+    expect(maxStableLearningRate(labels, true, bce)).toBeCloseTo(maxStableLearningRate(labels, true) * 8);
+  });
+});
+
+describe('polynomial models', () => {
+  const quadratic = [-2, -1, 0, 1, 2, 3].map(x => ({ x, y: 1 + 2 * x - 0.5 * x * x }));
+
+  test('standardizes x to zero mean and unit variance', () => {
+    const scaler = createScaler(data, true);
+    const z = data.map(p => (p.x - scaler.mean) / scaler.std);
+    expect(z.reduce((acc, v) => acc + v, 0)).toBeCloseTo(0, 10);
+    expect(z.reduce((acc, v) => acc + v * v, 0) / z.length).toBeCloseTo(1, 10);
+    expect(createScaler(data, false)).toBe(IDENTITY_SCALER);
+  });
+
+  test('uses a straight line when there is nothing polynomial about the model', () => {
+    expect(createPoly({ degree: 1, standardize: false }, data)).toBeNull();
+    expect(createPoly({ degree: 3, standardize: false }, data, [0.5])).toEqual({ c: [0.5, 0], scaler: IDENTITY_SCALER });
+  });
+
+  test('least squares recovers an exact quadratic', () => {
+    const fit = polynomialLeastSquares(quadratic, 2);
+    expect(fit.a).toBeCloseTo(2, 8);
+    expect(fit.b).toBeCloseTo(1, 8);
+    expect(fit.c[0]).toBeCloseTo(-0.5, 8);
+    expect(polynomialLeastSquares(data, 1).a).toBeCloseTo(leastSquaresLine(data).a, 8);
+  });
+
+  test('gradient matches finite differences for every coefficient', () => {
+    const h = 1e-6;
+    const poly = { c: [0.3, -0.05], scaler: createScaler(data, true) };
+    const { finalGradient, finalGradientB, finalGradientC } = calculateGradientDetails(1.2, 0.4, data, null, undefined, poly);
+    const lossAt = (a, b, c) => calculateLoss(a, b, data, undefined, { ...poly, c });
+    expect(finalGradient).toBeCloseTo((lossAt(1.2 + h, 0.4, poly.c) - lossAt(1.2 - h, 0.4, poly.c)) / (2 * h), 4);
+    expect(finalGradientB).toBeCloseTo((lossAt(1.2, 0.4 + h, poly.c) - lossAt(1.2, 0.4 - h, poly.c)) / (2 * h), 4);
+    poly.c.forEach((ck, k) => {
+      const plus = poly.c.map((v, i) => (i === k ? v + h : v));
+      const minus = poly.c.map((v, i) => (i === k ? v - h : v));
+      expect(finalGradientC[k]).toBeCloseTo((lossAt(1.2, 0.4, plus) - lossAt(1.2, 0.4, minus)) / (2 * h), 4);
+    });
+  });
+
+  test('gradient descent on standardized features reaches the least-squares polynomial', () => {
+    const model = { degree: 2, standardize: true };
+    const poly = createPoly(model, quadratic);
+    const config = { learningRate: 0.9 * maxStableLearningRate(quadratic, true, undefined, poly), useIntercept: true, model };
+    let state = initialState(0, 0);
+    for (let i = 0; i < 3000; i++) state = step(state, quadratic, config).state;
+    const best = polynomialLeastSquares(quadratic, 2, poly.scaler);
+    expect(state.a).toBeCloseTo(best.a, 4);
+    expect(state.b).toBeCloseTo(best.b, 4);
+    expect(state.c[0]).toBeCloseTo(best.c[0], 4);
+    expect(predict(state.a, state.b, 5, { ...poly, c: state.c })).toBeCloseTo(1 + 10 - 12.5, 3);
+  });
+
+  test('the stable learning rate of a degree-1 polynomial matches the closed form', () => {
+    expect(maxStableLearningRate(data, true, undefined, { c: [], scaler: IDENTITY_SCALER }))
+      .toBeCloseTo(maxStableLearningRate(data, true), 8);
+  });
+});
+
+describe('secantSlope', () => {
+  test('approaches the tangent slope as h shrinks', () => {
+    const loss = { type: 'logcosh' };
+    const { finalGradient } = calculateGradientDetails(1.2, 0, data, null, loss);
+    const errors = [1, 0.1, 0.01, 0.001].map(h => Math.abs(secantSlope(1.2, 0, data, h, loss) - finalGradient));
+    errors.slice(1).forEach((error, i) => expect(error).toBeLessThan(errors[i]));
+    expect(errors[3]).toBeLessThan(1e-2);
+  });
+
+  test('misses the MSE tangent by exactly ½·E″·h', () => {
+    const { finalGradient } = calculateGradientDetails(1.2, 0.5, data);
+    const curvature = calculateHessian(1.2, 0.5, data, true)[0][0];
+    expect(secantSlope(1.2, 0.5, data, 0.5) - finalGradient).toBeCloseTo(0.5 * curvature * 0.5, 6);
+  });
+});
+
+describe('analytic optimum', () => {
+  test('is Σxy / Σx² for y = ax and the least-squares line for y = ax + b', () => {
+    const slope = data.reduce((acc, p) => acc + p.x * p.y, 0) / data.reduce((acc, p) => acc + p.x * p.x, 0);
+    expect(analyticOptimum(data, false)).toEqual({ a: slope, b: 0, c: [] });
+    expect(analyticOptimum(data, true)).toEqual({ ...leastSquaresLine(data), c: [] });
+  });
+
+  test('exists only for MSE', () => {
+    expect(analyticOptimum(data, true, { type: 'mae' })).toBeNull();
+    expect(distanceToOptimum({ a: 1, b: 0 }, null)).toBeNull();
+  });
+
+  test('the history records a shrinking distance to the optimum', () => {
+    const { history } = runSteps(initialState(0, 0), data, { useIntercept: true, learningRate: 0.02 }, 50);
+    const optimum = analyticOptimum(data, true);
+    expect(history[0].distance).toBeCloseTo(Math.hypot(optimum.a, optimum.b), 5);
+    expect(history[49].distance).toBeLessThan(history[0].distance);
+    expect(runSteps(initialState(0, 0), data, { loss: { type: 'mae' } }, 1).history[0].distance).toBeNull();
+  });
+});
+
+describe("Newton's method", () => {
+  test('the Hessian matches finite differences of the gradient', () => {
+    const h = 1e-5;
+    const loss = { type: 'logcosh' };
+    const H = calculateHessian(1.73, 0.3, data, true, loss);
+    const gradAt = (a, b) => {
+      const d = calculateGradientDetails(a, b, data, null, loss);
+      return [d.finalGradient, d.finalGradientB];
+    };
+    const [plusA, minusA] = [gradAt(1.73 + h, 0.3), gradAt(1.73 - h, 0.3)];
+    const [plusB, minusB] = [gradAt(1.73, 0.3 + h), gradAt(1.73, 0.3 - h)];
+    expect(H[0][0]).toBeCloseTo((plusA[0] - minusA[0]) / (2 * h), 3);
+    expect(H[0][1]).toBeCloseTo((plusB[0] - minusB[0]) / (2 * h), 3);
+    expect(H[1][1]).toBeCloseTo((plusB[1] - minusB[1]) / (2 * h), 3);
+  });
+
+  test.each([
+    ['y = ax', { useIntercept: false }],
+    ['y = ax + b', { useIntercept: true }],
+    ['a standardized cubic', { useIntercept: true, model: { degree: 3, standardize: true } }],
+  ])('lands on the MSE optimum in one step for %s', (name, config) => {
+    const { state, details } = newtonStep(initialState(0, 0), data, config);
+    const optimum = analyticOptimum(data, config.useIntercept, undefined, createPoly(config.model, data));
+    expect(details.singular).toBe(false);
+    expect(distanceToOptimum(state, optimum)).toBeLessThan(1e-8);
+  });
+
+  test('converges on cross-entropy in a handful of steps', () => {
+    const { history } = runNewton(initialState(0, 0), labels, { useIntercept: true, loss: { type: 'bce' } }, 10);
+    const last = history[history.length - 1];
+    expect(Math.hypot(last.gradient, last.gradientB)).toBeLessThan(1e-4);
+  });
+
+  test('stops when the loss has no curvature', () => {
+    const result = runNewton(initialState(0, 0), data, { loss: { type: 'mae' } }, 5);
+    expect(result.singular).toBe(true);
+    expect(result.history).toHaveLength(1);
+  });
+
+  test('extending a run gives the same history as running it in one go', () => {
+    const config = { useIntercept: true, loss: { type: 'bce' } };
+    const extended = extendNewton(runNewton(initialState(0, 0), labels, config, 3), labels, config, 7);
+    expect(extended).toEqual(runNewton(initialState(0, 0), labels, config, 7));
+    expect(extendNewton(extended, labels, config, 5)).toBe(extended);
+  });
+});
+
+describe('optimizer update rules', () => {
+  // θ = 1, g = 2, η = 0.1, β = 0.9, β₂ = 0.999, ε = 0에서 손으로 계산한 이동량과 새 상태.
+  // 네스테로프는 E = θ²(미분 2θ)의 내다본 위치 1 - 0.1 × 0.9 × 1 = 0.91에서 미분 1.82를 씁니다.
+  const hp = { beta: 0.9, beta2: 0.999, epsilon: 0 };
+  const rounded = (value) => JSON.parse(JSON.stringify(value, (key, v) => (typeof v === 'number' ? Number(v.toFixed(10)) : v)));
+  test.each([
+    ['gd', {}, 0.2, {}],
+    ['momentum', { v: [1] }, 0.29, { v: [2.9] }],
+    ['nesterov', { v: [1] }, 0.272, { v: [2.72] }],
+    ['adagrad', { G: [4] }, 0.2 / Math.sqrt(8), { G: [8] }],
+    ['rmsprop', { s: [4] }, 0.1, { s: [4] }],
+    // 첫 단계는 편향 보정으로 m̂ = g, v̂ = g²가 되어 η만큼 움직입니다.
+    ['adam', null, 0.1, { m: [0.2], v: [0.004], t: 1 }],
+  ])('%s', (optimizerType, state, delta, nextState) => {
+    const optimizer = OPTIMIZERS[optimizerType];
+    const update = optimizer.update({
+      theta: [1], grad: [2], gradientAt: ([t]) => [2 * t],
+      state: state || optimizer.init(1), lr: 0.1, hp,
+    });
+    expect(update.delta[0]).toBeCloseTo(delta, 10);
+    expect(rounded(update.state)).toEqual(nextState);
+  });
+
+  test('each step carries the optimizer state forward', () => {
+    const config = { learningRate: 0.001, optimizerType: 'momentum', hyperparams: hp };
+    const first = step(initialState(0), data, config);
+    const second = step(first.state, data, config);
+    expect(second.details.optimizerState.v[0]).toBeCloseTo(0.9 * first.details.finalGradient + second.details.finalGradient);
+  });
+});
+
+describe('sampleBatch', () => {
+  test('visits every point exactly once per epoch', () => {
+    const seen = [0, 1, 2].flatMap(s => sampleBatch(s, 10, 4, 7).indices);
+    expect(seen.sort((x, y) => x - y)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    expect(sampleBatch(3, 10, 4, 7).epoch).toBe(1);
+  });
+
+  test('is reproducible for the same seed', () => {
+    expect(sampleBatch(5, 10, 3, 1)).toEqual(sampleBatch(5, 10, 3, 1));
+  });
+});
+
+describe('stochastic and mini-batch steps', () => {
+  test('SGD follows the gradient of the one sampled point', () => {
+    const { details } = step(initialState(1), data, { learningRate: 0.01, batchMode: 'sgd', batchSeed: 3 });
+    expect(details.batch).toHaveLength(1);
+    const [index] = details.batch;
+    expect(details.finalGradient).toBeCloseTo(details.pointGradients[index].contribution);
+    expect(details.pointGradients.filter(p => p.inBatch).map(p => p.id)).toEqual([index + 1]);
+    expect(details.batchLoss).toBeCloseTo(calculateMSE(1, 0, [data[index]]));
+    expect(details.loss).toBeCloseTo(calculateMSE(1, 0, data));
+  });
+
+  test('full-batch steps use every point', () => {
+    const { details } = step(initialState(1), data, { learningRate: 0.01, batchMode: 'batch' });
+    expect(details.batch).toBeNull();
+    expect(details.batchLoss).toBe(details.loss);
+  });
+
+  test('a mini-batch run is reproducible for the same seed and changes with the seed', () => {
+    const config = { learningRate: 0.005, batchMode: 'minibatch', batchSize: 3, batchSeed: 7 };
+    const first = runSteps(initialState(0), data, config, 8);
+    expect(runSteps(initialState(0), data, config, 8).history).toEqual(first.history);
+    expect(first.history.map(h => h.batch.length)).toEqual([3, 3, 3, 1, 3, 3, 3, 1]);
+    const reseeded = runSteps(initialState(0), data, { ...config, batchSeed: 8 }, 8);
+    expect(reseeded.history.map(h => h.batch)).not.toEqual(first.history.map(h => h.batch));
+  });
+});
+
+describe('step', () => {
+  test('does not mutate its inputs and advances the step counter', () => {
+    const state = initialState(0);
+    const snapshot = JSON.stringify({ state, data });
+    const result = step(state, data, { learningRate: 0.01 });
+    expect(JSON.stringify({ state, data })).toBe(snapshot);
+    expect(result.state.step).toBe(1);
+    expect(result.details.nextA).toBeCloseTo(0 - 0.01 * result.details.finalGradient);
+  });
+
+  test('keeps b at zero for the origin model', () => {
+    const { state } = step(initialState(0, 5), data, { learningRate: 0.01, useIntercept: false });
+    expect(state.b).toBe(0);
+  });
+
+  test('converges to the least-squares slope for y = ax', () => {
+    const sxy = data.reduce((acc, p) => acc + p.x * p.y, 0);
+    const sxx = data.reduce((acc, p) => acc + p.x * p.x, 0);
+    expect(run({ learningRate: 0.01 }, 200).a).toBeCloseTo(sxy / sxx, 4);
+  });
+
+  test('converges to the least-squares line for y = ax + b', () => {
+    const best = leastSquaresLine(data);
+    const state = run({ learningRate: 0.02, useIntercept: true }, 5000);
+    expect(state.a).toBeCloseTo(best.a, 3);
+    expect(state.b).toBeCloseTo(best.b, 2);
+  });
+
+  test.each(Object.keys(OPTIMIZERS))('%s reduces the loss', (optimizerType) => {
+    const config = { learningRate: optimizerType === 'gd' || optimizerType === 'momentum' || optimizerType === 'nesterov' ? 0.005 : 0.1, optimizerType };
+    const state = run(config, 100);
+    expect(calculateMSE(state.a, 0, data)).toBeLessThan(calculateMSE(0, 0, data) / 10);
+  });
+
+  test('records the optimizer state in the history entry', () => {
+    const { details } = step(initialState(0), data, { learningRate: 0.01, optimizerType: 'momentum' });
+    const entry = toHistoryEntry(details);
+    expect(entry.optimizerState.v[0]).toBeCloseTo(details.finalGradient);
+  });
+});
+
+describe('previewStep', () => {
+  // 몇 단계 진행해 옵티마이저 상태가 쌓인 뒤, 지금 위치의 미분으로 미리 본 a가 실제 다음 단계와 같은지 봅니다.
+  test.each(Object.keys(OPTIMIZERS).flatMap(optimizerType => ['batch', 'minibatch', 'sgd'].map(batchMode => [optimizerType, batchMode])))(
+    '%s with %s matches the next step',
+    (optimizerType, batchMode) => {
+      const config = {
+        learningRate: 0.002, optimizerType, batchMode, batchSize: 3, useIntercept: true,
+        model: { degree: 2, standardize: true },
+      };
+      const state = run(config, 4, initialState(0.5, 1));
+      const poly = createPoly(config.model, data, state.c);
+      const gradientDetails = calculateGradientDetails(state.a, state.b, data, null, undefined, poly);
+      expect(previewStep(state, gradientDetails, data, config)).toBeCloseTo(step(state, data, config).details.nextA, 10);
+    }
+  );
+});
+
+test('findConvergedStep ignores the intercept gradient for the origin model', () => {
+  const history = [{ step: 0, gradient: 5, gradientB: 1 }, { step: 1, gradient: 0.0001, gradientB: 1 }];
+  expect(findConvergedStep(history, false)).toBe(1);
+  expect(findConvergedStep(history, true)).toBeNull();
+});
+
+describe('isRunFinished', () => {
+  // 레이스의 한 실행. runSteps의 결과에는 레이스의 진행 상태 { history, state }가 들어 있습니다.
+  const race = (learningRate, steps) => runSteps(initialState(0), data, { learningRate }, steps);
+
+  test('a run that has not started is not finished', () => {
+    expect(isRunFinished(undefined, 100, false)).toBe(false);
+  });
+
+  test('a slower learning rate needs more steps to converge', () => {
+    const [fast, slow] = [0.005, 0.001].map(learningRate => {
+      let steps = 1;
+      while (!isRunFinished(race(learningRate, steps), 1000, false)) steps++;
+      return steps;
+    });
+    expect(fast).toBeLessThan(slow);
+  });
+
+  test('stops at the step limit and when the run blows up', () => {
+    expect(isRunFinished(race(0.0001, 5), 100, false)).toBe(false);
+    expect(isRunFinished(race(0.0001, 5), 4, false)).toBe(true);
+    expect(isRunFinished({ history: [], state: { a: NaN } }, 100, false)).toBe(true);
+  });
+});
+
+describe('runSteps', () => {
+  test('replays the same history as calling step repeatedly', () => {
+    const config = { learningRate: 0.01, optimizerType: 'adam', batchMode: 'minibatch', batchSize: 3, useIntercept: true };
+    const replayed = runSteps(initialState(0, 0), data, config, 7);
+    expect(replayed.history).toHaveLength(7);
+    expect(replayed.log.map(details => details.step)).toEqual([0, 1, 2, 3, 4, 5, 6]);
+    expect(replayed.state).toEqual(run(config, 7));
+  });
+
+  test('stops once the parameters are no longer finite', () => {
+    const { history } = runSteps(initialState(0, 0), data, { learningRate: 10 }, 1000);
+    expect(history.length).toBeLessThan(1000);
+  });
+
+  test('point gradients dropped from the log can be recomputed for any step', () => {
+    const config = { learningRate: 0.01, batchMode: 'minibatch', batchSize: 3, useIntercept: true, model: { degree: 2 } };
+    const { log } = runSteps(initialState(0, 0), data, config, 5);
+    const compact = withoutPointGradients(log[4]);
+    expect(compact.pointGradients).toBeUndefined();
+    expect(compact.nextA).toBe(log[4].nextA);
+    expect(stepPointGradients(compact, data, config)).toEqual(log[4].pointGradients);
+  });
+});
+
+describe('maxStableLearningRate', () => {
+  const history = (config, steps) => {
+    let state = initialState(0, 0);
+    const entries = [];
+    for (let i = 0; i < steps; i++) {
+      const result = step(state, data, config);
+      entries.push(toHistoryEntry(result.details));
+      state = result.state;
+    }
+    return entries;
+  };
+
+  test.each([false, true])('separates converging from diverging runs (useIntercept=%p)', (useIntercept) => {
+    const limit = maxStableLearningRate(data, useIntercept);
+    const below = history({ learningRate: limit * 0.95, useIntercept }, 40);
+    const above = history({ learningRate: limit * 1.05, useIntercept }, 40);
+    expect(below[below.length - 1].loss).toBeLessThan(below[0].loss);
+    expect(above[above.length - 1].loss).toBeGreaterThan(above[0].loss);
+  });
+
+  test('is 2 / (2 mean x²) for y = ax', () => {
+    const meanXX = data.reduce((acc, p) => acc + p.x * p.x, 0) / data.length;
+    expect(maxStableLearningRate(data, false)).toBeCloseTo(1 / meanXX, 10);
+  });
+
+  test('scales with the loss curvature and is unbounded for MAE', () => {
+    expect(maxStableLearningRate(data, true, { type: 'huber' })).toBeCloseTo(2 * maxStableLearningRate(data, true), 10);
+    expect(maxStableLearningRate(data, false, { type: 'mae' })).toBe(Infinity);
+  });
+});
+
+describe('detectTrainingStatus', () => {
+  const entry = (stepIndex, loss, gradient) => ({ step: stepIndex, a: 1, b: 0, loss, gradient, gradientB: 0 });
+
+  test('reports divergence when the loss keeps growing', () => {
+    const history = [entry(0, 10, 5), entry(1, 20, -8), entry(2, 40, 12), entry(3, 80, -20)];
+    expect(detectTrainingStatus(history)).toMatchObject({ status: 'diverged', reason: 'growingLoss', stop: true });
+  });
+
+  test('reports divergence for non-finite values', () => {
+    expect(detectTrainingStatus([entry(0, Infinity, NaN)])).toMatchObject({ status: 'diverged', reason: 'nonFinite' });
+  });
+
+  test('reports convergence when the gradient is below the tolerance', () => {
+    const history = [entry(0, 10, 5), entry(1, 9, 0.01)];
+    expect(detectTrainingStatus(history, { tolerance: 0.1 })).toMatchObject({ status: 'converged', reason: 'gradient', step: 1 });
+  });
+
+  test('judges the loss change on unrounded losses', () => {
+    // 두 손실 모두 0.5000으로 반올림되지만 실제 변화(2e-5)는 허용 오차 기준(0.001 × 1e-3)보다 큽니다.
+    const history = [
+      { ...entry(0, 0.5, 5), exactLoss: 0.50002 },
+      { ...entry(1, 0.5, 4), exactLoss: 0.5 },
+    ];
+    expect(detectTrainingStatus(history, { tolerance: 0.001 })).toMatchObject({ status: 'running', stop: false });
+    const settled = [history[0], { ...history[1], exactLoss: 0.5000195 }];
+    expect(detectTrainingStatus(settled, { tolerance: 0.001 })).toMatchObject({ status: 'converged', reason: 'lossChange' });
+  });
+
+  test('distinguishes damped from sustained oscillation', () => {
+    const damped = [entry(0, 10, 8), entry(1, 8, -6), entry(2, 6, 4), entry(3, 5, -3), entry(4, 4, 2)];
+    const sustained = [entry(0, 10, 8), entry(1, 9, -8), entry(2, 10, 8), entry(3, 9, -8), entry(4, 10, 8)];
+    expect(detectTrainingStatus(damped)).toMatchObject({ status: 'oscillating', stop: false });
+    expect(detectTrainingStatus(sustained)).toMatchObject({ status: 'oscillating', stop: true });
+  });
+
+  test('stops at the step limit', () => {
+    const history = [entry(0, 10, 5), entry(1, 9, 4), entry(2, 8, 3)];
+    expect(detectTrainingStatus(history, { maxSteps: 2 })).toMatchObject({ status: 'maxSteps', stop: true });
+  });
+});
@@ -0,0 +1,115 @@
+// --- Internationalization ---
+// 화면의 문구는 locales/의 언어별 카탈로그에 모아 두고 'visual.title' 같은 점 표기 키로 찾습니다.
+// 문구 안의 {name}은 값으로 채웁니다. 언어는 URL의 ?lang=, 마지막으로 고른 언어(localStorage),
+// 기본 언어(한국어) 순으로 정합니다.
+import { createContext, createElement, Fragment, useContext } from 'react';
+import ko from './locales/ko.json';
+import en from './locales/en.json';
+
+export const CATALOGS = { ko, en };
+export const LOCALES = Object.keys(CATALOGS);
+export const DEFAULT_LOCALE = 'ko';
+export const LOCALE_PARAM = 'lang';
+export const LOCALE_STORAGE_KEY = 'gradient-sim:locale';
+
+// Intl과 <html lang>에 쓰는 언어 태그
+export const LANGUAGE_TAGS = { ko: 'ko-KR', en: 'en-US' };
+
+export const isLocale = (value) => typeof value === 'string' && Object.prototype.hasOwnProperty.call(CATALOGS, value);
+
+const lookup = (catalog, key) => key.split('.').reduce(
+  (node, part) => (node !== null && typeof node === 'object' ? node[part] : undefined),
+  catalog
+);
+
+// 번역이 빠진 키는 기본 언어로, 그래도 없으면 키 자체를 보여 줍니다.
+const template = (locale, key) => {
+  const text = lookup(CATALOGS[locale], key);
+  if (typeof text === 'string') return text;
+  const fallback = lookup(CATALOGS[DEFAULT_LOCALE], key);
+  return typeof fallback === 'string' ? fallback : key;
+};
+
+const hasParam = (params, name) => Object.prototype.hasOwnProperty.call(params, name);
+
+export const translate = (locale, key, params = {}) => (
+  template(locale, key).replace(/\{(\w+)\}/g, (match, name) => (hasParam(params, name) ? String(params[name]) : match))
+);
+
+// {name} 자리에 수식이나 굵은 글씨 같은 React 요소를 넣을 때: 글자와 요소가 섞인 배열을 돌려줍니다.
+export const translateParts = (locale, key, params = {}) => (
+  template(locale, key).split(/(\{\w+\})/).filter(part => part !== '').map((part) => {
+    const match = /^\{(\w+)\}$/.exec(part);
+    return match && hasParam(params, match[1]) ? params[match[1]] : part;
+  })
+);
+
+// --- Number & Date Formatting ---
+// Intl.NumberFormat은 만드는 비용이 커서 언어와 옵션별로 하나씩만 만듭니다.
+const formatters = new Map();
+const numberFormat = (locale, options) => {
+  const cacheKey = `${locale}:${JSON.stringify(options)}`;
+  if (!formatters.has(cacheKey)) formatters.set(cacheKey, new Intl.NumberFormat(LANGUAGE_TAGS[locale], options));
+  return formatters.get(cacheKey);
+};
+
+// toFixed(digits)처럼 소수 자릿수를 고정하되 천 단위 구분 기호는 언어에 맞춥니다. Infinity/NaN은 그대로 보여 줍니다.
+export const formatNumber = (locale, value, digits = 2) => (
+  Number.isFinite(value)
+    ? numberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value)
+    : String(value)
+);
+
+// toPrecision(digits)처럼 유효 숫자 자릿수를 고정합니다.
+export const formatSignificant = (locale, value, digits = 3) => (
+  Number.isFinite(value)
+    ? numberFormat(locale, { minimumSignificantDigits: digits, maximumSignificantDigits: digits }).format(value)
+    : String(value)
+);
+
+export const formatDate = (locale, timestamp) => new Date(timestamp).toLocaleString(LANGUAGE_TAGS[locale]);
+
+// --- Locale Selection ---
+
+export const resolveLocale = (search = window.location.search, storage = window.localStorage) => {
+  const requested = new URLSearchParams(search).get(LOCALE_PARAM);
+  if (isLocale(requested)) return requested;
+  try {
+    const saved = storage.getItem(LOCALE_STORAGE_KEY);
+    if (isLocale(saved)) return saved;
+  } catch (e) {
+    // 저장소를 읽을 수 없으면 기본 언어를 씁니다.
+  }
+  return DEFAULT_LOCALE;
+};
+
+export const saveLocale = (locale, storage = window.localStorage) => {
+  try {
+    storage.setItem(LOCALE_STORAGE_KEY, locale);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// 주소창의 ?lang=을 바꾼 상대 주소. 새로고침해도 고른 언어가 유지되고, 세션 해시(#s=...)는 그대로 둡니다.
+export const withLocaleParam = ({ pathname, search, hash }, locale) => {
+  const params = new URLSearchParams(search);
+  params.set(LOCALE_PARAM, locale);
+  return `${pathname}?${params}${hash}`;
+};
+
+// --- React Binding ---
+// t: 문자열 문구, rich: {name}에 React 요소를 넣은 문구
+export const createTranslator = (locale) => ({
+  locale,
+  t: (key, params) => translate(locale, key, params),
+  rich: (key, params) => createElement(Fragment, null, ...translateParts(locale, key, params)),
+  formatNumber: (value, digits) => formatNumber(locale, value, digits),
+  formatSignificant: (value, digits) => formatSignificant(locale, value, digits),
+  formatDate: (timestamp) => formatDate(locale, timestamp),
+});
+
+export const I18nContext = createContext(createTranslator(DEFAULT_LOCALE));
+
+export const useI18n = () => useContext(I18nContext);
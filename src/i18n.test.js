@@ -0,0 +1,86 @@
+import {
+  CATALOGS, DEFAULT_LOCALE, LOCALE_STORAGE_KEY, translate, translateParts, formatNumber, formatSignificant,
+  resolveLocale, saveLocale, withLocaleParam
+} from './i18n';
+
+const memoryStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); },
+    data,
+  };
+};
+
+// 카탈로그의 모든 키를 'a.b.c' 형태로 모읍니다.
+const keysOf = (node, prefix = '') => Object.entries(node).flatMap(([key, value]) => (
+  typeof value === 'object' ? keysOf(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+));
+
+describe('translate', () => {
+  test('looks up dotted keys and fills placeholders', () => {
+    expect(translate('ko', 'header.scenarios', { count: 3 })).toBe('시나리오 (3)');
+    expect(translate('en', 'header.scenarios', { count: 3 })).toBe('Scenarios (3)');
+  });
+
+  test('leaves unknown placeholders as they are', () => {
+    expect(translate('en', 'simulation.stepOf', { step: 2 })).toBe('Step 2 / {last}');
+  });
+
+  test('falls back to the default language, then to the key', () => {
+    expect(translate('fr', 'data.title')).toBe(translate(DEFAULT_LOCALE, 'data.title'));
+    expect(translate('en', 'no.such.key')).toBe('no.such.key');
+  });
+
+  test('puts React elements in place of rich placeholders', () => {
+    const formula = { type: 'formula' };
+    expect(translateParts('en', 'visual.title', { a: formula })).toEqual(['How the slope ', formula, ' relates to the error']);
+  });
+
+  test('every language has the same keys and placeholders', () => {
+    const keys = keysOf(CATALOGS[DEFAULT_LOCALE]).sort();
+    const placeholders = (locale, key) => (translate(locale, key).match(/\{\w+\}/g) || []).sort();
+    Object.keys(CATALOGS).forEach((locale) => {
+      expect(keysOf(CATALOGS[locale]).sort()).toEqual(keys);
+      keys.forEach(key => expect([key, placeholders(locale, key)]).toEqual([key, placeholders(DEFAULT_LOCALE, key)]));
+    });
+  });
+});
+
+describe('number formatting', () => {
+  test('fixes the fraction digits and groups thousands', () => {
+    expect(formatNumber('en', -1520.4, 4)).toBe('-1,520.4000');
+    expect(formatNumber('ko', 0.125, 2)).toBe('0.13');
+    expect(formatSignificant('en', 0.00412345, 3)).toBe('0.00412');
+  });
+
+  test('shows Infinity and NaN as they are', () => {
+    expect(formatNumber('ko', Infinity)).toBe('Infinity');
+    expect(formatNumber('en', NaN)).toBe('NaN');
+  });
+});
+
+describe('locale selection', () => {
+  test('prefers the URL parameter, then the saved choice, then the default', () => {
+    const storage = memoryStorage({ [LOCALE_STORAGE_KEY]: 'en' });
+    expect(resolveLocale('?lang=ko', storage)).toBe('ko');
+    expect(resolveLocale('', storage)).toBe('en');
+    expect(resolveLocale('?lang=xx', memoryStorage())).toBe(DEFAULT_LOCALE);
+  });
+
+  test('survives storage that throws', () => {
+    const broken = { getItem: () => { throw new Error('denied'); }, setItem: () => { throw new Error('denied'); } };
+    expect(resolveLocale('', broken)).toBe(DEFAULT_LOCALE);
+    expect(saveLocale('en', broken)).toBe(false);
+  });
+
+  test('saves the choice', () => {
+    const storage = memoryStorage();
+    expect(saveLocale('en', storage)).toBe(true);
+    expect(resolveLocale('', storage)).toBe('en');
+  });
+
+  test('sets the URL parameter and keeps the other parameters and the session hash', () => {
+    expect(withLocaleParam({ pathname: '/sim', search: '?x=1&lang=ko', hash: '#s=abc' }, 'en')).toBe('/sim?x=1&lang=en#s=abc');
+  });
+});
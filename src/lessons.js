@@ -0,0 +1,205 @@
+// --- Guided Lessons ---
+// 교사가 JSON으로 쓰는 단계별 수업입니다. 각 단계는 안내문(prompt)을 보여 주고, 시뮬레이터 상태가
+// 조건(check)을 만족하거나 확인 문제(question)를 맞히면 끝납니다. 형식:
+//
+// {
+//   "title": "기울기와 오차",
+//   "setup": { "modelType": "origin", "learningRate": 0.001 },
+//   "steps": [
+//     { "prompt": "슬라이더로 MSE가 가장 작은 곳을 찾으세요.", "hint": "...",
+//       "check": { "currentDistance": { "lt": 0.05 } } },
+//     { "prompt": "a = 3에서 미분값의 부호는?", "setup": { "initialA": 3, "manualA": 3 },
+//       "question": { "choices": ["음수", "양수"], "answer": 1, "explanation": "..." },
+//       "check": { "steps": { "gte": 1 } } }
+//   ]
+// }
+//
+// 글은 문자열이거나 언어별 객체({ "ko": "...", "en": "..." })입니다.
+// setup은 공유 링크와 같은 세션 필드이고, 수업을 시작할 때(lesson.setup)와 그 단계에 들어설 때(step.setup) 적용합니다.
+// setup에 없는 필드는 교사가 쓰던 값을 그대로 두므로, 결과가 데이터나 배치 설정에 달린 수업은 그 값도 setup에 적습니다.
+// 로지스틱 회귀(modelType: logistic)는 0/1 레이블과 분류 손실(bce)로만 쓸 수 있습니다.
+// check는 { 필드: { 비교: 값 } }이며 모든 비교가 맞아야 합니다. 필드는 LESSON_FIELDS, 비교는 OPERATORS를 봅니다.
+import { encodeSession, decodeSession, sessionConflicts } from './session';
+import slopeAndError from './lessons/slope-and-error.json';
+
+// 앱에 들어 있는 수업. 교사가 만든 수업도 같은 형식으로 불러옵니다.
+export const BUILT_IN_LESSONS = [slopeAndError];
+
+// check에서 읽을 수 있는 시뮬레이터 상태. steps는 지금까지 진행한 단계 수(gdHistory의 길이)입니다.
+export const LESSON_FIELDS = [
+  'manualA', 'manualB', 'currentLoss', 'currentGradient', 'currentGradientB', 'currentDistance',
+  'steps', 'currentStep', 'learningRate', 'modelType', 'lossType', 'optimizerType', 'trainingStatus',
+];
+
+// near의 기본 허용 폭. 기울기 슬라이더 한 칸(0.05)입니다.
+export const DEFAULT_NEAR_TOLERANCE = 0.05;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// 비교 이름 → (상태 값, 조건 객체) => 만족 여부. 숫자 비교는 상태 값이 숫자가 아니면(발산, 최적해 없음) 실패합니다.
+const OPERATORS = {
+  eq: (actual, condition) => actual === condition.eq,
+  in: (actual, condition) => condition.in.includes(actual),
+  lt: (actual, condition) => isNumber(actual) && actual < condition.lt,
+  lte: (actual, condition) => isNumber(actual) && actual <= condition.lte,
+  gt: (actual, condition) => isNumber(actual) && actual > condition.gt,
+  gte: (actual, condition) => isNumber(actual) && actual >= condition.gte,
+  near: (actual, condition) => isNumber(actual)
+    && Math.abs(actual - condition.near) <= (condition.tolerance ?? DEFAULT_NEAR_TOLERANCE),
+};
+
+// 비교의 기준값 형식
+const OPERAND_VALIDATORS = {
+  eq: (value) => ['number', 'string', 'boolean'].includes(typeof value),
+  in: Array.isArray,
+  lt: isNumber,
+  lte: isNumber,
+  gt: isNumber,
+  gte: isNumber,
+  near: isNumber,
+};
+
+export const localizedText = (value, locale) => {
+  if (typeof value === 'string') return value;
+  if (!value || typeof value !== 'object') return '';
+  return value[locale] ?? value.ko ?? Object.values(value)[0] ?? '';
+};
+
+const isText = (value) => typeof value === 'string'
+  || (value !== null && typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(v => typeof v === 'string'));
+
+// 공유 링크의 검증을 그대로 써서, 쓸 수 없는 setup 필드를 찾아냅니다.
+// 세션은 ASCII만 담으므로 한글 같은 값은 인코딩에서 실패하고, 그 필드도 쓸 수 없는 것으로 봅니다.
+const isValidSetupField = (key, value) => {
+  try {
+    const decoded = decodeSession(encodeSession({ [key]: value }));
+    return decoded !== null && decoded[key] !== undefined;
+  } catch (e) {
+    return false;
+  }
+};
+
+const invalidSetupFields = (setup) => Object.keys(setup).filter(key => !isValidSetupField(key, setup[key]));
+
+// step은 1부터 세는 단계 번호이고, 수업 전체에 대한 오류면 null입니다.
+const validateSetup = (setup, step, errors) => {
+  if (setup === undefined) return;
+  if (!setup || typeof setup !== 'object' || Array.isArray(setup)) {
+    errors.push({ step, code: 'invalidSetup', params: { field: 'setup' } });
+    return;
+  }
+  invalidSetupFields(setup).forEach(field => errors.push({ step, code: 'invalidSetup', params: { field } }));
+};
+
+// 필드마다는 쓸 수 있어도 함께 쓸 수 없는 setup 조합(sessionConflicts). 단계의 조합은 수업의 setup 위에 덮은 결과로 보고,
+// 수업의 setup에서 이미 알린 문제는 단계마다 다시 알리지 않습니다. 쓸 수 없는 필드가 있는 setup은 validateSetup이 알립니다.
+const validateCombinations = (lesson, errors) => {
+  const usable = (setup) => setup === undefined
+    || (setup !== null && typeof setup === 'object' && !Array.isArray(setup) && invalidSetupFields(setup).length === 0);
+  if (!usable(lesson.setup)) return;
+  const reported = sessionConflicts({ ...lesson.setup });
+  reported.forEach(({ code, field }) => errors.push({ step: null, code, params: { field } }));
+  lesson.steps.forEach((item, index) => {
+    if (!item || item.setup === undefined || !usable(item.setup)) return;
+    sessionConflicts({ ...lesson.setup, ...item.setup })
+      .filter(conflict => !reported.some(r => r.code === conflict.code))
+      .forEach(({ code, field }) => errors.push({ step: index + 1, code, params: { field } }));
+  });
+};
+
+const validateCheck = (check, step, errors) => {
+  if (!check || typeof check !== 'object' || Array.isArray(check)) {
+    errors.push({ step, code: 'invalidCheck', params: {} });
+    return;
+  }
+  Object.entries(check).forEach(([field, condition]) => {
+    if (!LESSON_FIELDS.includes(field)) {
+      errors.push({ step, code: 'unknownField', params: { field } });
+      return;
+    }
+    if (!condition || typeof condition !== 'object' || Object.keys(condition).length === 0) {
+      errors.push({ step, code: 'invalidCheck', params: {} });
+      return;
+    }
+    Object.entries(condition).forEach(([operator, operand]) => {
+      if (operator === 'tolerance' && 'near' in condition) {
+        if (!isNumber(operand) || operand < 0) errors.push({ step, code: 'invalidOperand', params: { field, operator } });
+        return;
+      }
+      if (!OPERATORS[operator]) {
+        errors.push({ step, code: 'unknownOperator', params: { field, operator } });
+      } else if (!OPERAND_VALIDATORS[operator](operand)) {
+        errors.push({ step, code: 'invalidOperand', params: { field, operator } });
+      }
+    });
+  });
+};
+
+const validateQuestion = (question, step, errors) => {
+  const valid = question && Array.isArray(question.choices) && question.choices.length >= 2
+    && question.choices.every(isText)
+    && Number.isInteger(question.answer) && question.answer >= 0 && question.answer < question.choices.length
+    && (question.explanation === undefined || isText(question.explanation));
+  if (!valid) errors.push({ step, code: 'invalidQuestion', params: {} });
+};
+
+// 이미 읽은 객체 → { lesson, errors }. 오류가 하나라도 있으면 lesson은 null입니다.
+// errors: [{ step, code, params }] (화면은 카탈로그의 lesson.errors.*로 문구를 만듭니다)
+export const validateLesson = (lesson) => {
+  const errors = [];
+  if (!lesson || typeof lesson !== 'object' || Array.isArray(lesson)) {
+    return { lesson: null, errors: [{ step: null, code: 'notObject', params: {} }] };
+  }
+  if (!isText(lesson.title)) errors.push({ step: null, code: 'missingTitle', params: {} });
+  validateSetup(lesson.setup, null, errors);
+  if (!Array.isArray(lesson.steps) || lesson.steps.length === 0) {
+    errors.push({ step: null, code: 'noSteps', params: {} });
+  } else {
+    lesson.steps.forEach((item, index) => {
+      const step = index + 1;
+      if (!item || typeof item !== 'object') {
+        errors.push({ step, code: 'missingPrompt', params: {} });
+        return;
+      }
+      if (!isText(item.prompt)) errors.push({ step, code: 'missingPrompt', params: {} });
+      if (item.hint !== undefined && !isText(item.hint)) errors.push({ step, code: 'missingPrompt', params: {} });
+      validateSetup(item.setup, step, errors);
+      if (item.check !== undefined) validateCheck(item.check, step, errors);
+      if (item.question !== undefined) validateQuestion(item.question, step, errors);
+    });
+    validateCombinations(lesson, errors);
+  }
+  return { lesson: errors.length === 0 ? lesson : null, errors };
+};
+
+// 교사가 붙여넣거나 고른 JSON 글 → { lesson, errors }
+export const parseLesson = (text) => {
+  let lesson;
+  try {
+    lesson = JSON.parse(text);
+  } catch (e) {
+    return { lesson: null, errors: [{ step: null, code: 'invalidJson', params: { message: e.message } }] };
+  }
+  return validateLesson(lesson);
+};
+
+// 단계에 들어설 때 적용할 세션: 수업의 setup 위에 그 단계의 setup을 덮습니다. 단계에 setup이 없으면 null입니다.
+export const stepSession = (lesson, index) => {
+  const { setup } = lesson.steps[index];
+  if (index > 0 && !setup) return null;
+  return { ...lesson.setup, ...setup };
+};
+
+export const checkConditions = (check, snapshot) => Object.entries(check).every(([field, condition]) => (
+  Object.keys(condition)
+    .filter(operator => operator !== 'tolerance')
+    .every(operator => OPERATORS[operator](snapshot[field], condition))
+));
+
+// 단계의 진행 상황. answer는 학생이 고른 보기 번호(없으면 null)입니다.
+// 확인 문제를 맞혀야 check를 보고, 둘 다 없는 단계는 읽기만 하면 되므로 바로 끝납니다.
+export const evaluateStep = (step, snapshot, answer = null) => {
+  const answered = !step.question || answer === step.question.answer;
+  const checked = !step.check || (answered && checkConditions(step.check, snapshot));
+  return { answered, checked, complete: answered && checked };
+};
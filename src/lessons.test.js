@@ -0,0 +1,132 @@
+import { BUILT_IN_LESSONS, parseLesson, validateLesson, localizedText, stepSession, checkConditions, evaluateStep } from './lessons';
+
+const lesson = {
+  title: { ko: '연습', en: 'Practice' },
+  setup: { modelType: 'origin', learningRate: 0.001 },
+  steps: [
+    { prompt: '읽어 보세요.' },
+    { prompt: '최소점을 찾으세요.', check: { currentDistance: { lt: 0.05 } } },
+    {
+      prompt: '부호는?',
+      setup: { initialA: 3 },
+      question: { choices: ['음수', '양수'], answer: 1 },
+      check: { steps: { gte: 1 } },
+    },
+  ],
+};
+
+describe('parseLesson', () => {
+  test('accepts a valid lesson', () => {
+    expect(parseLesson(JSON.stringify(lesson))).toEqual({ lesson, errors: [] });
+  });
+
+  test('reports broken JSON', () => {
+    const { lesson: parsed, errors } = parseLesson('{ "title": ');
+    expect(parsed).toBeNull();
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({ step: null, code: 'invalidJson' });
+  });
+
+  test('reports every problem with the step it belongs to', () => {
+    const { lesson: parsed, errors } = validateLesson({
+      title: 'x',
+      setup: { learningRate: -1, colour: 'red' },
+      steps: [
+        { check: { speed: { gt: 1 } } },
+        { prompt: 'p', check: { manualA: { about: 2 }, currentLoss: { lt: 'small' } } },
+        { prompt: 'p', question: { choices: ['only one'], answer: 0 } },
+        { prompt: 'p', setup: { modelType: '원점' } },
+      ],
+    });
+    expect(parsed).toBeNull();
+    expect(errors).toEqual([
+      { step: null, code: 'invalidSetup', params: { field: 'learningRate' } },
+      { step: null, code: 'invalidSetup', params: { field: 'colour' } },
+      { step: 1, code: 'missingPrompt', params: {} },
+      { step: 1, code: 'unknownField', params: { field: 'speed' } },
+      { step: 2, code: 'unknownOperator', params: { field: 'manualA', operator: 'about' } },
+      { step: 2, code: 'invalidOperand', params: { field: 'currentLoss', operator: 'lt' } },
+      { step: 3, code: 'invalidQuestion', params: {} },
+      { step: 4, code: 'invalidSetup', params: { field: 'modelType' } },
+    ]);
+  });
+
+  test('rejects setups that combine logistic regression with the wrong labels or loss', () => {
+    const regressionData = [{ x: 1, y: 2 }, { x: 2, y: 4 }];
+    const { lesson: parsed, errors } = validateLesson({
+      title: 'x',
+      setup: { modelType: 'logistic', lossType: 'bce' },
+      steps: [
+        { prompt: 'p', setup: { dataPoints: regressionData } },
+        { prompt: 'p', setup: { modelType: 'polynomial' } },
+        { prompt: 'p', setup: { modelType: 'polynomial', lossType: 'mse', dataPoints: regressionData } },
+      ],
+    });
+    expect(parsed).toBeNull();
+    expect(errors).toEqual([
+      { step: 1, code: 'nonBinaryLabels', params: { field: 'dataPoints' } },
+      { step: 2, code: 'lossModelMismatch', params: { field: 'lossType' } },
+    ]);
+  });
+
+  test('needs a title and at least one step', () => {
+    expect(validateLesson({ steps: [] }).errors.map(e => e.code)).toEqual(['missingTitle', 'noSteps']);
+    expect(validateLesson([]).errors.map(e => e.code)).toEqual(['notObject']);
+  });
+
+  test('the built-in lessons are valid', () => {
+    BUILT_IN_LESSONS.forEach(builtIn => expect(validateLesson(builtIn).errors).toEqual([]));
+  });
+});
+
+describe('localizedText', () => {
+  test('picks the language, then Korean, then whatever is there', () => {
+    expect(localizedText('그대로', 'en')).toBe('그대로');
+    expect(localizedText({ ko: '한국어', en: 'English' }, 'en')).toBe('English');
+    expect(localizedText({ ko: '한국어' }, 'en')).toBe('한국어');
+    expect(localizedText({ ja: '日本語' }, 'en')).toBe('日本語');
+  });
+});
+
+describe('stepSession', () => {
+  test('applies the lesson setup on the first step and layers step setups on top', () => {
+    expect(stepSession(lesson, 0)).toEqual({ modelType: 'origin', learningRate: 0.001 });
+    expect(stepSession(lesson, 1)).toBeNull();
+    expect(stepSession(lesson, 2)).toEqual({ modelType: 'origin', learningRate: 0.001, initialA: 3 });
+  });
+});
+
+describe('checkConditions', () => {
+  test('every comparison has to hold', () => {
+    const check = { learningRate: { lte: 0.001 }, trainingStatus: { eq: 'converged' } };
+    expect(checkConditions(check, { learningRate: 0.001, trainingStatus: 'converged' })).toBe(true);
+    expect(checkConditions(check, { learningRate: 0.002, trainingStatus: 'converged' })).toBe(false);
+    expect(checkConditions({ steps: { gt: 2, lt: 5 } }, { steps: 5 })).toBe(false);
+    expect(checkConditions({ optimizerType: { in: ['adam', 'rmsprop'] } }, { optimizerType: 'adam' })).toBe(true);
+  });
+
+  test('near uses the tolerance, or one slider notch by default', () => {
+    expect(checkConditions({ manualA: { near: 2.4 } }, { manualA: 2.44 })).toBe(true);
+    expect(checkConditions({ manualA: { near: 2.4 } }, { manualA: 2.5 })).toBe(false);
+    expect(checkConditions({ manualA: { near: 2.4, tolerance: 0.2 } }, { manualA: 2.5 })).toBe(true);
+  });
+
+  test('numeric comparisons fail for values that are not numbers', () => {
+    expect(checkConditions({ currentDistance: { lt: 0.05 } }, { currentDistance: null })).toBe(false);
+    expect(checkConditions({ currentLoss: { gt: 0 } }, { currentLoss: NaN })).toBe(false);
+  });
+});
+
+describe('evaluateStep', () => {
+  test('a step without a question or a check is done once read', () => {
+    expect(evaluateStep(lesson.steps[0], {})).toEqual({ answered: true, checked: true, complete: true });
+  });
+
+  test('a question has to be answered correctly before the check counts', () => {
+    const step = lesson.steps[2];
+    expect(evaluateStep(step, { steps: 1 })).toEqual({ answered: false, checked: false, complete: false });
+    expect(evaluateStep(step, { steps: 1 }, 0).complete).toBe(false);
+    expect(evaluateStep(step, { steps: 0 }, 1)).toEqual({ answered: true, checked: false, complete: false });
+    expect(evaluateStep(step, { steps: 1 }, 1).complete).toBe(true);
+  });
+});
@@ -0,0 +1,198 @@
+// --- Session Save / Restore ---
+// 시뮬레이터 설정을 짧은 문자열로 바꿔 URL 해시(#s=...)와 localStorage에 저장하고, 다시 읽어 옵니다.
+// 학습 기록은 저장하지 않고 진행한 단계 수(steps)만 남깁니다. engine.step은 순수 함수라서
+// 같은 설정으로 처음부터 다시 계산하면 같은 기록이 나옵니다.
+import { OPTIMIZERS, LOSSES, MAX_DEGREE } from './engine';
+
+export const SESSION_VERSION = 1;
+export const HASH_PREFIX = '#s=';
+
+export const STORAGE_KEYS = {
+  autosave: 'gradient-sim:session',
+  scenarios: 'gradient-sim:scenarios',
+};
+
+const MODEL_TYPES = ['origin', 'intercept', 'polynomial', 'logistic'];
+const BATCH_MODES = ['batch', 'sgd', 'minibatch'];
+
+// 세션 필드 → URL에 쓰는 짧은 키
+const SHORT_KEYS = {
+  modelType: 'm',
+  polyDegree: 'pd',
+  standardize: 'st',
+  lossType: 'l',
+  huberDelta: 'hd',
+  learningRate: 'lr',
+  initialA: 'a0',
+  initialB: 'b0',
+  manualA: 'a',
+  manualB: 'b',
+  manualC: 'c',
+  optimizerType: 'o',
+  hyperparams: 'hp',
+  batchMode: 'bm',
+  batchSize: 'bs',
+  batchSeed: 'sd',
+  iterations: 'it',
+  tolerance: 'tol',
+  showNewton: 'nt',
+  showCurvature: 'cv',
+  steps: 'n',
+  viewStep: 'at',
+};
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const oneOf = (options) => (value) => options.includes(value);
+
+const VALIDATORS = {
+  modelType: oneOf(MODEL_TYPES),
+  polyDegree: (value) => Number.isInteger(value) && value >= 1 && value <= MAX_DEGREE,
+  standardize: (value) => typeof value === 'boolean',
+  lossType: (value) => Object.prototype.hasOwnProperty.call(LOSSES, value),
+  huberDelta: (value) => isFiniteNumber(value) && value > 0,
+  learningRate: (value) => isFiniteNumber(value) && value > 0,
+  initialA: isFiniteNumber,
+  initialB: isFiniteNumber,
+  manualA: isFiniteNumber,
+  manualB: isFiniteNumber,
+  manualC: (value) => Array.isArray(value) && value.length < MAX_DEGREE && value.every(isFiniteNumber),
+  optimizerType: (value) => Object.prototype.hasOwnProperty.call(OPTIMIZERS, value),
+  hyperparams: (value) => value !== null && typeof value === 'object'
+    && ['beta', 'beta2', 'epsilon'].every(name => isFiniteNumber(value[name])),
+  batchMode: oneOf(BATCH_MODES),
+  batchSize: (value) => Number.isInteger(value) && value > 0,
+  batchSeed: Number.isInteger,
+  iterations: (value) => Number.isInteger(value) && value > 0,
+  tolerance: (value) => isFiniteNumber(value) && value >= 0,
+  showNewton: (value) => typeof value === 'boolean',
+  showCurvature: (value) => typeof value === 'boolean',
+  steps: (value) => Number.isInteger(value) && value >= 0,
+  viewStep: (value) => Number.isInteger(value) && value >= 0,
+};
+
+// 교차 엔트로피처럼 예측에 σ를 씌우는 손실
+export const isClassificationLoss = (lossType) => Boolean(LOSSES[lossType].link);
+
+// 필드마다 따로 검증한 값이라도 함께 쓰면 뜻이 없는 조합. 로지스틱 회귀는 0/1 레이블과 분류 손실로만 학습하고,
+// 분류 손실은 로지스틱 회귀에서만 뜻이 있습니다. 세션에 없는 필드는 따지지 않습니다.
+// session → [{ code, field }] (빈 배열이면 문제없음)
+export const sessionConflicts = (session) => {
+  const conflicts = [];
+  const logistic = session.modelType === 'logistic';
+  if (logistic && session.dataPoints && !session.dataPoints.every(p => p.y === 0 || p.y === 1)) {
+    conflicts.push({ code: 'nonBinaryLabels', field: 'dataPoints' });
+  }
+  if (session.modelType !== undefined && session.lossType !== undefined && isClassificationLoss(session.lossType) !== logistic) {
+    conflicts.push({ code: 'lossModelMismatch', field: 'lossType' });
+  }
+  return conflicts;
+};
+
+// 입력 칸의 값은 문자열일 수 있으므로 저장 전에 숫자로 맞춥니다.
+const toStoredValue = (value) => (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value);
+
+// base64url: URL에 그대로 넣을 수 있도록 +, /, = 를 바꿉니다.
+// 세션에는 숫자와 영문 선택값만 들어가므로 JSON이 항상 ASCII입니다.
+const toBase64Url = (text) => btoa(text)
+  .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+};
+
+// session → 문자열. 데이터는 [x1, y1, x2, y2, ...]로 펼쳐 길이를 줄입니다.
+export const encodeSession = (session) => {
+  const compact = { v: SESSION_VERSION };
+  if (session.dataPoints) compact.d = session.dataPoints.flatMap(p => [p.x, p.y]);
+  Object.entries(SHORT_KEYS).forEach(([key, short]) => {
+    if (session[key] !== undefined) compact[short] = toStoredValue(session[key]);
+  });
+  if (session.raceRuns) {
+    compact.r = session.raceRuns.map(run => [toStoredValue(run.learningRate), toStoredValue(run.initialA), run.optimizerType]);
+  }
+  return toBase64Url(JSON.stringify(compact));
+};
+
+// 문자열 → session. 형식이 깨졌으면 null, 알 수 없는 값은 빼고 올바른 필드만 돌려줍니다.
+export const decodeSession = (text) => {
+  let compact;
+  try {
+    compact = JSON.parse(fromBase64Url(text));
+  } catch (e) {
+    return null;
+  }
+  if (!compact || typeof compact !== 'object' || compact.v !== SESSION_VERSION) return null;
+
+  const session = {};
+  if (Array.isArray(compact.d) && compact.d.length >= 4 && compact.d.length % 2 === 0 && compact.d.every(isFiniteNumber)) {
+    session.dataPoints = [];
+    for (let i = 0; i < compact.d.length; i += 2) {
+      session.dataPoints.push({ x: compact.d[i], y: compact.d[i + 1] });
+    }
+  }
+  Object.entries(SHORT_KEYS).forEach(([key, short]) => {
+    if (compact[short] !== undefined && VALIDATORS[key](compact[short])) session[key] = compact[short];
+  });
+  if (Array.isArray(compact.r)) {
+    const runs = compact.r
+      .filter(run => Array.isArray(run) && VALIDATORS.learningRate(run[0]) && isFiniteNumber(run[1]) && VALIDATORS.optimizerType(run[2]))
+      .map(([learningRate, initialA, optimizerType], index) => ({ id: index + 1, learningRate, initialA, optimizerType }));
+    if (runs.length > 0) session.raceRuns = runs;
+  }
+  return session;
+};
+
+export const sessionFromHash = (hash) => (
+  hash && hash.startsWith(HASH_PREFIX) ? decodeSession(hash.slice(HASH_PREFIX.length)) : null
+);
+
+export const sessionToHash = (session) => `${HASH_PREFIX}${encodeSession(session)}`;
+
+// 주소 길이를 짧게 자르는 브라우저와 메신저에서도 온전히 전해지는 해시 길이.
+// 데이터가 많아 이보다 길어지면 링크 대신 자동 저장과 시나리오에만 남깁니다.
+export const MAX_HASH_LENGTH = 2000;
+
+// encodeSession의 결과를 주소에 담을 수 있는지
+export const fitsInHash = (encoded) => HASH_PREFIX.length + encoded.length <= MAX_HASH_LENGTH;
+
+// --- Local Storage ---
+// 시크릿 모드나 저장 공간 부족으로 localStorage가 실패해도 시뮬레이터는 계속 동작해야 합니다.
+
+const readJSON = (storage, key) => {
+  try {
+    const text = storage.getItem(key);
+    return text ? JSON.parse(text) : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const writeJSON = (storage, key, value) => {
+  try {
+    storage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+export const loadAutosave = (storage = window.localStorage) => {
+  const saved = readJSON(storage, STORAGE_KEYS.autosave);
+  return typeof saved === 'string' ? decodeSession(saved) : null;
+};
+
+export const saveAutosave = (session, storage = window.localStorage) => (
+  writeJSON(storage, STORAGE_KEYS.autosave, encodeSession(session))
+);
+
+// 이름 붙인 시나리오 목록: [{ name, encoded, savedAt }]
+export const loadScenarios = (storage = window.localStorage) => {
+  const saved = readJSON(storage, STORAGE_KEYS.scenarios);
+  if (!Array.isArray(saved)) return [];
+  return saved.filter(s => s && typeof s.name === 'string' && typeof s.encoded === 'string');
+};
+
+export const saveScenarios = (scenarios, storage = window.localStorage) => (
+  writeJSON(storage, STORAGE_KEYS.scenarios, scenarios)
+);
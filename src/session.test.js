@@ -0,0 +1,108 @@
+import {
+  encodeSession, decodeSession, sessionFromHash, sessionToHash, fitsInHash, MAX_HASH_LENGTH, sessionConflicts,
+  loadAutosave, saveAutosave, loadScenarios, saveScenarios, STORAGE_KEYS
+} from './session';
+
+const session = {
+  dataPoints: [{ x: 1, y: 2 }, { x: 2.5, y: -4 }, { x: 3, y: 6 }],
+  modelType: 'polynomial',
+  polyDegree: 3,
+  standardize: true,
+  lossType: 'huber',
+  huberDelta: 2,
+  learningRate: '0.005',
+  initialA: 0.5,
+  initialB: -1,
+  manualA: 1.25,
+  manualB: 0.75,
+  manualC: [0.5, -0.25],
+  optimizerType: 'adam',
+  hyperparams: { beta: 0.8, beta2: 0.99, epsilon: 1e-8 },
+  batchMode: 'minibatch',
+  batchSize: '2',
+  batchSeed: 7,
+  iterations: 50,
+  tolerance: 0.0001,
+  showNewton: true,
+  showCurvature: false,
+  steps: 12,
+  viewStep: 4,
+  raceRuns: [{ id: 3, learningRate: 0.001, initialA: 0, optimizerType: 'gd' }],
+};
+
+describe('encodeSession / decodeSession', () => {
+  test('round-trips every field and turns numeric input strings into numbers', () => {
+    const decoded = decodeSession(encodeSession(session));
+    expect(decoded).toEqual({
+      ...session,
+      learningRate: 0.005,
+      batchSize: 2,
+      raceRuns: [{ id: 1, learningRate: 0.001, initialA: 0, optimizerType: 'gd' }],
+    });
+  });
+
+  test('produces a URL-safe string', () => {
+    expect(encodeSession(session)).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  test('drops invalid fields and rejects malformed input', () => {
+    const decoded = decodeSession(encodeSession({
+      ...session, optimizerType: 'sgd-typo', learningRate: -1, dataPoints: [{ x: 1, y: 2 }], polyDegree: 7, manualC: [1, 'x'],
+    }));
+    expect(decoded).not.toHaveProperty('optimizerType');
+    expect(decoded).not.toHaveProperty('polyDegree');
+    expect(decoded).not.toHaveProperty('manualC');
+    expect(decoded).not.toHaveProperty('learningRate');
+    expect(decoded).not.toHaveProperty('dataPoints');
+    expect(decoded.lossType).toBe('huber');
+    expect(decodeSession('not base64 !')).toBeNull();
+    expect(decodeSession(btoa('{"v":99}'))).toBeNull();
+  });
+
+  test('reads sessions from a location hash', () => {
+    expect(sessionFromHash(sessionToHash(session)).steps).toBe(12);
+    expect(sessionFromHash('#section-2')).toBeNull();
+    expect(sessionFromHash('')).toBeNull();
+  });
+
+  test('large datasets do not fit in a link', () => {
+    expect(fitsInHash(encodeSession(session))).toBe(true);
+    const dataPoints = Array.from({ length: 500 }, (_, i) => ({ x: i / 7, y: i / 3 }));
+    expect(sessionToHash({ ...session, dataPoints }).length).toBeGreaterThan(MAX_HASH_LENGTH);
+    expect(fitsInHash(encodeSession({ ...session, dataPoints }))).toBe(false);
+  });
+});
+
+test('finds field combinations that do not fit together', () => {
+  expect(sessionConflicts(session)).toEqual([]);
+  expect(sessionConflicts({ modelType: 'logistic', lossType: 'bce', dataPoints: [{ x: 1, y: 0 }, { x: 2, y: 1 }] })).toEqual([]);
+  expect(sessionConflicts({ modelType: 'logistic', lossType: 'bce', dataPoints: session.dataPoints }))
+    .toEqual([{ code: 'nonBinaryLabels', field: 'dataPoints' }]);
+  expect(sessionConflicts({ modelType: 'polynomial', lossType: 'bce' })).toEqual([{ code: 'lossModelMismatch', field: 'lossType' }]);
+  expect(sessionConflicts({ modelType: 'logistic', lossType: 'mse' })).toEqual([{ code: 'lossModelMismatch', field: 'lossType' }]);
+  // 한쪽만 있으면 나머지는 불러오는 쪽의 설정에 달려 있으므로 따지지 않습니다.
+  expect(sessionConflicts({ lossType: 'bce' })).toEqual([]);
+});
+
+describe('local storage', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('autosaves and reloads a session', () => {
+    expect(loadAutosave()).toBeNull();
+    saveAutosave(session);
+    expect(loadAutosave().manualA).toBe(1.25);
+  });
+
+  test('keeps only well-formed scenarios', () => {
+    saveScenarios([{ name: '과적합 예시', encoded: encodeSession(session), savedAt: 1 }, { name: 3 }]);
+    expect(loadScenarios().map(s => s.name)).toEqual(['과적합 예시']);
+    localStorage.setItem(STORAGE_KEYS.scenarios, '{broken');
+    expect(loadScenarios()).toEqual([]);
+  });
+
+  test('survives a storage that throws', () => {
+    const failing = { getItem: () => { throw new Error('denied'); }, setItem: () => { throw new Error('quota'); } };
+    expect(loadAutosave(failing)).toBeNull();
+    expect(saveAutosave(session, failing)).toBe(false);
+  });
+});
@@ -0,0 +1,40 @@
+// --- Keyboard Shortcuts ---
+// 페이지 어디서든 쓰는 단축키입니다. 입력 칸이나 선택 상자에 포커스가 있으면 그 요소가 키를 쓰도록 무시하고,
+// 버튼 위의 Space는 버튼을 누르는 키이므로 재생/정지로 가로채지 않습니다.
+
+// 화살표 위/아래로 a를 옮기는 폭: 슬라이더 한 칸, Shift를 누르면 열 칸
+export const A_NUDGE = 0.05;
+export const A_NUDGE_LARGE = 0.5;
+
+// 동작 → 버튼과 슬라이더의 aria-keyshortcuts 값
+export const SHORTCUT_KEYS = {
+  togglePlay: 'Space',
+  stepForward: 'ArrowRight',
+  stepBack: 'ArrowLeft',
+  nudgeA: 'ArrowUp ArrowDown',
+};
+
+const EDITABLE_TAGS = ['INPUT', 'TEXTAREA', 'SELECT'];
+const PRESSABLE_TAGS = ['BUTTON', 'A', 'SUMMARY'];
+
+const isEditable = (target) => Boolean(target) && (EDITABLE_TAGS.includes(target.tagName) || target.isContentEditable === true);
+const isPressable = (target) => Boolean(target) && (PRESSABLE_TAGS.includes(target.tagName) || target.getAttribute?.('role') === 'button');
+
+// keydown 이벤트 → { action, delta } 또는 null. delta는 a를 옮길 때만 있습니다.
+export const shortcutFor = (event) => {
+  if (event.ctrlKey || event.metaKey || event.altKey || isEditable(event.target)) return null;
+  switch (event.key) {
+    case ' ':
+      return isPressable(event.target) ? null : { action: 'togglePlay' };
+    case 'ArrowRight':
+      return { action: 'stepForward' };
+    case 'ArrowLeft':
+      return { action: 'stepBack' };
+    case 'ArrowUp':
+      return { action: 'nudgeA', delta: event.shiftKey ? A_NUDGE_LARGE : A_NUDGE };
+    case 'ArrowDown':
+      return { action: 'nudgeA', delta: -(event.shiftKey ? A_NUDGE_LARGE : A_NUDGE) };
+    default:
+      return null;
+  }
+};
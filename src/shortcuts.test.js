@@ -0,0 +1,37 @@
+import { shortcutFor, A_NUDGE, A_NUDGE_LARGE } from './shortcuts';
+
+const element = (tagName, attributes = {}) => {
+  const node = document.createElement(tagName);
+  Object.entries(attributes).forEach(([name, value]) => node.setAttribute(name, value));
+  return node;
+};
+
+const keydown = (key, init = {}) => ({ key, target: document.body, shiftKey: false, ctrlKey: false, metaKey: false, altKey: false, ...init });
+
+describe('shortcutFor', () => {
+  test('maps space, left and right to playback and stepping', () => {
+    expect(shortcutFor(keydown(' '))).toEqual({ action: 'togglePlay' });
+    expect(shortcutFor(keydown('ArrowRight'))).toEqual({ action: 'stepForward' });
+    expect(shortcutFor(keydown('ArrowLeft'))).toEqual({ action: 'stepBack' });
+  });
+
+  test('up and down nudge a by one slider notch, or ten with Shift', () => {
+    expect(shortcutFor(keydown('ArrowUp'))).toEqual({ action: 'nudgeA', delta: A_NUDGE });
+    expect(shortcutFor(keydown('ArrowDown'))).toEqual({ action: 'nudgeA', delta: -A_NUDGE });
+    expect(shortcutFor(keydown('ArrowDown', { shiftKey: true }))).toEqual({ action: 'nudgeA', delta: -A_NUDGE_LARGE });
+  });
+
+  test('leaves keys alone while typing or with modifier keys', () => {
+    expect(shortcutFor(keydown('ArrowRight', { target: element('input') }))).toBeNull();
+    expect(shortcutFor(keydown(' ', { target: element('textarea') }))).toBeNull();
+    expect(shortcutFor(keydown('ArrowUp', { target: element('select') }))).toBeNull();
+    expect(shortcutFor(keydown('ArrowRight', { ctrlKey: true }))).toBeNull();
+    expect(shortcutFor(keydown('a'))).toBeNull();
+  });
+
+  test('lets space press a focused button instead of toggling playback', () => {
+    expect(shortcutFor(keydown(' ', { target: element('button') }))).toBeNull();
+    expect(shortcutFor(keydown(' ', { target: element('div', { role: 'button' }) }))).toBeNull();
+    expect(shortcutFor(keydown('ArrowRight', { target: element('button') }))).toEqual({ action: 'stepForward' });
+  });
+});
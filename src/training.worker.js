@@ -0,0 +1,8 @@
+// --- Training Web Worker ---
+// trainingTasks의 작업을 메인 스레드 밖에서 돌립니다. 워커 전역에서는 self가 워커 자신입니다.
+/* eslint-disable no-restricted-globals */
+import { createTaskRunner } from './trainingTasks';
+
+const handleMessage = createTaskRunner((message) => self.postMessage(message));
+
+self.onmessage = (event) => handleMessage(event.data);
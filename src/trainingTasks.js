@@ -0,0 +1,91 @@
+// --- Background Training Tasks ---
+// 학습과 손실 곡면 샘플링처럼 데이터가 많으면 오래 걸리는 계산입니다.
+// 웹 워커(training.worker.js)가 이 함수를 그대로 돌리고, 워커를 쓸 수 없는 환경에서는 메인 스레드에서 같은 코드가 돕니다.
+// 메시지는 { type, id, ... } 형태이며, 결과는 post(message)로 같은 id를 붙여 돌려줍니다.
+import { step, toHistoryEntry, withoutPointGradients, detectTrainingStatus, sampleLossCurve, sampleLossSurface } from './engine';
+
+// 한 번의 progress 메시지에 담는 단계 수
+export const TRAINING_CHUNK_SIZE = 100;
+
+// schedule: 다음 묶음을 미루는 함수. 묶음 사이에 들어온 cancel 메시지와 화면 갱신이 끼어들 수 있습니다.
+export const createTaskRunner = (post, schedule = (task) => setTimeout(task, 0)) => {
+  const activeRuns = new Set();
+  // 종류(type)별로 아직 계산하지 않은 가장 최근 요청
+  const pending = new Map();
+
+  // { start, data, config, history, count, stopOptions }
+  // history는 이미 진행한 기록으로, 수렴·발산 판정을 화면의 자동 실행과 똑같이 이어 가기 위해 받습니다.
+  // 최대 count단계를 진행하되 detectTrainingStatus가 멈추라고 하면 그 자리에서 끝냅니다.
+  // stopOptions가 null이면 멈추지 않고 count단계를 모두 진행합니다(저장된 세션을 그대로 다시 계산할 때).
+  const train = ({ id, start, data, config, history: previous = [], count, stopOptions }) => {
+    const history = [...previous];
+    let state = start;
+    let remaining = count;
+    const statusOf = () => (stopOptions ? detectTrainingStatus(history, stopOptions) : { stop: false });
+    activeRuns.add(id);
+
+    const runChunk = () => {
+      if (!activeRuns.has(id)) return;
+      const chunkHistory = [];
+      const chunkLog = [];
+      let status = statusOf();
+      while (chunkLog.length < TRAINING_CHUNK_SIZE && remaining > 0 && !status.stop) {
+        const result = step(state, data, config);
+        const entry = toHistoryEntry(result.details);
+        history.push(entry);
+        chunkHistory.push(entry);
+        chunkLog.push(withoutPointGradients(result.details));
+        state = result.state;
+        remaining -= 1;
+        status = statusOf();
+      }
+      const done = remaining <= 0 || status.stop;
+      if (done) activeRuns.delete(id);
+      post({ type: 'progress', id, history: chunkHistory, log: chunkLog, state, done });
+      if (!done) schedule(runChunk);
+    };
+    runChunk();
+  };
+
+  // 슬라이더를 움직이면 요청이 연달아 들어오므로, 종류마다 아직 계산하지 않은 요청은 가장 최근 것 하나만 남깁니다.
+  // 밀려난 요청에는 답하지 않습니다. compute(request)가 돌려준 값을 id와 함께 보냅니다.
+  const latestOnly = (message, compute) => {
+    const scheduled = pending.has(message.type);
+    pending.set(message.type, message);
+    if (scheduled) return;
+    schedule(() => {
+      const request = pending.get(message.type);
+      pending.delete(message.type);
+      post({ type: request.type, id: request.id, ...compute(request) });
+    });
+  };
+
+  // { data, aRange, bRange, resolution, loss, poly } → { grid }
+  const surface = (message) => latestOnly(message, ({ data, aRange, bRange, resolution, loss, poly }) => ({
+    grid: sampleLossSurface(data, aRange, bRange, resolution, loss, poly),
+  }));
+
+  // { data, b, loss, poly, from, to, stepSize } → { curve }. 범위를 비우면 sampleLossCurve의 기본 범위를 씁니다.
+  const curve = (message) => latestOnly(message, ({ data, b, loss, poly, from, to, stepSize }) => ({
+    curve: sampleLossCurve(data, b, loss, poly, from, to, stepSize),
+  }));
+
+  return (message) => {
+    switch (message.type) {
+      case 'train':
+        train(message);
+        break;
+      case 'cancel':
+        activeRuns.delete(message.id);
+        break;
+      case 'surface':
+        surface(message);
+        break;
+      case 'curve':
+        curve(message);
+        break;
+      default:
+        break;
+    }
+  };
+};
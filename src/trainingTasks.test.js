@@ -0,0 +1,99 @@
+import { createTaskRunner, TRAINING_CHUNK_SIZE } from './trainingTasks';
+import { initialState, runSteps, sampleLossCurve, sampleLossSurface, withoutPointGradients } from './engine';
+
+const data = [
+  { x: 1, y: 2 }, { x: 2, y: 4 }, { x: 3, y: 5 },
+  { x: 4, y: 7 }, { x: 5, y: 11 }, { x: 6, y: 11 },
+  { x: 7, y: 14 }, { x: 8, y: 17 }, { x: 9, y: 20 },
+  { x: 10, y: 21 },
+];
+
+// 미뤄 둔 작업을 테스트가 직접 하나씩 실행합니다.
+const setup = () => {
+  const messages = [];
+  const queue = [];
+  const handle = createTaskRunner((message) => messages.push(message), (task) => queue.push(task));
+  const flush = () => {
+    while (queue.length > 0) queue.shift()();
+  };
+  return { messages, queue, handle, flush };
+};
+
+const config = { learningRate: 0.001, useIntercept: true };
+const noStop = { tolerance: 0 };
+
+describe('training task', () => {
+  test('streams the same history as runSteps in chunks', () => {
+    const count = TRAINING_CHUNK_SIZE * 2 + 5;
+    const { messages, queue, handle, flush } = setup();
+    handle({ type: 'train', id: 1, start: initialState(0, 0), data, config, count, stopOptions: noStop });
+    // 첫 묶음은 바로 보내고, 나머지는 미뤄 둡니다.
+    expect(messages).toHaveLength(1);
+    expect(queue).toHaveLength(1);
+    flush();
+
+    expect(messages.map(m => m.history.length)).toEqual([TRAINING_CHUNK_SIZE, TRAINING_CHUNK_SIZE, 5]);
+    expect(messages.map(m => m.done)).toEqual([false, false, true]);
+    const expected = runSteps(initialState(0, 0), data, config, count);
+    expect(messages.flatMap(m => m.history)).toEqual(expected.history);
+    expect(messages.flatMap(m => m.log)).toEqual(expected.log.map(withoutPointGradients));
+    expect(messages[2].state).toEqual(expected.state);
+  });
+
+  test('stops early when the run diverges, like the animated run', () => {
+    const { messages, handle, flush } = setup();
+    handle({ type: 'train', id: 1, start: initialState(0, 0), data, config: { learningRate: 1, useIntercept: true }, count: 1000, stopOptions: { useIntercept: true } });
+    flush();
+    const history = messages.flatMap(m => m.history);
+    expect(history.length).toBeLessThan(TRAINING_CHUNK_SIZE);
+    expect(messages[messages.length - 1].done).toBe(true);
+  });
+
+  test('continues the stop check from the history it is given', () => {
+    const { history, state } = runSteps(initialState(0, 0), data, config, 10);
+    const { messages, handle } = setup();
+    handle({ type: 'train', id: 1, start: state, data, config, history, count: 5, stopOptions: { maxSteps: 12 } });
+    // 이미 10단계가 있으므로 최대 반복(12)을 넘는 13번째 기록까지만 진행합니다.
+    expect(messages[0].history.map(h => h.step)).toEqual([10, 11, 12]);
+    expect(messages[0].done).toBe(true);
+  });
+
+  test('without stop options it runs every step, like runSteps', () => {
+    const { messages, handle } = setup();
+    const diverging = { learningRate: 1, useIntercept: true };
+    handle({ type: 'train', id: 1, start: initialState(0, 0), data, config: diverging, count: 20, stopOptions: null });
+    expect(messages[0].history).toEqual(runSteps(initialState(0, 0), data, diverging, 20).history);
+  });
+
+  test('a cancelled run posts nothing more', () => {
+    const { messages, handle, flush } = setup();
+    handle({ type: 'train', id: 7, start: initialState(0, 0), data, config, count: TRAINING_CHUNK_SIZE * 3, stopOptions: noStop });
+    handle({ type: 'cancel', id: 7 });
+    flush();
+    expect(messages).toHaveLength(1);
+  });
+});
+
+describe('surface task', () => {
+  test('answers only the latest pending request', () => {
+    const { messages, handle, flush } = setup();
+    const request = { type: 'surface', data, aRange: [0, 4], bRange: [-5, 5], resolution: 4 };
+    handle({ ...request, id: 1 });
+    handle({ ...request, id: 2, bRange: [-1, 1] });
+    expect(messages).toHaveLength(0);
+    flush();
+    expect(messages).toEqual([{ type: 'surface', id: 2, grid: sampleLossSurface(data, [0, 4], [-1, 1], 4) }]);
+  });
+});
+
+describe('curve task', () => {
+  test('answers only the latest pending request and does not hold back the surface', () => {
+    const { messages, handle, flush } = setup();
+    handle({ type: 'curve', id: 1, data, b: 0 });
+    handle({ type: 'surface', id: 2, data, aRange: [0, 4], bRange: [-5, 5], resolution: 4 });
+    handle({ type: 'curve', id: 3, data, b: 1, from: 0, to: 4, stepSize: 0.5 });
+    flush();
+    expect(messages.map(m => m.id)).toEqual([3, 2]);
+    expect(messages[0]).toEqual({ type: 'curve', id: 3, curve: sampleLossCurve(data, 1, undefined, undefined, 0, 4, 0.5) });
+  });
+});
@@ -0,0 +1,115 @@
+// --- Printable Worksheet ---
+// 학습 기록, 단계별 데이터별 미분값, 공식을 한 장의 HTML로 만듭니다. 브라우저에서 인쇄하거나 PDF로 저장해 나눠 줄 수 있습니다.
+// 값을 비우면(blank) 학생이 직접 계산해 채우도록 주어진 값(열의 given)만 남기고 빈칸으로 둡니다.
+// 수식은 MathML로 넣어 KaTeX 스타일시트 없이도 브라우저가 그립니다.
+import katex from 'katex';
+
+// 표 하나에 싣는 최대 행 수. 데이터가 수천 개여도 인쇄물이 수백 쪽이 되지 않게 합니다.
+export const WORKSHEET_ROW_LIMIT = 200;
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+export const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (ch) => ESCAPES[ch]);
+
+const math = (tex) => katex.renderToString(tex, { output: 'mathml', throwOnError: false });
+
+// 머리글과 설정 값은 글(label/text) 또는 수식(tex)입니다.
+const content = ({ label, text, tex }) => (tex !== undefined ? math(tex) : escapeHtml(label ?? text ?? ''));
+
+// '0, 2-4' → [0, 2, 3, 4]. 범위를 벗어난 단계와 알아볼 수 없는 조각은 버리고, 겹치면 한 번만 넣습니다.
+export const parseStepList = (text, last) => {
+  const steps = new Set();
+  String(text).split(',').forEach((part) => {
+    const match = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(part);
+    if (!match) return;
+    const from = Number(match[1]);
+    const to = match[2] !== undefined ? Number(match[2]) : from;
+    for (let step = from; step <= Math.min(to, last); step += 1) steps.add(step);
+  });
+  return [...steps].sort((x, y) => x - y);
+};
+
+// 열의 given: true면 항상 보이는 값(단계 번호, 데이터), 'first'면 첫 행만 보이는 값(출발점)입니다.
+const isGiven = (column, rowIndex) => column.given === true || (column.given === 'first' && rowIndex === 0);
+
+const renderTable = (table, { blank, formatValue, t }) => {
+  const rows = table.rows.slice(0, WORKSHEET_ROW_LIMIT);
+  const cell = (column, value, rowIndex) => {
+    if (blank && !isGiven(column, rowIndex)) return '<td class="blank"></td>';
+    return `<td>${value === null || value === undefined ? '' : escapeHtml(formatValue(value, column))}</td>`;
+  };
+  const body = rows.map((row, rowIndex) => (
+    `<tr${row.muted ? ' class="muted"' : ''}>${table.columns.map(column => cell(column, row[column.key], rowIndex)).join('')}</tr>`
+  ));
+  // footer: 평균 기울기처럼 표 아래에 붙는 합계 행. 첫 칸에 이름을 쓰고, 값이 없는 열은 빈칸 없이 비워 둡니다.
+  const footerCell = (column) => (
+    table.footer.values[column.key] === undefined ? '<td></td>' : cell(column, table.footer.values[column.key], -1)
+  );
+  const footer = table.footer
+    ? `<tfoot><tr><th scope="row">${escapeHtml(table.footer.label)}</th>${table.columns.slice(1).map(footerCell).join('')}</tr></tfoot>`
+    : '';
+  const notes = [
+    ...(table.notes || []),
+    ...(table.rows.length > rows.length ? [t('worksheet.rowsTruncated', { shown: rows.length, total: table.rows.length })] : []),
+  ];
+  return `<section>
+<h2>${escapeHtml(table.title)}</h2>
+<table>
+<thead><tr>${table.columns.map(column => `<th scope="col">${content(column)}</th>`).join('')}</tr></thead>
+<tbody>${body.join('\n')}</tbody>${footer}
+</table>
+${notes.map(note => `<p class="note">${escapeHtml(note)}</p>`).join('\n')}
+</section>`;
+};
+
+const STYLE = `
+body { font-family: system-ui, sans-serif; color: #111827; margin: 2rem; }
+h1 { font-size: 1.5rem; margin: 0 0 0.25rem; }
+h2 { font-size: 1.1rem; margin: 1.5rem 0 0.5rem; }
+.meta { display: flex; gap: 2rem; color: #4b5563; margin-bottom: 1rem; }
+.meta .line { display: inline-block; min-width: 10rem; border-bottom: 1px solid #9ca3af; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; margin: 0; }
+dt { font-weight: bold; color: #4b5563; }
+dd { margin: 0; }
+table { border-collapse: collapse; width: 100%; font-size: 0.85rem; }
+th, td { border: 1px solid #d1d5db; padding: 0.3rem 0.5rem; text-align: right; }
+thead th { background: #f3f4f6; text-align: center; }
+tfoot th { text-align: left; }
+td.blank { height: 1.6rem; min-width: 4rem; }
+tr.muted td { color: #9ca3af; }
+.note { color: #6b7280; font-size: 0.8rem; }
+section { break-inside: avoid; }
+@media print { .no-print { display: none; } body { margin: 1cm; } }
+`;
+
+// i18n: createTranslator의 결과, settings/formulas: [{ label, text | tex }],
+// tables: [{ title, columns: [{ key, label | tex, given?, digits? }], rows, footer?, notes? }]
+export const buildWorksheet = ({ i18n, title, settings, formulas, tables, blank = false, createdAt = Date.now() }) => {
+  const { locale, t } = i18n;
+  const formatValue = (value, column) => (typeof value === 'number' ? i18n.formatNumber(value, column.digits ?? 4) : String(value));
+  const definitions = (items) => `<dl>${items.map(item => `<dt>${escapeHtml(item.label)}</dt><dd>${content({ text: item.text, tex: item.tex })}</dd>`).join('')}</dl>`;
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<button class="no-print" onclick="window.print()">${escapeHtml(t('worksheet.print'))}</button>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta"><span>${escapeHtml(t('worksheet.name'))}: <span class="line"></span></span><span>${escapeHtml(t('worksheet.date'))}: ${escapeHtml(i18n.formatDate(createdAt))}</span></div>
+${blank ? `<p class="note">${escapeHtml(t('worksheet.blankNote'))}</p>` : ''}
+<section>
+<h2>${escapeHtml(t('worksheet.settings'))}</h2>
+${definitions(settings)}
+</section>
+<section>
+<h2>${escapeHtml(t('worksheet.formulas'))}</h2>
+${definitions(formulas)}
+</section>
+${tables.map(table => renderTable(table, { blank, formatValue, t })).join('\n')}
+</body>
+</html>
+`;
+};
@@ -0,0 +1,60 @@
+import { buildWorksheet, parseStepList, escapeHtml, WORKSHEET_ROW_LIMIT } from './worksheet';
+import { createTranslator } from './i18n';
+
+const i18n = { ...createTranslator('en'), formatDate: () => '2026-10-19' };
+
+const worksheet = (options = {}) => buildWorksheet({
+  i18n,
+  title: 'Gradient descent <worksheet>',
+  settings: [{ label: 'Model', tex: 'y = ax' }, { label: 'Optimizer', text: 'Momentum' }],
+  formulas: [{ label: 'Update rule', tex: '\\theta \\leftarrow \\theta - \\eta g' }],
+  tables: [{
+    title: 'History',
+    columns: [{ key: 'step', label: 'Step', given: true, digits: 0 }, { key: 'a', label: 'a', given: 'first' }, { key: 'loss', tex: 'E' }],
+    rows: [{ step: 0, a: 0, loss: 3500.5 }, { step: 1, a: 1.25, loss: 120 }],
+    footer: { label: 'Mean', values: { loss: 1810.25 } },
+  }],
+  createdAt: 0,
+  ...options,
+});
+
+const cells = (html) => {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return [...doc.querySelectorAll('tbody tr')].map(row => [...row.cells].map(cell => (cell.className === 'blank' ? '□' : cell.textContent)));
+};
+
+describe('buildWorksheet', () => {
+  test('fills every value and renders formulas as MathML', () => {
+    const html = worksheet();
+    expect(html).toContain('<title>Gradient descent &lt;worksheet&gt;</title>');
+    expect(html).toContain('<html lang="en">');
+    expect(html).toContain('<math');
+    expect(cells(html)).toEqual([['0', '0.0000', '3,500.5000'], ['1', '1.2500', '120.0000']]);
+    expect(html).toContain('1,810.2500');
+  });
+
+  test('blanks out computed values but keeps the given ones and the starting point', () => {
+    const html = worksheet({ blank: true });
+    expect(cells(html)).toEqual([['0', '0.0000', '□'], ['1', '□', '□']]);
+    expect(html).not.toContain('1,810.2500');
+    expect(html).toContain(i18n.t('worksheet.blankNote'));
+  });
+
+  test('caps long tables and says so', () => {
+    const rows = Array.from({ length: WORKSHEET_ROW_LIMIT + 5 }, (_, step) => ({ step, a: 0, loss: 1 }));
+    const html = worksheet({ tables: [{ title: 'History', columns: [{ key: 'step', label: 'Step', given: true }], rows }] });
+    expect(cells(html)).toHaveLength(WORKSHEET_ROW_LIMIT);
+    expect(html).toContain(escapeHtml(i18n.t('worksheet.rowsTruncated', { shown: WORKSHEET_ROW_LIMIT, total: WORKSHEET_ROW_LIMIT + 5 })));
+  });
+});
+
+describe('parseStepList', () => {
+  test('reads single steps and ranges, within the recorded steps', () => {
+    expect(parseStepList('3, 0-2, 2', 10)).toEqual([0, 1, 2, 3]);
+    expect(parseStepList('8-20, 15', 10)).toEqual([8, 9, 10]);
+  });
+
+  test('ignores pieces it cannot read', () => {
+    expect(parseStepList('a, -1, 2.5, , 4', 10)).toEqual([4]);
+  });
+});